@@ -0,0 +1,45 @@
+// Role-based access control. Each role maps to the permissions it grants;
+// routes check permissions (never role names) via requirePermission().
+const ROLES = ['admin', 'editor', 'author', 'viewer'];
+
+const DEFAULT_ROLE = 'author';
+
+const AUTHOR_PERMISSIONS = [
+  'posts:read',
+  'posts:write',
+  'posts:delete',
+  'posts:publish',
+  'ai:use'
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: ['posts:read'],
+  author: AUTHOR_PERMISSIONS,
+  editor: [...AUTHOR_PERMISSIONS, 'posts:read_any'],
+  admin: [...AUTHOR_PERMISSIONS, 'posts:read_any', 'ai:view_usage', 'users:manage']
+};
+
+// API keys carry scopes on top of the owner's role. Each scope unlocks a set of
+// permissions; anything not listed here (e.g. users:manage) is never available to a key.
+const API_KEY_SCOPES = {
+  'blogs:read': ['posts:read'],
+  'blogs:write': ['posts:write', 'posts:delete', 'posts:publish'],
+  'ai:generate': ['ai:use']
+};
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+const scopesAllow = (scopes, permission) =>
+  scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission));
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  permissionsFor,
+  hasPermission,
+  scopesAllow
+};
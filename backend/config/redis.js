@@ -0,0 +1,129 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// In-memory fallback used when REDIS_URL is not set or Redis is unreachable.
+// Entries carry their own expiry and are pruned lazily on access.
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Periodically drop expired entries so revoked tokens don't pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    type: 'memory',
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.set(key, {
+        value: String(value),
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      });
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    // Increment a counter; the TTL is set when the counter is created
+    async incr(key, ttlSeconds) {
+      const entry = read(key);
+      const value = (entry ? parseInt(entry.value) : 0) + 1;
+      entries.set(key, {
+        value: String(value),
+        expiresAt: entry ? entry.expiresAt : (ttlSeconds ? Date.now() + ttlSeconds * 1000 : null)
+      });
+      return value;
+    },
+    async close() {
+      clearInterval(sweeper);
+      entries.clear();
+    }
+  };
+};
+
+const createRedisStore = (client) => ({
+  type: 'redis',
+  async get(key) {
+    return client.get(key);
+  },
+  async set(key, value, ttlSeconds) {
+    if (ttlSeconds) {
+      await client.set(key, String(value), { EX: Math.max(1, Math.ceil(ttlSeconds)) });
+    } else {
+      await client.set(key, String(value));
+    }
+  },
+  async del(key) {
+    await client.del(key);
+  },
+  async incr(key, ttlSeconds) {
+    const value = await client.incr(key);
+    if (value === 1 && ttlSeconds) {
+      await client.expire(key, Math.max(1, Math.ceil(ttlSeconds)));
+    }
+    return value;
+  },
+  async close() {
+    await client.quit();
+  }
+});
+
+let store = createMemoryStore();
+
+// Connect to Redis if configured, otherwise keep the in-memory store
+const connectRedis = async () => {
+  if (!process.env.REDIS_URL) {
+    logger.warn('⚠️ REDIS_URL not set, using in-memory store (not shared between instances)');
+    return;
+  }
+
+  let connected = false;
+  const client = createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      connectTimeout: 5000,
+      // Give up on the initial connect so we can fall back; reconnect forever afterwards
+      reconnectStrategy: (retries) => (connected ? Math.min(retries * 200, 5000) : new Error('Redis unavailable'))
+    }
+  });
+  client.on('error', (err) => logger.error('Redis error:', err.message));
+
+  try {
+    await client.connect();
+    connected = true;
+    await store.close();
+    store = createRedisStore(client);
+    logger.info('✅ Redis connected');
+  } catch (error) {
+    logger.warn(`⚠️ Redis connection failed (${error.message}), falling back to in-memory store`);
+    await client.disconnect().catch(() => {});
+  }
+};
+
+const closeRedis = async () => {
+  await store.close();
+  logger.info('✅ Key-value store closed');
+};
+
+module.exports = {
+  get store() { return store; }, // expose current store
+  connectRedis,
+  closeRedis
+};
@@ -1,14 +1,106 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
 const logger = require('../utils/logger');
+const { permissionsFor, hasPermission, scopesAllow } = require('../config/permissions');
+const { isTokenRevoked } = require('../services/tokenBlacklist');
+const { touchSession } = require('../services/sessionService');
+const { findApiKey, touchApiKey } = require('../services/apiKeyService');
 
-// Middleware to verify JWT token
+const toRequestUser = (user) => ({
+  id: user.user_id,
+  username: user.username,
+  email: user.email,
+  email_verified: Boolean(user.email_verified_at),
+  role: user.role,
+  permissions: permissionsFor(user.role),
+  deletion_scheduled_at: user.deletion_scheduled_at || null,
+  created_at: user.created_at
+});
+
+const accountDisabled = (res) => res.status(403).json({
+  error: {
+    code: 'ACCOUNT_DISABLED',
+    message: 'This account has been disabled',
+    statusCode: 403
+  }
+});
+
+// Personal API keys: `Authorization: ApiKey mk_...`
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await findApiKey(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_API_KEY',
+          message: 'Invalid API key',
+          statusCode: 401
+        }
+      });
+    }
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      return res.status(401).json({
+        error: {
+          code: 'API_KEY_EXPIRED',
+          message: 'API key has expired',
+          statusCode: 401
+        }
+      });
+    }
+
+    const result = await query(
+      `SELECT user_id, username, email, email_verified_at, role, disabled_at, deletion_scheduled_at, created_at
+       FROM users WHERE user_id = $1`,
+      [apiKey.user_id]
+    );
+    const user = result.rows[0];
+
+    if (user.disabled_at) {
+      return accountDisabled(res);
+    }
+
+    // Keys stay suspended during the deletion grace period; signing in to
+    // cancel the deletion brings them back
+    if (user.deletion_scheduled_at) {
+      return res.status(403).json({
+        error: {
+          code: 'ACCOUNT_DELETION_SCHEDULED',
+          message: 'This account is scheduled for deletion; sign in and choose "Cancel deletion" to use API keys again',
+          statusCode: 403
+        }
+      });
+    }
+
+    touchApiKey(apiKey.key_id, req.ip);
+
+    req.user = toRequestUser(user);
+    req.auth = { type: 'api_key', keyId: apiKey.key_id, scopes: apiKey.scopes };
+    next();
+  } catch (error) {
+    logger.error('API key authentication error:', error);
+    res.status(500).json({
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error fetching user',
+        statusCode: 500
+      }
+    });
+  }
+};
+
+// Middleware to verify JWT token (or a personal API key)
 const authenticateToken = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
+    if (token && authHeader.split(' ')[0].toLowerCase() === 'apikey') {
+      return authenticateApiKey(req, res, next, token);
+    }
+
     if (!token) {
       return res.status(401).json({
         error: {
@@ -42,7 +134,24 @@ const authenticateToken = async (req, res, next) => {
 
       // Get user from database - USE user_id column name
       try {
-        const result = await query('SELECT user_id, username, email, created_at FROM users WHERE user_id = $1', [decoded.id]);
+        // Reject tokens that were revoked on logout
+        if (await isTokenRevoked(token, decoded)) {
+          return res.status(401).json({
+            error: {
+              code: 'TOKEN_REVOKED',
+              message: 'Token has been revoked',
+              statusCode: 401
+            }
+          });
+        }
+
+        const result = await query(
+          `SELECT u.user_id, u.username, u.email, u.email_verified_at, u.role, u.disabled_at, u.deletion_scheduled_at, u.created_at, s.session_id, s.revoked_at AS session_revoked_at
+           FROM users u
+           LEFT JOIN user_sessions s ON s.session_id = $2 AND s.user_id = u.user_id
+           WHERE u.user_id = $1`,
+          [decoded.id, decoded.sid || null]
+        );
         
         if (result.rows.length === 0) {
           return res.status(404).json({
@@ -56,12 +165,29 @@ const authenticateToken = async (req, res, next) => {
 
         // Map user_id to id for consistency in req.user
         const user = result.rows[0];
-        req.user = {
-          id: user.user_id,
-          username: user.username,
-          email: user.email,
-          created_at: user.created_at
-        };
+
+        // Tokens bound to a session stop working once that session is signed out
+        if (decoded.sid) {
+          if (!user.session_id || user.session_revoked_at) {
+            return res.status(401).json({
+              error: {
+                code: 'SESSION_REVOKED',
+                message: 'Session has been revoked',
+                statusCode: 401
+              }
+            });
+          }
+          touchSession(decoded.sid, req.ip);
+        }
+
+        if (user.disabled_at) {
+          return accountDisabled(res);
+        }
+
+        req.user = toRequestUser(user);
+        req.auth = { type: 'session' };
+        req.token = token;
+        req.tokenPayload = decoded;
         next();
       } catch (dbError) {
         logger.error('Database error in auth middleware:', dbError);
@@ -101,7 +227,57 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+// Middleware factory: require every listed permission for the user's role.
+// Requests made with an API key also need a scope that grants each permission.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user?.role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You do not have permission to perform this action',
+        requiredPermissions: missing,
+        statusCode: 403
+      }
+    });
+  }
+
+  if (req.auth?.type === 'api_key') {
+    const outOfScope = permissions.filter(permission => !scopesAllow(req.auth.scopes, permission));
+
+    if (outOfScope.length > 0) {
+      return res.status(403).json({
+        error: {
+          code: 'INSUFFICIENT_SCOPE',
+          message: 'This API key does not have the scope required for this action',
+          requiredPermissions: outOfScope,
+          statusCode: 403
+        }
+      });
+    }
+  }
+  next();
+};
+
+// Account management (sessions, 2FA, API keys, admin) needs a signed-in session, not an API key
+const requireUserSession = (req, res, next) => {
+  if (req.auth?.type === 'api_key') {
+    return res.status(403).json({
+      error: {
+        code: 'API_KEY_NOT_ALLOWED',
+        message: 'This endpoint cannot be used with an API key',
+        statusCode: 403
+      }
+    });
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  isAdmin
-};
\ No newline at end of file
+  isAdmin,
+  requirePermission,
+  requireUserSession,
+  toRequestUser
+};
@@ -30,6 +30,24 @@ const generalLimiter = rateLimit({
   }
 });
 
+// Unauthenticated reads of published content get their own, more generous budget
+const publicLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.PUBLIC_RATE_LIMIT_MAX_REQUESTS) || 300,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Public rate limit exceeded', { ip: req.ip, url: req.url });
+    res.status(429).json({
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many requests from this IP, please try again later',
+        statusCode: 429
+      }
+    });
+  }
+});
+
 // AI-specific rate limiter
 const createAIRateLimiter = (maxRequests) => {
   return rateLimit({
@@ -44,11 +62,11 @@ const createAIRateLimiter = (maxRequests) => {
     },
     keyGenerator: (req) => {
       // Use user ID if authenticated, otherwise IP
-      return req.user ? `user:${req.user.user_id}` : `ip:${req.ip}`;
+      return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
     },
     handler: (req, res) => {
       logger.warn('AI rate limit exceeded', {
-        userId: req.user?.user_id,
+        userId: req.user?.id,
         ip: req.ip,
         url: req.url
       });
@@ -87,6 +105,7 @@ const aiRateLimiter = async (req, res, next) => {
 
 module.exports = {
   generalLimiter,
+  publicLimiter,
   aiRateLimiter,
   freeTierLimiter,
   premiumTierLimiter
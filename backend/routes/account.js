@@ -0,0 +1,133 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const { revokeToken } = require('../services/tokenBlacklist');
+const { revokeSessions } = require('../services/sessionService');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+  DELETION_GRACE_DAYS,
+  buildAccountExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require a signed-in session
+router.use(authenticateToken, requireUserSession);
+
+// Download everything we store about the account as JSON
+router.get('/export', async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user.id);
+    const filename = `muse-export-${req.user.username}-${new Date().toISOString().slice(0, 10)}.json`;
+
+    await recordAuditEvent({ userId: req.user.id, action: 'account_exported', req });
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(data);
+  } catch (error) {
+    logger.error('Account export error:', error);
+    res.status(500).json({
+      error: {
+        code: 'ACCOUNT_EXPORT_ERROR',
+        message: 'Failed to export account data',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Schedule the account for deletion after the grace period and sign out everywhere
+router.delete('/', [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const result = await query('SELECT password_hash FROM users WHERE user_id = $1', [req.user.id]);
+
+    if (!await bcrypt.compare(req.body.password, result.rows[0].password_hash)) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_PASSWORD',
+          message: 'Password is incorrect',
+          statusCode: 401
+        }
+      });
+    }
+
+    const deletionScheduledAt = await scheduleAccountDeletion(req.user.id);
+    await revokeSessions(req.user.id);
+    await revokeToken(req.token, req.tokenPayload);
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: 'account_deletion_scheduled',
+      req,
+      metadata: { deletionScheduledAt }
+    });
+    logger.info('Account deletion scheduled', { userId: req.user.id, deletionScheduledAt });
+
+    res.json({
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. To keep it, sign in before then and choose "Cancel deletion".`,
+      deletionScheduledAt
+    });
+  } catch (error) {
+    logger.error('Account deletion error:', error);
+    res.status(500).json({
+      error: {
+        code: 'ACCOUNT_DELETE_ERROR',
+        message: 'Failed to delete account',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Cancel a scheduled deletion during the grace period
+router.post('/restore', async (req, res) => {
+  try {
+    const restored = await cancelAccountDeletion(req.user.id);
+
+    if (!restored) {
+      return res.status(400).json({
+        error: {
+          code: 'DELETION_NOT_SCHEDULED',
+          message: 'This account is not scheduled for deletion',
+          statusCode: 400
+        }
+      });
+    }
+
+    await recordAuditEvent({ userId: req.user.id, action: 'account_deletion_cancelled', req });
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    logger.error('Account restore error:', error);
+    res.status(500).json({
+      error: {
+        code: 'ACCOUNT_RESTORE_ERROR',
+        message: 'Failed to cancel account deletion',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,392 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { ROLES } = require('../config/permissions');
+const { authenticateToken, requirePermission, requireUserSession } = require('../middleware/auth');
+const { revokeSessions } = require('../services/sessionService');
+const { recordAuditEvent } = require('../services/auditLog');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require a signed-in session; each route checks its own permission
+router.use(authenticateToken, requireUserSession);
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+const paginationValidation = [
+  queryParam('page').optional().isInt({ min: 1 }).toInt(),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNext: page * limit < total,
+  hasPrev: page > 1
+});
+
+const userIdValidation = param('id').isInt({ min: 1 }).withMessage('Invalid user id').toInt();
+
+const ADMIN_USER_COLUMNS = `u.user_id, u.username, u.email, u.role, u.email_verified_at, u.disabled_at,
+  u.totp_enabled_at, u.locked_until, u.created_at,
+  (SELECT COUNT(*) FROM blog_posts p WHERE p.user_id = u.user_id AND p.deleted_at IS NULL)::int AS post_count`;
+
+// Admins can't change their own role or disable themselves, so there's always one admin left
+const rejectSelf = (req, res) => {
+  if (req.params.id !== req.user.id) return false;
+
+  res.status(400).json({
+    error: {
+      code: 'CANNOT_MODIFY_SELF',
+      message: 'You cannot change your own role or disable your own account',
+      statusCode: 400
+    }
+  });
+  return true;
+};
+
+const userNotFound = (res) => res.status(404).json({
+  error: {
+    code: 'USER_NOT_FOUND',
+    message: 'User not found',
+    statusCode: 404
+  }
+});
+
+// List and search users
+router.get('/users', requirePermission('users:manage'), [
+  ...paginationValidation,
+  queryParam('search').optional().isString().trim(),
+  queryParam('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  queryParam('status').optional().isIn(['active', 'disabled']).withMessage('Status must be active or disabled')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { page = 1, limit = 20, search, role, status } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(u.username ILIKE $${params.length} OR u.email ILIKE $${params.length})`);
+    }
+    if (role) {
+      params.push(role);
+      conditions.push(`u.role = $${params.length}`);
+    }
+    if (status) {
+      conditions.push(status === 'disabled' ? 'u.disabled_at IS NOT NULL' : 'u.disabled_at IS NULL');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) FROM users u ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const usersResult = await query(
+      `SELECT ${ADMIN_USER_COLUMNS}
+       FROM users u ${whereClause}
+       ORDER BY u.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      users: usersResult.rows,
+      pagination: paginate(page, limit, total)
+    });
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      error: {
+        code: 'USERS_FETCH_ERROR',
+        message: 'Failed to fetch users',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:id/role', requirePermission('users:manage'), [
+  userIdValidation,
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    if (rejectSelf(req, res)) return;
+
+    const previous = await query('SELECT role FROM users WHERE user_id = $1', [req.params.id]);
+    if (previous.rows.length === 0) {
+      return userNotFound(res);
+    }
+
+    const result = await query(
+      `UPDATE users u SET role = $1 WHERE u.user_id = $2 RETURNING ${ADMIN_USER_COLUMNS}`,
+      [req.body.role, req.params.id]
+    );
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: 'user_role_changed',
+      req,
+      metadata: { targetUserId: req.params.id, from: previous.rows[0].role, to: req.body.role }
+    });
+    logger.info('User role changed', { adminId: req.user.id, userId: req.params.id, role: req.body.role });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Admin change role error:', error);
+    res.status(500).json({
+      error: {
+        code: 'ROLE_UPDATE_ERROR',
+        message: 'Failed to update role',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Disable or re-enable an account. Disabling signs the user out everywhere.
+router.patch('/users/:id/status', requirePermission('users:manage'), [
+  userIdValidation,
+  body('disabled').isBoolean().withMessage('Disabled must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    if (rejectSelf(req, res)) return;
+
+    const { disabled } = req.body;
+    const result = await query(
+      `UPDATE users u SET disabled_at = CASE WHEN $1 THEN COALESCE(u.disabled_at, NOW()) ELSE NULL END
+       WHERE u.user_id = $2 RETURNING ${ADMIN_USER_COLUMNS}`,
+      [disabled, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return userNotFound(res);
+    }
+
+    const revoked = disabled ? await revokeSessions(req.params.id) : [];
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: disabled ? 'user_disabled' : 'user_enabled',
+      req,
+      metadata: { targetUserId: req.params.id, revokedSessions: revoked.length }
+    });
+    logger.info(`User ${disabled ? 'disabled' : 'enabled'}`, { adminId: req.user.id, userId: req.params.id });
+
+    res.json({
+      message: disabled ? 'Account disabled' : 'Account enabled',
+      user: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Admin update user status error:', error);
+    res.status(500).json({
+      error: {
+        code: 'USER_STATUS_ERROR',
+        message: 'Failed to update account status',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// List posts across all users
+router.get('/posts', requirePermission('posts:read_any'), [
+  ...paginationValidation,
+  queryParam('search').optional().isString().trim(),
+  queryParam('status').optional().isIn(['draft', 'published', 'scheduled']).withMessage('Status must be draft, published or scheduled'),
+  queryParam('userId').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { page = 1, limit = 20, search, status, userId } = req.query;
+    const conditions = ['p.deleted_at IS NULL'];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`p.title ILIKE $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`p.status = $${params.length}`);
+    }
+    if (userId) {
+      params.push(userId);
+      conditions.push(`p.user_id = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await query(`SELECT COUNT(*) FROM blog_posts p ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const postsResult = await query(
+      `SELECT p.post_id, p.title, p.status, p.created_at, p.updated_at,
+              u.user_id, u.username
+       FROM blog_posts p
+       JOIN users u ON u.user_id = p.user_id
+       ${whereClause}
+       ORDER BY p.updated_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      posts: postsResult.rows,
+      pagination: paginate(page, limit, total)
+    });
+  } catch (error) {
+    logger.error('Admin list posts error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOGS_FETCH_ERROR',
+        message: 'Failed to fetch blog posts',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// View any post
+router.get('/posts/:id', requirePermission('posts:read_any'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid post id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const result = await query(
+      `SELECT p.post_id, p.title, p.content, p.status, p.created_at, p.updated_at,
+              u.user_id, u.username, u.email
+       FROM blog_posts p
+       JOIN users u ON u.user_id = p.user_id
+       WHERE p.post_id = $1 AND p.deleted_at IS NULL`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'BLOG_NOT_FOUND',
+          message: 'Blog post not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    res.json({ post: result.rows[0] });
+  } catch (error) {
+    logger.error('Admin get post error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOG_FETCH_ERROR',
+        message: 'Failed to fetch blog post',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Aggregate AI usage across all users
+router.get('/ai-usage', requirePermission('ai:view_usage'), [
+  queryParam('period').optional().isInt({ min: 1, max: 365 }).withMessage('Period must be between 1 and 365 days').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { period = 30 } = req.query;
+    const since = 'timestamp >= NOW() - $1 * INTERVAL \'1 day\'';
+
+    const [totalResult, featureResult, dailyResult, topUsersResult] = await Promise.all([
+      query(
+        `SELECT COUNT(*) AS requests, COALESCE(SUM(tokens_used), 0) AS tokens,
+                COUNT(DISTINCT user_id) AS active_users
+         FROM ai_usage_logs WHERE ${since}`,
+        [period]
+      ),
+      query(
+        `SELECT feature_type, COUNT(*) AS request_count, SUM(tokens_used) AS total_tokens
+         FROM ai_usage_logs WHERE ${since}
+         GROUP BY feature_type ORDER BY request_count DESC`,
+        [period]
+      ),
+      query(
+        `SELECT DATE(timestamp) AS date, COUNT(*) AS requests, SUM(tokens_used) AS tokens
+         FROM ai_usage_logs WHERE ${since}
+         GROUP BY DATE(timestamp) ORDER BY date DESC`,
+        [period]
+      ),
+      query(
+        `SELECT u.user_id, u.username, u.email, COUNT(*) AS requests, SUM(l.tokens_used) AS tokens
+         FROM ai_usage_logs l
+         JOIN users u ON u.user_id = l.user_id
+         WHERE l.${since}
+         GROUP BY u.user_id ORDER BY tokens DESC NULLS LAST LIMIT 10`,
+        [period]
+      )
+    ]);
+
+    const total = totalResult.rows[0];
+
+    res.json({
+      period: `${period} days`,
+      total: {
+        requests: parseInt(total.requests) || 0,
+        tokens: parseInt(total.tokens) || 0,
+        activeUsers: parseInt(total.active_users) || 0
+      },
+      byFeature: featureResult.rows,
+      dailyUsage: dailyResult.rows,
+      topUsers: topUsersResult.rows,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin AI usage error:', error);
+    res.status(500).json({
+      error: {
+        code: 'AI_USAGE_ERROR',
+        message: 'Failed to fetch AI usage data',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { aiRateLimiter } = require('../middleware/rateLimiter');
 const aiService = require('../services/aiService');
 const logger = require('../utils/logger');
@@ -10,6 +10,7 @@ const logger = require('../utils/logger');
 const router = express.Router();
 
 router.use(authenticateToken);
+router.use(requirePermission('ai:use'));
 router.use(aiRateLimiter);
 
 // Helper function to log AI usage
@@ -41,8 +42,8 @@ router.post('/generate', [
 
     const result = await aiService.generateContent(prompt, { tone, length, creativity });
 
-    // use req.user.user_id (your middleware maps DB column)
-    await logAIUsage(req.user.user_id, null, 'generate', result.tokensUsed || 0);
+    // auth middleware maps the user_id column to req.user.id
+    await logAIUsage(req.user.id, null, 'generate', result.tokensUsed || 0);
 
     return res.json({ content: result.content, tokensUsed: result.tokensUsed || 0, timestamp: result.timestamp });
   } catch (error) {
@@ -69,7 +70,7 @@ router.post('/grammar', [
     }
 
     const result = await aiService.correctGrammar(req.body.text);
-    await logAIUsage(req.user.user_id, null, 'grammar', result.tokensUsed || 0);
+    await logAIUsage(req.user.id, null, 'grammar', result.tokensUsed || 0);
     return res.json({ correctedText: result.correctedText, changes: result.changes, tokensUsed: result.tokensUsed || 0, timestamp: result.timestamp });
   } catch (error) {
     logger.error('AI grammar error:', error);
@@ -91,7 +92,7 @@ router.post('/enhance', [
     }
 
     const result = await aiService.enhanceContent(req.body.text, req.body.type);
-    await logAIUsage(req.user.user_id, null, `enhance_${req.body.type}`, result.tokensUsed || 0);
+    await logAIUsage(req.user.id, null, `enhance_${req.body.type}`, result.tokensUsed || 0);
     return res.json({ enhancedText: result.enhancedText, tokensUsed: result.tokensUsed || 0, timestamp: result.timestamp });
   } catch (error) {
     logger.error('AI enhance error:', error);
@@ -114,7 +115,7 @@ router.post('/titles', [
 
     const { content, count = 5 } = req.body;
     const result = await aiService.generateTitles(content, count);
-    await logAIUsage(req.user.user_id, null, 'titles', result.tokensUsed || 0);
+    await logAIUsage(req.user.id, null, 'titles', result.tokensUsed || 0);
     return res.json({ titles: result.titles, tokensUsed: result.tokensUsed || 0, timestamp: result.timestamp });
   } catch (error) {
     logger.error('AI titles error:', error);
@@ -136,18 +137,18 @@ router.get('/usage', async (req, res) => {
     const usageResult = await query(
       `SELECT feature_type, COUNT(*) as request_count, SUM(tokens_used) as total_tokens, AVG(tokens_used) as avg_tokens_per_request
        FROM ai_usage_logs WHERE user_id = $1 AND timestamp >= NOW() - INTERVAL '${days} days' GROUP BY feature_type ORDER BY request_count DESC`,
-      [req.user.user_id]
+      [req.user.id]
     );
 
     const dailyResult = await query(
       `SELECT DATE(timestamp) as date, COUNT(*) as requests, SUM(tokens_used) as tokens
        FROM ai_usage_logs WHERE user_id = $1 AND timestamp >= NOW() - INTERVAL '${days} days' GROUP BY DATE(timestamp) ORDER BY date DESC`,
-      [req.user.user_id]
+      [req.user.id]
     );
 
     const totalResult = await query(
       `SELECT COUNT(*) as total_requests, SUM(tokens_used) as total_tokens FROM ai_usage_logs WHERE user_id = $1`,
-      [req.user.user_id]
+      [req.user.id]
     );
 
     const total = totalResult.rows[0] || { total_requests: 0, total_tokens: 0 };
@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+  MAX_KEYS_PER_USER,
+  countActiveKeys,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require a signed-in session
+router.use(authenticateToken, requireUserSession);
+
+const SCOPES = Object.keys(API_KEY_SCOPES);
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+// List the user's active API keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+
+    res.json({ apiKeys, scopes: SCOPES });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      error: {
+        code: 'API_KEYS_FETCH_ERROR',
+        message: 'Failed to fetch API keys',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Create an API key. The key itself is only returned in this response.
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(SCOPES)
+    .withMessage(`Scopes must be one of: ${SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    if (await countActiveKeys(req.user.id) >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        error: {
+          code: 'API_KEY_LIMIT_REACHED',
+          message: `You can have at most ${MAX_KEYS_PER_USER} active API keys`,
+          statusCode: 400
+        }
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+    const apiKey = await createApiKey(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: 'api_key_created',
+      req,
+      metadata: { keyId: apiKey.key_id, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      apiKey
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      error: {
+        code: 'API_KEY_CREATE_ERROR',
+        message: 'Failed to create API key',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid API key id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const revoked = await revokeApiKey(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: {
+          code: 'API_KEY_NOT_FOUND',
+          message: 'API key not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: 'api_key_revoked',
+      req,
+      metadata: { keyId: req.params.id }
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: {
+        code: 'API_KEY_REVOKE_ERROR',
+        message: 'Failed to revoke API key',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
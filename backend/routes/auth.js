@@ -2,11 +2,60 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireUserSession, toRequestUser } = require('../middleware/auth');
+const { revokeToken, isTokenRevoked } = require('../services/tokenBlacklist');
+const { recordAuditEvent } = require('../services/auditLog');
+const { createChallengeToken, verifyChallengeToken, verifySecondFactor } = require('../services/twoFactorService');
+const { createSession, touchSession, revokeSessions } = require('../services/sessionService');
+const { consumeAccountToken } = require('../services/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const {
+  IP_WINDOW_SECONDS,
+  delayForFailures,
+  isIpBlocked,
+  isLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtection');
+const {
+  generateAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily
+} = require('../services/tokenService');
+
+const REFRESH_COOKIE_NAME = 'refresh_token';
+
+// Refresh token cookie is scoped to the auth routes and never readable from JS
+const refreshCookieOptions = (expires) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+  path: '/api/auth',
+  ...(expires && { expires })
+});
+
+// Start a session, set its refresh token cookie and return a short-lived access token
+const issueTokens = async (req, res, user) => {
+  const sessionId = await createSession(user.user_id, req);
+  const refreshToken = await issueRefreshToken(user.user_id, sessionId);
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken.token, refreshCookieOptions(refreshToken.expiresAt));
+  return generateAccessToken(user, sessionId);
+};
 
 // Validation middleware
+const passwordValidation = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long');
+
+const tokenValidation = body('token')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Token is required');
+
 const registerValidation = [
   body('username')
     .trim()
@@ -19,9 +68,7 @@ const registerValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Invalid email address'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+  passwordValidation('password')
 ];
 
 const loginValidation = [
@@ -67,29 +114,27 @@ router.post('/register', registerValidation, async (req, res) => {
 
     // Insert new user - FIXED: Use password_hash column and user_id
     const result = await query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING user_id, username, email, created_at',
+      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING user_id, username, email, role, created_at',
       [username, email, hashedPassword]
     );
 
     const newUser = result.rows[0];
 
-    // Generate JWT token - FIXED: Use user_id
-    const token = jwt.sign(
-      { id: newUser.user_id, email: newUser.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    // Generate access token and refresh cookie - FIXED: Use user_id
+    const token = await issueTokens(req, res, newUser);
 
     logger.info(`New user registered: ${newUser.email}`);
 
+    // Verification email failures shouldn't block registration; it can be resent
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      logger.error('Failed to send verification email:', mailError);
+    }
+
     res.status(201).json({
       message: 'User registered successfully',
-      user: {
-        id: newUser.user_id,
-        username: newUser.username,
-        email: newUser.email,
-        created_at: newUser.created_at
-      },
+      user: toRequestUser(newUser),
       token
     });
   } catch (error) {
@@ -101,6 +146,56 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+const tooManyLoginAttempts = (res) => {
+  res.set('Retry-After', String(IP_WINDOW_SECONDS));
+  return res.status(429).json({
+    error: {
+      code: 'TOO_MANY_LOGIN_ATTEMPTS',
+      message: 'Too many failed login attempts from this network. Please try again later.',
+      retryAfter: IP_WINDOW_SECONDS,
+      statusCode: 429
+    }
+  });
+};
+
+const accountLocked = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: {
+      code: 'ACCOUNT_LOCKED',
+      message: 'Account temporarily locked after too many failed login attempts',
+      lockedUntil,
+      retryAfter,
+      statusCode: 423
+    }
+  });
+};
+
+const accountDisabled = (res) => res.status(403).json({
+  error: {
+    code: 'ACCOUNT_DISABLED',
+    message: 'This account has been disabled. Contact an administrator.',
+    statusCode: 403
+  }
+});
+
+// Reset failure counters, start a session and respond with tokens
+const completeLogin = async (req, res, user) => {
+  await recordSuccessfulLogin(user);
+
+  // Generate access token and refresh cookie - FIXED: Use user_id
+  const token = await issueTokens(req, res, user);
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    message: 'Login successful',
+    user: toRequestUser(user),
+    token
+  });
+};
+
 // Login endpoint
 router.post('/login', loginValidation, async (req, res) => {
   try {
@@ -114,47 +209,58 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Too many failures from this IP across all accounts
+    if (await isIpBlocked(req.ip)) {
+      return tooManyLoginAttempts(res);
+    }
+
     // Find user
     const result = await query(
       'SELECT * FROM users WHERE email = $1',
       [email]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ 
-        message: 'Invalid email or password' 
-      });
+    const user = result.rows[0];
+
+    if (user && isLocked(user)) {
+      return accountLocked(res, user.locked_until);
     }
 
-    const user = result.rows[0];
+    // Slow down repeated guesses against the same account
+    await delayForFailures(user ? user.failed_login_attempts : 0);
 
     // Compare password - FIXED: Use password_hash instead of password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    const isValidPassword = user ? await bcrypt.compare(password, user.password_hash) : false;
 
     if (!isValidPassword) {
-      return res.status(401).json({ 
-        message: 'Invalid email or password' 
+      const lockedUntil = await recordFailedLogin(req, user);
+      if (lockedUntil) {
+        return accountLocked(res, lockedUntil);
+      }
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid email or password',
+          statusCode: 401
+        }
       });
     }
 
-    // Generate JWT token - FIXED: Use user_id
-    const token = jwt.sign(
-      { id: user.user_id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    // Checked after the password so disabled accounts can't be probed for
+    if (user.disabled_at) {
+      return accountDisabled(res);
+    }
 
-    logger.info(`User logged in: ${user.email}`);
+    // With 2FA enabled the password only earns a short-lived challenge token
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.user_id,
-        username: user.username,
-        email: user.email
-      },
-      token
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     logger.error('Login error:', error);
     res.status(500).json({ 
@@ -164,4 +270,519 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .trim(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim(),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = verifyChallengeToken(challengeToken);
+
+    if (!challenge || await isTokenRevoked(challengeToken, challenge)) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_CHALLENGE',
+          message: 'Your sign-in attempt has expired. Please sign in again.',
+          statusCode: 401
+        }
+      });
+    }
+
+    if (await isIpBlocked(req.ip)) {
+      return tooManyLoginAttempts(res);
+    }
+
+    const result = await query('SELECT * FROM users WHERE user_id = $1', [challenge.id]);
+    const user = result.rows[0];
+
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_CHALLENGE',
+          message: 'Your sign-in attempt has expired. Please sign in again.',
+          statusCode: 401
+        }
+      });
+    }
+
+    if (user.disabled_at) {
+      return accountDisabled(res);
+    }
+
+    if (isLocked(user)) {
+      return accountLocked(res, user.locked_until);
+    }
+
+    await delayForFailures(user.failed_login_attempts);
+
+    // Wrong codes count as failed logins so the code can't be brute-forced
+    const method = await verifySecondFactor(user.user_id, { code, recoveryCode });
+
+    if (!method) {
+      const lockedUntil = await recordFailedLogin(req, user);
+      if (lockedUntil) {
+        await revokeToken(challengeToken, challenge);
+        return accountLocked(res, lockedUntil);
+      }
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_TWO_FACTOR_CODE',
+          message: recoveryCode ? 'Invalid or already used recovery code' : 'Invalid authentication code',
+          statusCode: 401
+        }
+      });
+    }
+
+    // Challenges are single-use
+    await revokeToken(challengeToken, challenge);
+
+    if (method === 'recovery_code') {
+      await recordAuditEvent({ userId: user.user_id, action: 'recovery_code_used', req });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: {
+        code: 'LOGIN_ERROR',
+        message: 'Failed to complete sign in',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Get current user
+router.get('/me', authenticateToken, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Update username and/or email. Changing the email needs the current password
+// and marks the new address as unverified until it is confirmed.
+router.patch('/profile', authenticateToken, requireUserSession, [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address'),
+  body('currentPassword')
+    .if(body('email').exists())
+    .notEmpty()
+    .withMessage('Current password is required to change your email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { username, currentPassword } = req.body;
+    const email = req.body.email !== req.user.email ? req.body.email : undefined;
+
+    if (!username && !email) {
+      return res.status(400).json({
+        error: {
+          code: 'NO_CHANGES',
+          message: 'Nothing to update',
+          statusCode: 400
+        }
+      });
+    }
+
+    if (email) {
+      const current = await query('SELECT password_hash FROM users WHERE user_id = $1', [req.user.id]);
+      if (!await bcrypt.compare(currentPassword, current.rows[0].password_hash)) {
+        return res.status(401).json({
+          error: {
+            code: 'INVALID_PASSWORD',
+            message: 'Current password is incorrect',
+            statusCode: 401
+          }
+        });
+      }
+    }
+
+    const taken = await query(
+      'SELECT username, email FROM users WHERE user_id <> $1 AND (username = $2 OR email = $3)',
+      [req.user.id, username || null, email || null]
+    );
+
+    if (taken.rows.length > 0) {
+      const field = email && taken.rows[0].email === email ? 'email' : 'username';
+      return res.status(409).json({
+        error: {
+          code: field === 'email' ? 'EMAIL_TAKEN' : 'USERNAME_TAKEN',
+          message: `User with this ${field} already exists`,
+          statusCode: 409
+        }
+      });
+    }
+
+    const result = await query(
+      `UPDATE users SET username = COALESCE($1, username), email = COALESCE($2, email),
+         email_verified_at = CASE WHEN $2::text IS NULL THEN email_verified_at ELSE NULL END
+       WHERE user_id = $3
+       RETURNING user_id, username, email, email_verified_at, role, deletion_scheduled_at, created_at`,
+      [username || null, email || null, req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (email) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('Failed to send verification email:', mailError);
+      }
+    }
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: 'profile_updated',
+      req,
+      metadata: { fields: [username && 'username', email && 'email'].filter(Boolean) }
+    });
+
+    res.json({
+      message: email ? 'Profile updated. Check your inbox to verify your new email.' : 'Profile updated',
+      user: toRequestUser(user)
+    });
+  } catch (error) {
+    logger.error('Update profile error:', error);
+    res.status(500).json({
+      error: {
+        code: 'PROFILE_UPDATE_ERROR',
+        message: 'Failed to update profile',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Change password; every other session is signed out
+router.put('/password', authenticateToken, requireUserSession, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordValidation('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const result = await query('SELECT password_hash FROM users WHERE user_id = $1', [req.user.id]);
+
+    if (!await bcrypt.compare(currentPassword, result.rows[0].password_hash)) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_PASSWORD',
+          message: 'Current password is incorrect',
+          statusCode: 401
+        }
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await query('UPDATE users SET password_hash = $1 WHERE user_id = $2', [hashedPassword, req.user.id]);
+    const revoked = await revokeSessions(req.user.id, { exceptSessionId: req.tokenPayload.sid });
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      action: 'password_changed',
+      req,
+      metadata: { revokedSessions: revoked.length }
+    });
+    logger.info('Password changed', { userId: req.user.id });
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions: revoked.length
+    });
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      error: {
+        code: 'PASSWORD_CHANGE_ERROR',
+        message: 'Failed to change password',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Refresh endpoint - rotates the refresh cookie and returns a new access token
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+
+  if (!refreshToken) {
+    return res.status(401).json({
+      error: {
+        code: 'NO_REFRESH_TOKEN',
+        message: 'Refresh token is required',
+        statusCode: 401
+      }
+    });
+  }
+
+  try {
+    const { user, sessionId, refreshToken: next } = await rotateRefreshToken(refreshToken);
+
+    res.cookie(REFRESH_COOKIE_NAME, next.token, refreshCookieOptions(next.expiresAt));
+    await touchSession(sessionId, req.ip);
+
+    res.json({
+      user: toRequestUser(user),
+      token: generateAccessToken(user, sessionId)
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+      return res.status(401).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          statusCode: 401
+        }
+      });
+    }
+
+    logger.error('Refresh error:', error);
+    res.status(500).json({
+      error: {
+        code: 'REFRESH_ERROR',
+        message: 'Failed to refresh session',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Logout endpoint - revokes the presented access token and ends its session
+router.post('/logout', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    await revokeToken(req.token, req.tokenPayload);
+
+    if (req.tokenPayload.sid) {
+      await revokeSessions(req.user.id, { sessionId: req.tokenPayload.sid });
+    }
+
+    const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+    if (refreshToken) {
+      await revokeRefreshTokenFamily(refreshToken);
+    }
+    res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: {
+        code: 'LOGOUT_ERROR',
+        message: 'Failed to log out',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Validation error response shared by the account recovery endpoints
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+// Request a password reset email. Always responds the same way so it can't be used to probe accounts.
+router.post('/forgot-password', [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const result = await query(
+      'SELECT user_id, username, email FROM users WHERE email = $1',
+      [req.body.email]
+    );
+
+    if (result.rows.length > 0) {
+      await sendPasswordResetEmail(result.rows[0]);
+      logger.info(`Password reset requested: ${result.rows[0].email}`);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      error: {
+        code: 'FORGOT_PASSWORD_ERROR',
+        message: 'Failed to process password reset request',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Set a new password with a reset token; signs out every existing session
+router.post('/reset-password', [
+  tokenValidation,
+  passwordValidation('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const userId = await consumeAccountToken(req.body.token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_RESET_TOKEN',
+          message: 'Reset link is invalid or has expired',
+          statusCode: 400
+        }
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    await query('UPDATE users SET password_hash = $1 WHERE user_id = $2', [hashedPassword, userId]);
+    await revokeSessions(userId);
+
+    logger.info('Password reset completed', { userId });
+
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      error: {
+        code: 'RESET_PASSWORD_ERROR',
+        message: 'Failed to reset password',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Confirm an email address with a verification token
+router.post('/verify-email', [tokenValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const userId = await consumeAccountToken(req.body.token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_VERIFICATION_TOKEN',
+          message: 'Verification link is invalid or has expired',
+          statusCode: 400
+        }
+      });
+    }
+
+    await query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE user_id = $1',
+      [userId]
+    );
+
+    logger.info('Email verified', { userId });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      error: {
+        code: 'VERIFY_EMAIL_ERROR',
+        message: 'Failed to verify email',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Send a fresh verification email to the authenticated user
+router.post('/resend-verification', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({
+        error: {
+          code: 'EMAIL_ALREADY_VERIFIED',
+          message: 'Email is already verified',
+          statusCode: 400
+        }
+      });
+    }
+
+    await sendVerificationEmail({
+      user_id: req.user.id,
+      username: req.user.username,
+      email: req.user.email
+    });
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      error: {
+        code: 'RESEND_VERIFICATION_ERROR',
+        message: 'Failed to send verification email',
+        statusCode: 500
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,27 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { recordRevision, listRevisions, getRevision, getPreviousRevision } = require('../services/revisionService');
+const { slugify, uniqueSlug, updateSlugForTitle } = require('../services/slugService');
+const { sanitizePostHtml, isEmptyContent } = require('../services/sanitizer');
+const {
+  MAX_TAGS_PER_POST,
+  MAX_TAG_LENGTH,
+  tagSlug,
+  setPostTags,
+  attachTags,
+  getCategory,
+  categoryFilter
+} = require('../services/taxonomyService');
+const { searchPosts } = require('../services/searchService');
+const { schedulePublish, cancelScheduledPublish } = require('../services/publishingService');
+const { TRASH_RETENTION_DAYS } = require('../services/trashService');
+const { MAX_BULK_IDS, BULK_ACTIONS, runBulkAction } = require('../services/bulkPostService');
+const { markdownToPost, postToMarkdown } = require('../services/markdownService');
+const { renderHtmlDocument, renderPdf, renderEpub } = require('../services/exportService');
+const { diffHtml, diffText } = require('../utils/htmlDiff');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -9,13 +29,258 @@ const router = express.Router();
 // All routes require authentication
 router.use(authenticateToken);
 
+const STATUSES = ['draft', 'published', 'scheduled'];
+// Stored HTML, posts and autosaves alike
+const MAX_CONTENT_LENGTH = 1000000;
+
+// Scheduling counts as publishing, just later
+const isPublishing = (status) => status === 'published' || status === 'scheduled';
+
+// Saving a post as published needs the publish permission on top of write access
+const requirePublishPermissionForStatus = (req, res, next) => {
+  if (isPublishing(req.body.status) && !hasPermission(req.user.role, 'posts:publish')) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You do not have permission to publish posts',
+        requiredPermissions: ['posts:publish'],
+        statusCode: 403
+      }
+    });
+  }
+  next();
+};
+
+// Publishing requires a verified email address
+const requireVerifiedEmailToPublish = (req, res, next) => {
+  if (isPublishing(req.body.status) && !req.user.email_verified) {
+    return res.status(403).json({
+      error: {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Verify your email address before publishing',
+        statusCode: 403
+      }
+    });
+  }
+  next();
+};
+
+const statusValidators = [
+  body('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage('Status must be draft, published or scheduled'),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 date and time')
+    .toDate()
+];
+
+// A scheduled post needs a publish time in the future, and only scheduled posts have one
+const requirePublishAtForSchedule = (req, res, next) => {
+  const { status, publishAt } = req.body;
+  let message = null;
+
+  if (status === 'scheduled' && !publishAt) {
+    message = 'Choose when the post should be published';
+  } else if (status === 'scheduled' && publishAt <= new Date()) {
+    message = 'The publish time must be in the future';
+  } else if (status !== 'scheduled' && publishAt) {
+    message = 'A publish time can only be set when scheduling a post';
+  }
+
+  if (message) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_PUBLISH_AT',
+        message,
+        statusCode: 400
+      }
+    });
+  }
+  next();
+};
+
+// Only allowlisted HTML is stored; the report tells the client what was stripped
+const sanitizeContent = (req, res, next) => {
+  if (typeof req.body.content !== 'string') return next();
+
+  const { html, report } = sanitizePostHtml(req.body.content);
+
+  if (isEmptyContent(html)) {
+    return res.status(400).json({
+      error: {
+        code: 'CONTENT_EMPTY',
+        message: 'Content is empty once unsupported HTML is removed',
+        sanitization: report,
+        statusCode: 400
+      }
+    });
+  }
+
+  if (report.modified) {
+    logger.warn('Post content sanitized', { userId: req.user.id, postId: req.params.id, ...report });
+  }
+
+  req.body.content = html;
+  req.sanitization = report;
+  next();
+};
+
+// A post can only be filed under one of its author's own categories
+const requireOwnedCategory = async (req, res, next) => {
+  const { categoryId } = req.body;
+  if (categoryId === undefined || categoryId === null) return next();
+
+  try {
+    if (!(await getCategory(req.user.id, categoryId))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'Category not found',
+          statusCode: 400
+        }
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const taxonomyValidators = [
+  body('tags')
+    .optional()
+    .isArray({ max: MAX_TAGS_PER_POST })
+    .withMessage(`A post can have at most ${MAX_TAGS_PER_POST} tags`),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tags must be between 1 and ${MAX_TAG_LENGTH} characters`),
+  body('categoryId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid category')
+    .toInt()
+];
+
+// Each bulk action checks the permission it needs. An unknown action is left
+// for the validators to reject.
+const requireBulkActionPermission = (req, res, next) => {
+  const { action } = req.body;
+  if (!Object.hasOwn(BULK_ACTIONS, action)) return next();
+  return requirePermission(BULK_ACTIONS[action].permission)(req, res, next);
+};
+
+// Replace a Markdown import's body with the post fields it describes
+const parseMarkdownImport = (req, res, next) => {
+  const source = typeof req.body === 'string' ? req.body : req.body?.markdown;
+
+  if (typeof source !== 'string' || !source.trim()) {
+    return res.status(400).json({
+      error: {
+        code: 'MARKDOWN_REQUIRED',
+        message: 'Send the Markdown document as text/markdown or as { "markdown": "..." }',
+        statusCode: 400
+      }
+    });
+  }
+
+  try {
+    req.body = markdownToPost(source);
+    req.importFormat = 'md';
+    next();
+  } catch (error) {
+    if (error.code !== 'INVALID_MARKDOWN') return next(error);
+    res.status(400).json({
+      error: {
+        code: error.code,
+        message: error.message,
+        statusCode: 400
+      }
+    });
+  }
+};
+
+const POST_COLUMNS = 'post_id, title, slug, content, status, publish_at, category_id, version, created_at, updated_at';
+
+// Every write bumps the post's version, which doubles as its ETag
+const postEtag = (post) => `"${post.version}"`;
+
+// Updates must name the version they were based on so concurrent edits can't
+// silently overwrite each other. `If-Match: *` explicitly opts out.
+const requireIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return res.status(428).json({
+      error: {
+        code: 'PRECONDITION_REQUIRED',
+        message: 'An If-Match header with the post version is required',
+        statusCode: 428
+      }
+    });
+  }
+
+  if (header.trim() === '*') {
+    req.expectedVersion = null;
+    return next();
+  }
+
+  const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+  if (!match) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_IF_MATCH',
+        message: 'If-Match must be a post ETag such as "3"',
+        statusCode: 400
+      }
+    });
+  }
+
+  req.expectedVersion = parseInt(match[1]);
+  next();
+};
+
+// 409 carrying the server copy so the client can merge
+const versionConflict = (res, currentPost) => res.status(409).set('ETag', postEtag(currentPost)).json({
+  error: {
+    code: 'VERSION_CONFLICT',
+    message: 'This post was changed somewhere else since you loaded it',
+    currentPost,
+    statusCode: 409
+  }
+});
+
 // Get all blog posts for the authenticated user
-router.get('/', async (req, res) => {
+router.get('/', [
+  requirePermission('posts:read'),
+  queryParam('tag').optional().isString().trim(),
+  queryParam('category')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid category')
+    .toInt()
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { page = 1, limit = 10, status, tag, category } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE user_id = $1';
+    let whereClause = 'WHERE user_id = $1 AND deleted_at IS NULL';
     let queryParams = [req.user.id]; // Changed from req.user.user_id
     let paramCount = 1;
 
@@ -25,6 +290,21 @@ router.get('/', async (req, res) => {
       queryParams.push(status);
     }
 
+    if (tag) {
+      paramCount++;
+      whereClause += ` AND post_id IN (
+        SELECT pt.post_id FROM blog_post_tags pt JOIN tags t ON t.tag_id = pt.tag_id
+        WHERE t.user_id = $1 AND t.slug = $${paramCount})`;
+      queryParams.push(tagSlug(tag));
+    }
+
+    // Filtering by a category includes its subcategories
+    if (category) {
+      paramCount++;
+      whereClause += ` AND ${categoryFilter(`$${paramCount}`)}`;
+      queryParams.push(category);
+    }
+
     // Get total count
     const countResult = await query(
       `SELECT COUNT(*) FROM blog_posts ${whereClause}`,
@@ -34,14 +314,14 @@ router.get('/', async (req, res) => {
 
     // Get posts with pagination
     const postsResult = await query(
-      `SELECT post_id, title, content, status, created_at, updated_at 
+      `SELECT ${POST_COLUMNS}
        FROM blog_posts ${whereClause} 
        ORDER BY updated_at DESC 
        LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
       [...queryParams, limit, offset]
     );
 
-    const posts = postsResult.rows;
+    const posts = await attachTags(postsResult.rows);
 
     res.json({
       posts,
@@ -65,13 +345,98 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Full-text search over the user's posts, ranked, with highlighted snippets.
+// `titleHighlight` and `snippet` are escaped text containing only <mark> tags.
+router.get('/search', [
+  requirePermission('posts:read'),
+  queryParam('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search text must be between 1 and 200 characters'),
+  queryParam('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage('Status must be draft, published or scheduled'),
+  queryParam('page').optional().isInt({ min: 1 }).toInt(),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { q, status, page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { results, total } = await searchPosts(req.user.id, q, { status, limit, offset });
+
+    res.json({
+      results: results.map(({ title_highlight, rank, ...result }) => ({
+        ...result,
+        rank: parseFloat(rank),
+        titleHighlight: title_highlight
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasNext: offset + results.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Search blogs error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOG_SEARCH_ERROR',
+        message: 'Failed to search blog posts',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// List the user's trashed posts with when each will be purged
+router.get('/trash', requirePermission('posts:delete'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT post_id, title, slug, status, deleted_at,
+              deleted_at + $2 * INTERVAL '1 day' AS purge_at
+       FROM blog_posts
+       WHERE user_id = $1 AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC`,
+      [req.user.id, TRASH_RETENTION_DAYS]
+    );
+
+    res.json({ posts: result.rows, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    logger.error('Get trash error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TRASH_FETCH_ERROR',
+        message: 'Failed to fetch trashed posts',
+        statusCode: 500
+      }
+    });
+  }
+});
+
 // Get single blog post
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('posts:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(
-      'SELECT post_id, title, content, status, created_at, updated_at FROM blog_posts WHERE post_id = $1 AND user_id = $2',
+      `SELECT ${POST_COLUMNS} FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL`,
       [id, req.user.id] // Changed
     );
 
@@ -85,7 +450,9 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    res.json({ post: result.rows[0] });
+    const [post] = await attachTags(result.rows);
+
+    res.set('ETag', postEtag(post)).json({ post });
   } catch (error) {
     logger.error('Get blog error:', error);
     res.status(500).json({
@@ -98,8 +465,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new blog post
-router.post('/', [
+// Checks for a new post, whether written in the editor or imported
+const createPostChecks = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -107,12 +474,19 @@ router.post('/', [
   body('content')
     .trim()
     .isLength({ min: 1 })
-    .withMessage('Content is required'),
-  body('status')
-    .optional()
-    .isIn(['draft', 'published'])
-    .withMessage('Status must be either draft or published')
-], async (req, res) => {
+    .withMessage('Content is required')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be at most ${MAX_CONTENT_LENGTH} characters`),
+  ...statusValidators,
+  ...taxonomyValidators,
+  requirePublishPermissionForStatus,
+  requireVerifiedEmailToPublish,
+  requirePublishAtForSchedule,
+  requireOwnedCategory,
+  sanitizeContent
+];
+
+const createPost = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -126,14 +500,42 @@ router.post('/', [
       });
     }
 
-    const { title, content, status = 'draft' } = req.body;
+    const { title, content, status = 'draft', publishAt = null, tags = [], categoryId = null } = req.body;
 
-    const result = await query(
-      'INSERT INTO blog_posts (user_id, title, content, status, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING post_id, title, content, status, created_at, updated_at',
-      [req.user.id, title, content, status] // Changed
-    );
+    const client = await getClient();
+    let post;
+    try {
+      await client.query('BEGIN');
+
+      const slug = await uniqueSlug(client, req.user.id, title);
+
+      const result = await client.query(
+        `INSERT INTO blog_posts (user_id, title, slug, content, status, publish_at, category_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW()) RETURNING ${POST_COLUMNS}`,
+        [req.user.id, title, slug, content, status, publishAt, categoryId] // Changed
+      );
+      post = result.rows[0];
+
+      if (post.status === 'scheduled') {
+        await schedulePublish(client, post);
+      }
+      post.tags = await setPostTags(client, { userId: req.user.id, postId: post.post_id, names: tags });
+
+      await recordRevision(client, {
+        postId: post.post_id,
+        userId: req.user.id,
+        title: post.title,
+        content: post.content,
+        status: post.status,
+        source: req.importFormat ? 'import' : 'create'
+      });
 
-    const post = result.rows[0];
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     logger.info('Blog post created', { 
       postId: post.post_id, 
@@ -141,9 +543,10 @@ router.post('/', [
       title: post.title 
     });
 
-    res.status(201).json({
+    res.status(201).set('ETag', postEtag(post)).json({
       message: 'Blog post created successfully',
-      post
+      post,
+      sanitization: req.sanitization
     });
   } catch (error) {
     logger.error('Create blog error:', error);
@@ -155,10 +558,112 @@ router.post('/', [
       }
     });
   }
+};
+
+// Create new blog post
+router.post('/', [requirePermission('posts:write'), ...createPostChecks], createPost);
+
+// Create a post from a Markdown document with optional YAML front matter.
+// Send it raw as text/markdown or as JSON { "markdown": "..." }.
+router.post('/import', [
+  requirePermission('posts:write'),
+  express.text({ type: ['text/markdown', 'text/x-markdown', 'text/plain'], limit: '10mb' }),
+  parseMarkdownImport,
+  ...createPostChecks
+], createPost);
+
+// Apply one action to many posts at once. Runs in a single transaction and
+// reports a result per post, so partial failures don't abort the batch.
+router.post('/bulk', [
+  body('action')
+    .isIn(Object.keys(BULK_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`),
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_IDS })
+    .withMessage(`Select between 1 and ${MAX_BULK_IDS} posts`),
+  body('ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid post id')
+    .toInt(),
+  body('tags')
+    .if(body('action').equals('tag'))
+    .isArray({ min: 1, max: MAX_TAGS_PER_POST })
+    .withMessage(`Add between 1 and ${MAX_TAGS_PER_POST} tags`),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tags must be between 1 and ${MAX_TAG_LENGTH} characters`),
+  requireBulkActionPermission
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { action, ids, tags = [] } = req.body;
+
+    if (action === 'publish' && !req.user.email_verified) {
+      return res.status(403).json({
+        error: {
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Verify your email address before publishing',
+          statusCode: 403
+        }
+      });
+    }
+
+    const client = await getClient();
+    let results;
+    try {
+      await client.query('BEGIN');
+      results = await runBulkAction(client, { userId: req.user.id, action, ids, tags });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+
+    logger.info('Bulk post action', {
+      userId: req.user.id,
+      action,
+      succeeded,
+      failed: results.length - succeeded
+    });
+
+    res.json({
+      action,
+      results,
+      succeeded,
+      failed: results.length - succeeded
+    });
+  } catch (error) {
+    logger.error('Bulk post action error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BULK_ACTION_ERROR',
+        message: 'Failed to apply the action to the selected posts',
+        statusCode: 500
+      }
+    });
+  }
 });
 
 // Update blog post
 router.put('/:id', [
+  requirePermission('posts:write'),
   body('title')
     .optional()
     .trim()
@@ -168,11 +673,17 @@ router.put('/:id', [
     .optional()
     .trim()
     .isLength({ min: 1 })
-    .withMessage('Content cannot be empty'),
-  body('status')
-    .optional()
-    .isIn(['draft', 'published'])
-    .withMessage('Status must be either draft or published')
+    .withMessage('Content cannot be empty')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be at most ${MAX_CONTENT_LENGTH} characters`),
+  ...statusValidators,
+  ...taxonomyValidators,
+  requirePublishPermissionForStatus,
+  requireVerifiedEmailToPublish,
+  requirePublishAtForSchedule,
+  requireOwnedCategory,
+  requireIfMatch,
+  sanitizeContent
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -188,22 +699,7 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { title, content, status } = req.body;
-
-    const existingPost = await query(
-      'SELECT post_id FROM blog_posts WHERE post_id = $1 AND user_id = $2',
-      [id, req.user.id] // Changed
-    );
-
-    if (existingPost.rows.length === 0) {
-      return res.status(404).json({
-        error: {
-          code: 'POST_NOT_FOUND',
-          message: 'Blog post not found',
-          statusCode: 404
-        }
-      });
-    }
+    const { title, content, status, publishAt, tags, categoryId } = req.body;
 
     const updates = [];
     const values = [];
@@ -225,9 +721,20 @@ router.put('/:id', [
       paramCount++;
       updates.push(`status = $${paramCount}`);
       values.push(status);
+
+      // Any status other than scheduled clears the publish time
+      paramCount++;
+      updates.push(`publish_at = $${paramCount}`);
+      values.push(status === 'scheduled' ? publishAt : null);
+    }
+
+    if (categoryId !== undefined) {
+      paramCount++;
+      updates.push(`category_id = $${paramCount}`);
+      values.push(categoryId);
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && tags === undefined) {
       return res.status(400).json({
         error: {
           code: 'NO_UPDATES',
@@ -238,24 +745,96 @@ router.put('/:id', [
     }
 
     paramCount++;
-    updates.push(`updated_at = NOW()`);
+    updates.push('version = version + 1', 'updated_at = NOW()');
     values.push(id);
 
-    const result = await query(
-      `UPDATE blog_posts SET ${updates.join(', ')} WHERE post_id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING post_id, title, content, status, created_at, updated_at`,
-      [...values, req.user.id] // Changed
-    );
+    const client = await getClient();
+    let post;
+    try {
+      await client.query('BEGIN');
+
+      // Lock the row so concurrent saves get consecutive revision numbers
+      const existingPost = await client.query(
+        `SELECT ${POST_COLUMNS} FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+        [id, req.user.id] // Changed
+      );
 
-    const post = result.rows[0];
+      if (existingPost.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          error: {
+            code: 'POST_NOT_FOUND',
+            message: 'Blog post not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      const previous = existingPost.rows[0];
+      if (req.expectedVersion !== null && previous.version !== req.expectedVersion) {
+        await attachTags([previous], client);
+        await client.query('ROLLBACK');
+        return versionConflict(res, previous);
+      }
+
+      const result = await client.query(
+        `UPDATE blog_posts SET ${updates.join(', ')} WHERE post_id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING ${POST_COLUMNS}`,
+        [...values, req.user.id] // Changed
+      );
+      post = result.rows[0];
+
+      if (post.status === 'scheduled') {
+        await schedulePublish(client, post);
+      } else if (previous.status === 'scheduled') {
+        await cancelScheduledPublish(client, post.post_id);
+      }
+
+      if (tags !== undefined) {
+        post.tags = await setPostTags(client, { userId: req.user.id, postId: post.post_id, names: tags });
+      } else {
+        await attachTags([post], client);
+      }
+
+      if (post.title !== previous.title) {
+        post.slug = await updateSlugForTitle(client, {
+          userId: req.user.id,
+          postId: post.post_id,
+          currentSlug: previous.slug,
+          title: post.title
+        });
+      }
+
+      // Status-only saves leave the text untouched, so there is nothing to snapshot
+      if (post.title !== previous.title || post.content !== previous.content) {
+        await recordRevision(client, {
+          postId: post.post_id,
+          userId: req.user.id,
+          title: post.title,
+          content: post.content,
+          status: post.status
+        });
+      }
+
+      // A real save supersedes the autosave slot
+      await client.query('DELETE FROM blog_post_autosaves WHERE post_id = $1', [post.post_id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     logger.info('Blog post updated', { 
       postId: post.post_id, 
       userId: req.user.id // Changed
     });
 
-    res.json({
+    res.set('ETag', postEtag(post)).json({
       message: 'Blog post updated successfully',
-      post
+      post,
+      sanitization: req.sanitization
     });
   } catch (error) {
     logger.error('Update blog error:', error);
@@ -269,34 +848,83 @@ router.put('/:id', [
   }
 });
 
-// Delete blog post
-router.delete('/:id', async (req, res) => {
+// Permanently delete everything in the trash
+router.delete('/trash', requirePermission('posts:delete'), async (req, res) => {
   try {
-    const { id } = req.params;
-
     const result = await query(
-      'DELETE FROM blog_posts WHERE post_id = $1 AND user_id = $2 RETURNING post_id, title',
-      [id, req.user.id] // Changed
+      'DELETE FROM blog_posts WHERE user_id = $1 AND deleted_at IS NOT NULL',
+      [req.user.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        error: {
-          code: 'POST_NOT_FOUND',
-          message: 'Blog post not found',
-          statusCode: 404
-        }
-      });
-    }
+    logger.info('Trash emptied', { userId: req.user.id, count: result.rowCount });
 
-    logger.info('Blog post deleted', { 
-      postId: id, 
-      userId: req.user.id // Changed
+    res.json({
+      message: 'Trash emptied',
+      deleted: result.rowCount
+    });
+  } catch (error) {
+    logger.error('Empty trash error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TRASH_EMPTY_ERROR',
+        message: 'Failed to empty the trash',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Move a blog post to the trash
+router.delete('/:id', requirePermission('posts:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const client = await getClient();
+    let post;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE blog_posts SET deleted_at = NOW(), version = version + 1
+         WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL
+         RETURNING post_id, title, status, deleted_at`,
+        [id, req.user.id] // Changed
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          error: {
+            code: 'POST_NOT_FOUND',
+            message: 'Blog post not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      post = result.rows[0];
+
+      // A trashed post must not go live; restoring reschedules it
+      if (post.status === 'scheduled') {
+        await cancelScheduledPublish(client, post.post_id);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Blog post moved to trash', { 
+      postId: id, 
+      userId: req.user.id // Changed
     });
 
     res.json({
-      message: 'Blog post deleted successfully',
-      post: result.rows[0]
+      message: 'Blog post moved to trash',
+      post
     });
   } catch (error) {
     logger.error('Delete blog error:', error);
@@ -310,46 +938,197 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Publish/unpublish blog post
-router.patch('/:id/publish', async (req, res) => {
+// Take a blog post back out of the trash
+router.post('/:id/restore', requirePermission('posts:delete'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
 
-    if (!status || !['draft', 'published'].includes(status)) {
-      return res.status(400).json({
-        error: {
-          code: 'INVALID_STATUS',
-          message: 'Status must be either draft or published',
-          statusCode: 400
-        }
-      });
+    const client = await getClient();
+    let post;
+    try {
+      await client.query('BEGIN');
+
+      // A schedule that passed while the post was in the trash falls back to a draft
+      const result = await client.query(
+        `UPDATE blog_posts
+         SET deleted_at = NULL, version = version + 1,
+             status = CASE WHEN status = 'scheduled' AND publish_at <= NOW() THEN 'draft' ELSE status END,
+             publish_at = CASE WHEN status = 'scheduled' AND publish_at <= NOW() THEN NULL ELSE publish_at END
+         WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+         RETURNING ${POST_COLUMNS}`,
+        [id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          error: {
+            code: 'POST_NOT_FOUND',
+            message: 'Trashed post not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      post = result.rows[0];
+
+      if (post.status === 'scheduled') {
+        await schedulePublish(client, post);
+      }
+      await attachTags([post], client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
+    logger.info('Blog post restored from trash', {
+      postId: post.post_id,
+      userId: req.user.id
+    });
+
+    res.set('ETag', postEtag(post)).json({
+      message: 'Blog post restored',
+      post
+    });
+  } catch (error) {
+    logger.error('Restore blog error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOG_RESTORE_ERROR',
+        message: 'Failed to restore blog post',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Permanently delete a trashed blog post. Posts must be trashed first.
+router.delete('/:id/permanent', requirePermission('posts:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
     const result = await query(
-      'UPDATE blog_posts SET status = $1, updated_at = NOW() WHERE post_id = $2 AND user_id = $3 RETURNING post_id, title, status, updated_at',
-      [status, id, req.user.id] // Changed
+      'DELETE FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING post_id, title',
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
         error: {
           code: 'POST_NOT_FOUND',
-          message: 'Blog post not found',
+          message: 'Trashed post not found',
           statusCode: 404
         }
       });
     }
 
-    const post = result.rows[0];
+    logger.info('Blog post permanently deleted', {
+      postId: id,
+      userId: req.user.id
+    });
+
+    res.json({
+      message: 'Blog post permanently deleted',
+      post: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Permanent delete blog error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOG_DELETE_ERROR',
+        message: 'Failed to delete blog post',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Publish, unpublish or schedule a blog post
+router.patch('/:id/publish', [
+  requirePermission('posts:publish'),
+  ...statusValidators,
+  requireVerifiedEmailToPublish,
+  requirePublishAtForSchedule,
+  requireIfMatch
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const { id } = req.params;
+    const { status, publishAt = null } = req.body;
+
+    if (!errors.isEmpty() || !status) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_STATUS',
+          message: 'Status must be draft, published or scheduled',
+          statusCode: 400
+        }
+      });
+    }
+
+    const client = await getClient();
+    let post;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE blog_posts SET status = $1, publish_at = $2, version = version + 1, updated_at = NOW()
+         WHERE post_id = $3 AND user_id = $4 AND deleted_at IS NULL AND ($5::int IS NULL OR version = $5)
+         RETURNING post_id, title, status, publish_at, version, updated_at`,
+        [status, publishAt, id, req.user.id, req.expectedVersion] // Changed
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+
+        // Either the post doesn't exist or its version moved on
+        const current = await query(
+          `SELECT ${POST_COLUMNS} FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+          [id, req.user.id]
+        );
+
+        if (current.rows.length > 0) {
+          const [currentPost] = await attachTags(current.rows);
+          return versionConflict(res, currentPost);
+        }
+
+        return res.status(404).json({
+          error: {
+            code: 'POST_NOT_FOUND',
+            message: 'Blog post not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      post = result.rows[0];
+
+      if (post.status === 'scheduled') {
+        await schedulePublish(client, post);
+      } else {
+        await cancelScheduledPublish(client, post.post_id);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     logger.info('Blog post status updated', { 
       postId: post.post_id, 
       userId: req.user.id, // Changed
-      status: post.status 
+      status: post.status,
+      publishAt: post.publish_at
     });
 
-    res.json({
+    res.set('ETag', postEtag(post)).json({
       message: `Blog post ${status} successfully`,
       post
     });
@@ -365,4 +1144,487 @@ router.patch('/:id/publish', async (req, res) => {
   }
 });
 
+// Resolve :id to one of the user's own posts for the revision and autosave routes
+const loadOwnedPost = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT post_id, title, slug, content, status, publish_at, updated_at FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Blog post not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    req.post = result.rows[0];
+    next();
+  } catch (error) {
+    logger.error('Load blog error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOG_FETCH_ERROR',
+        message: 'Failed to fetch blog post',
+        statusCode: 500
+      }
+    });
+  }
+};
+
+const revisionNotFound = (res) => res.status(404).json({
+  error: {
+    code: 'REVISION_NOT_FOUND',
+    message: 'Revision not found',
+    statusCode: 404
+  }
+});
+
+// Revision metadata without the (potentially large) content
+const summarizeRevision = ({ content, ...revision }) => revision;
+
+const EXPORT_FORMATS = ['md', 'html', 'pdf', 'epub'];
+const MAX_EPUB_CHAPTERS = 100;
+const MAX_EPUB_TITLE_LENGTH = 200;
+
+// The posts an EPUB bundles after :id, in reading order, or null when any
+// of them isn't one of the user's posts
+const loadChapters = async (userId, ids) => {
+  if (ids.length === 0) return [];
+
+  const result = await query(
+    `SELECT post_id, title, slug, content, status, publish_at, updated_at FROM blog_posts
+     WHERE post_id = ANY($1::int[]) AND user_id = $2 AND deleted_at IS NULL`,
+    [ids, userId]
+  );
+  if (result.rows.length !== ids.length) return null;
+
+  const byId = new Map(result.rows.map(post => [post.post_id, post]));
+  return ids.map(id => byId.get(id));
+};
+
+// Download a post as a file:
+//   md    Markdown with front matter
+//   html  a standalone, styled page
+//   pdf   rendered on the server
+//   epub  an e-book; ?posts=3,7 adds those posts as chapters after this one,
+//         and ?title= names the book
+router.get('/:id/export', [
+  requirePermission('posts:read'),
+  queryParam('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  queryParam('posts')
+    .optional()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage('posts must be a comma-separated list of post ids')
+    .bail()
+    .customSanitizer(value => [...new Set(String(value).split(',').map(Number))])
+    .custom(ids => ids.length < MAX_EPUB_CHAPTERS)
+    .withMessage(`An EPUB can have at most ${MAX_EPUB_CHAPTERS} chapters`),
+  queryParam('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_EPUB_TITLE_LENGTH })
+    .withMessage(`Title must be 1-${MAX_EPUB_TITLE_LENGTH} characters long`),
+  loadOwnedPost
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const formatError = errors.array().find(error => error.path === 'format');
+      return res.status(400).json({
+        error: formatError
+          ? { code: 'UNSUPPORTED_FORMAT', message: formatError.msg, statusCode: 400 }
+          : { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array(), statusCode: 400 }
+      });
+    }
+
+    const { format = 'md', posts = [], title } = req.query;
+    const author = req.user.username;
+
+    if (format === 'epub') {
+      const others = await loadChapters(req.user.id, posts.filter(id => id !== req.post.post_id));
+      if (!others) {
+        return res.status(404).json({
+          error: {
+            code: 'POST_NOT_FOUND',
+            message: 'Some of the selected posts were not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      const chapters = await attachTags([req.post, ...others]);
+      const bookTitle = title || (chapters.length === 1 ? req.post.title : `Posts by ${author}`);
+      const filename = chapters.length === 1 && !title ? req.post.slug : slugify(bookTitle);
+
+      return res
+        .type('application/epub+zip')
+        .attachment(`${filename}.epub`)
+        .send(await renderEpub(chapters, { title: bookTitle, author }));
+    }
+
+    const [post] = await attachTags([req.post]);
+
+    if (format === 'html') {
+      return res
+        .type('text/html; charset=utf-8')
+        .attachment(`${post.slug}.html`)
+        .send(renderHtmlDocument(post, { author }));
+    }
+    if (format === 'pdf') {
+      return res
+        .type('application/pdf')
+        .attachment(`${post.slug}.pdf`)
+        .send(await renderPdf(post, { author }));
+    }
+
+    res
+      .type('text/markdown; charset=utf-8')
+      .attachment(`${post.slug}.md`)
+      .send(postToMarkdown(post));
+  } catch (error) {
+    logger.error('Export blog error:', error);
+    res.status(500).json({
+      error: {
+        code: 'BLOG_EXPORT_ERROR',
+        message: 'Failed to export blog post',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// List a post's revisions, newest first
+router.get('/:id/revisions', requirePermission('posts:read'), loadOwnedPost, async (req, res) => {
+  try {
+    const revisions = await listRevisions(req.post.post_id);
+    res.json({ revisions });
+  } catch (error) {
+    logger.error('Get revisions error:', error);
+    res.status(500).json({
+      error: {
+        code: 'REVISIONS_FETCH_ERROR',
+        message: 'Failed to fetch revisions',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Diff two revisions. Without `from`, compares against the revision before `to`.
+router.get('/:id/revisions/diff', [
+  requirePermission('posts:read'),
+  queryParam('to').isInt({ min: 1 }).withMessage('to must be a revision id').toInt(),
+  queryParam('from').optional().isInt({ min: 1 }).withMessage('from must be a revision id').toInt(),
+  loadOwnedPost
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const postId = req.post.post_id;
+    const to = await getRevision(postId, req.query.to);
+    if (!to) return revisionNotFound(res);
+
+    const from = req.query.from
+      ? await getRevision(postId, req.query.from)
+      : await getPreviousRevision(postId, to.revision_number);
+    if (req.query.from && !from) return revisionNotFound(res);
+
+    res.json({
+      from: from && summarizeRevision(from),
+      to: summarizeRevision(to),
+      diff: {
+        title: diffText(from?.title || '', to.title),
+        content: diffHtml(from?.content || '', to.content)
+      }
+    });
+  } catch (error) {
+    logger.error('Diff revisions error:', error);
+    res.status(500).json({
+      error: {
+        code: 'REVISION_DIFF_ERROR',
+        message: 'Failed to compare revisions',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Get a single revision including its content
+router.get('/:id/revisions/:revisionId', [
+  requirePermission('posts:read'),
+  param('revisionId').isInt({ min: 1 }).withMessage('Invalid revision id').toInt(),
+  loadOwnedPost
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const revision = await getRevision(req.post.post_id, req.params.revisionId);
+    if (!revision) return revisionNotFound(res);
+
+    res.json({ revision });
+  } catch (error) {
+    logger.error('Get revision error:', error);
+    res.status(500).json({
+      error: {
+        code: 'REVISION_FETCH_ERROR',
+        message: 'Failed to fetch revision',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Restore a revision's title and content. The restore is itself saved as a new revision.
+router.post('/:id/revisions/:revisionId/restore', [
+  requirePermission('posts:write'),
+  param('revisionId').isInt({ min: 1 }).withMessage('Invalid revision id').toInt(),
+  requireIfMatch
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { id, revisionId } = req.params;
+    const client = await getClient();
+    let post;
+    let revision;
+    let restored;
+    try {
+      await client.query('BEGIN');
+
+      const existingPost = await client.query(
+        `SELECT ${POST_COLUMNS} FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+        [id, req.user.id]
+      );
+
+      if (existingPost.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          error: {
+            code: 'POST_NOT_FOUND',
+            message: 'Blog post not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      // Restoring from a stale history view mustn't overwrite a newer save
+      const previous = existingPost.rows[0];
+      if (req.expectedVersion !== null && previous.version !== req.expectedVersion) {
+        await attachTags([previous], client);
+        await client.query('ROLLBACK');
+        return versionConflict(res, previous);
+      }
+
+      restored = await getRevision(id, revisionId, client);
+      if (!restored) {
+        await client.query('ROLLBACK');
+        return revisionNotFound(res);
+      }
+
+      // Revisions saved before sanitization existed may still hold raw HTML
+      const result = await client.query(
+        `UPDATE blog_posts SET title = $1, content = $2, version = version + 1, updated_at = NOW()
+         WHERE post_id = $3
+         RETURNING ${POST_COLUMNS}`,
+        [restored.title, sanitizePostHtml(restored.content).html, id]
+      );
+      post = result.rows[0];
+      await attachTags([post], client);
+
+      post.slug = await updateSlugForTitle(client, {
+        userId: req.user.id,
+        postId: post.post_id,
+        currentSlug: existingPost.rows[0].slug,
+        title: post.title
+      });
+
+      revision = await recordRevision(client, {
+        postId: post.post_id,
+        userId: req.user.id,
+        title: post.title,
+        content: post.content,
+        status: post.status,
+        source: 'restore',
+        restoredFrom: restored.revision_number
+      });
+
+      await client.query('DELETE FROM blog_post_autosaves WHERE post_id = $1', [post.post_id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Blog post revision restored', {
+      postId: post.post_id,
+      userId: req.user.id,
+      revision: restored.revision_number
+    });
+
+    res.set('ETag', postEtag(post)).json({
+      message: `Restored revision ${restored.revision_number}`,
+      post,
+      revision
+    });
+  } catch (error) {
+    logger.error('Restore revision error:', error);
+    res.status(500).json({
+      error: {
+        code: 'REVISION_RESTORE_ERROR',
+        message: 'Failed to restore revision',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Get the post's autosaved draft, if any
+router.get('/:id/autosave', requirePermission('posts:read'), loadOwnedPost, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT title, content, base_version, saved_at FROM blog_post_autosaves WHERE post_id = $1',
+      [req.post.post_id]
+    );
+
+    res.json({ autosave: result.rows[0] || null });
+  } catch (error) {
+    logger.error('Get autosave error:', error);
+    res.status(500).json({
+      error: {
+        code: 'AUTOSAVE_FETCH_ERROR',
+        message: 'Failed to fetch autosaved draft',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Autosave unsaved editor changes into a separate slot; the post itself is untouched
+router.put('/:id/autosave', [
+  requirePermission('posts:write'),
+  body('title')
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
+  body('content')
+    .isString()
+    .withMessage('Content must be a string')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be at most ${MAX_CONTENT_LENGTH} characters`),
+  body('baseVersion')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('baseVersion must be a post version')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { title, baseVersion = null } = req.body;
+    // Restoring an autosave loads it into the editor, so it gets the same
+    // cleaning as a real save; an empty draft is still worth keeping
+    const content = sanitizePostHtml(req.body.content).html;
+
+    const result = await query(
+      `INSERT INTO blog_post_autosaves (post_id, title, content, base_version, saved_at)
+       SELECT post_id, $3, $4, $5, NOW() FROM blog_posts WHERE post_id = $1 AND user_id = $2 AND deleted_at IS NULL
+       ON CONFLICT (post_id) DO UPDATE
+         SET title = EXCLUDED.title, content = EXCLUDED.content,
+             base_version = EXCLUDED.base_version, saved_at = EXCLUDED.saved_at
+       RETURNING title, content, base_version, saved_at`,
+      [req.params.id, req.user.id, title, content, baseVersion]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Blog post not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    res.json({ autosave: result.rows[0] });
+  } catch (error) {
+    logger.error('Autosave error:', error);
+    res.status(500).json({
+      error: {
+        code: 'AUTOSAVE_ERROR',
+        message: 'Failed to autosave draft',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Discard the autosaved draft
+router.delete('/:id/autosave', requirePermission('posts:write'), loadOwnedPost, async (req, res) => {
+  try {
+    await query('DELETE FROM blog_post_autosaves WHERE post_id = $1', [req.post.post_id]);
+    res.json({ message: 'Autosaved draft discarded' });
+  } catch (error) {
+    logger.error('Discard autosave error:', error);
+    res.status(500).json({
+      error: {
+        code: 'AUTOSAVE_DELETE_ERROR',
+        message: 'Failed to discard autosaved draft',
+        statusCode: 500
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
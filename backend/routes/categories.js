@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  listCategories,
+  getCategory,
+  findSiblingCategory,
+  wouldCreateCycle,
+  deleteCategory
+} = require('../services/taxonomyService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+const categoryNotFound = (res) => res.status(404).json({
+  error: {
+    code: 'CATEGORY_NOT_FOUND',
+    message: 'Category not found',
+    statusCode: 404
+  }
+});
+
+const categoryExists = (res, name) => res.status(409).json({
+  error: {
+    code: 'CATEGORY_EXISTS',
+    message: `There is already a category called "${name}" here`,
+    statusCode: 409
+  }
+});
+
+const categoryId = () => param('id').isInt({ min: 1 }).withMessage('Invalid category id').toInt();
+
+const categoryName = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 80 })
+  .withMessage('Category name must be between 1 and 80 characters');
+
+// null (or omitted on create) means top level
+const parentId = () => body('parentId')
+  .optional({ values: 'null' })
+  .isInt({ min: 1 })
+  .withMessage('Invalid parent category')
+  .toInt();
+
+// List the user's categories, flat, with their parent_id and post counts
+router.get('/', requirePermission('posts:read'), async (req, res) => {
+  try {
+    const categories = await listCategories(req.user.id);
+
+    res.json({ categories });
+  } catch (error) {
+    logger.error('Get categories error:', error);
+    res.status(500).json({
+      error: {
+        code: 'CATEGORIES_FETCH_ERROR',
+        message: 'Failed to fetch categories',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Create a category, optionally nested under another
+router.post('/', [requirePermission('posts:write'), categoryName(), parentId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { name } = req.body;
+    const parent = req.body.parentId ?? null;
+
+    if (parent !== null && !(await getCategory(req.user.id, parent))) {
+      return categoryNotFound(res);
+    }
+
+    if (await findSiblingCategory(req.user.id, parent, name)) {
+      return categoryExists(res, name);
+    }
+
+    const result = await query(
+      'INSERT INTO categories (user_id, parent_id, name) VALUES ($1, $2, $3) RETURNING category_id, parent_id, name',
+      [req.user.id, parent, name]
+    );
+
+    res.status(201).json({ category: { ...result.rows[0], post_count: 0 } });
+  } catch (error) {
+    logger.error('Create category error:', error);
+    res.status(500).json({
+      error: {
+        code: 'CATEGORY_CREATE_ERROR',
+        message: 'Failed to create category',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Rename a category and/or move it under another parent
+router.patch('/:id', [
+  requirePermission('posts:write'),
+  categoryId(),
+  categoryName().optional(),
+  parentId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const category = await getCategory(req.user.id, req.params.id);
+    if (!category) {
+      return categoryNotFound(res);
+    }
+
+    const name = req.body.name ?? category.name;
+    const parent = req.body.parentId !== undefined ? req.body.parentId : category.parent_id;
+
+    if (parent !== category.parent_id && parent !== null) {
+      if (!(await getCategory(req.user.id, parent))) {
+        return categoryNotFound(res);
+      }
+      if (await wouldCreateCycle(category.category_id, parent)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PARENT',
+            message: 'A category cannot be moved inside itself',
+            statusCode: 400
+          }
+        });
+      }
+    }
+
+    if (await findSiblingCategory(req.user.id, parent, name, category.category_id)) {
+      return categoryExists(res, name);
+    }
+
+    const result = await query(
+      'UPDATE categories SET name = $1, parent_id = $2 WHERE category_id = $3 RETURNING category_id, parent_id, name',
+      [name, parent, category.category_id]
+    );
+
+    res.json({ category: result.rows[0] });
+  } catch (error) {
+    logger.error('Update category error:', error);
+    res.status(500).json({
+      error: {
+        code: 'CATEGORY_UPDATE_ERROR',
+        message: 'Failed to update category',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Delete a category. Its subcategories and posts move up to its parent.
+router.delete('/:id', [requirePermission('posts:write'), categoryId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const category = await getCategory(req.user.id, req.params.id, client);
+      if (!category) {
+        await client.query('ROLLBACK');
+        return categoryNotFound(res);
+      }
+
+      await deleteCategory(client, { userId: req.user.id, category });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    logger.error('Delete category error:', error);
+    res.status(500).json({
+      error: {
+        code: 'CATEGORY_DELETE_ERROR',
+        message: 'Failed to delete category',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
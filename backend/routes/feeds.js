@@ -0,0 +1,59 @@
+const express = require('express');
+const { FEED_CACHE_SECONDS, isFeedFile, getFeed } = require('../services/feedService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Public syndication feeds of an author's published posts:
+//   /feeds/:username/rss.xml, /feeds/:username/atom.xml, /feeds/:username/feed.json
+router.get('/:username/:file', async (req, res) => {
+  try {
+    const { username, file } = req.params;
+
+    if (!isFeedFile(file)) {
+      return res.status(404).json({
+        error: {
+          code: 'FEED_NOT_FOUND',
+          message: 'Feeds are available as rss.xml, atom.xml and feed.json',
+          statusCode: 404
+        }
+      });
+    }
+
+    const feed = await getFeed(username, file);
+    if (!feed) {
+      return res.status(404).json({
+        error: {
+          code: 'AUTHOR_NOT_FOUND',
+          message: 'Author not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    res.set({
+      'Content-Type': feed.type,
+      'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`,
+      ETag: feed.etag,
+      'Last-Modified': feed.lastModified
+    });
+
+    // Aggregators poll with If-None-Match / If-Modified-Since
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.send(feed.body);
+  } catch (error) {
+    logger.error('Feed error:', error);
+    res.status(500).json({
+      error: {
+        code: 'FEED_FETCH_ERROR',
+        message: 'Failed to build feed',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const { getClient } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { detectFormat } = require('../services/importParsers');
+const { createImport, getImport, listImports } = require('../services/importService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Matches the JSON limit for this path in server.js
+const MAX_IMPORT_SIZE = '50mb';
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+// Creating accounts for the source blog's authors is an admin's call
+const requireAdminToMapAuthors = (req, res, next) => {
+  if (!req.query.mapAuthors) return next();
+  return requirePermission('users:manage')(req, res, next);
+};
+
+// Start an import. The body is the export file itself: WordPress WXR as
+// application/xml, or a Ghost export as application/json.
+//   ?dryRun=true      report what would happen without saving anything
+//   ?mapAuthors=true  give posts to accounts matching the source authors' emails,
+//                     creating accounts that don't exist yet (admins only)
+router.post('/', [
+  requirePermission('posts:write', 'posts:publish'),
+  express.text({ type: ['application/xml', 'text/xml', 'application/rss+xml'], limit: MAX_IMPORT_SIZE }),
+  queryParam('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+  queryParam('mapAuthors').optional().isBoolean().withMessage('mapAuthors must be true or false').toBoolean(),
+  requireAdminToMapAuthors
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { dryRun = false, mapAuthors = false } = req.query;
+
+    const format = detectFormat(req.body);
+    if (!format) {
+      return res.status(400).json({
+        error: {
+          code: 'UNSUPPORTED_IMPORT',
+          message: 'Upload a WordPress export (WXR XML file) or a Ghost export (JSON file)',
+          statusCode: 400
+        }
+      });
+    }
+
+    // Imported posts can go live, which needs a verified email like publishing does
+    if (!dryRun && !req.user.email_verified) {
+      return res.status(403).json({
+        error: {
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Verify your email address before importing posts',
+          statusCode: 403
+        }
+      });
+    }
+
+    const source = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+
+    const client = await getClient();
+    let record;
+    try {
+      await client.query('BEGIN');
+      record = await createImport(client, { userId: req.user.id, format, source, dryRun, mapAuthors });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Import queued', {
+      importId: record.import_id,
+      userId: req.user.id,
+      format,
+      dryRun,
+      mapAuthors
+    });
+
+    res.status(202).json({
+      message: dryRun ? 'Dry run queued' : 'Import queued',
+      import: record
+    });
+  } catch (error) {
+    logger.error('Create import error:', error);
+    res.status(500).json({
+      error: {
+        code: 'IMPORT_CREATE_ERROR',
+        message: 'Failed to start the import',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// The user's recent imports, newest first
+router.get('/', requirePermission('posts:write'), async (req, res) => {
+  try {
+    const imports = await listImports(req.user.id);
+
+    res.json({ imports });
+  } catch (error) {
+    logger.error('Get imports error:', error);
+    res.status(500).json({
+      error: {
+        code: 'IMPORTS_FETCH_ERROR',
+        message: 'Failed to fetch imports',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Progress and report for one import; clients poll this while it runs
+router.get('/:id', [
+  requirePermission('posts:write'),
+  param('id').isInt({ min: 1 }).withMessage('Invalid import id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const record = await getImport(req.user.id, req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          code: 'IMPORT_NOT_FOUND',
+          message: 'Import not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    res.json({ import: record });
+  } catch (error) {
+    logger.error('Get import error:', error);
+    res.status(500).json({
+      error: {
+        code: 'IMPORT_FETCH_ERROR',
+        message: 'Failed to fetch import',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
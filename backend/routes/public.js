@@ -0,0 +1,142 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { PUBLIC_POST_FILTER } = require('../services/publicPosts');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const CACHE_CONTROL = 'public, max-age=60';
+
+// List published posts, optionally for a single author
+router.get('/posts', [
+  queryParam('author').optional().isString().trim(),
+  queryParam('page').optional().isInt({ min: 1 }).toInt(),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const { page = 1, limit = 10, author } = req.query;
+    const params = [];
+    let where = PUBLIC_POST_FILTER;
+
+    if (author) {
+      const authorResult = await query(
+        'SELECT user_id FROM users WHERE username = $1 AND disabled_at IS NULL AND deletion_scheduled_at IS NULL',
+        [author]
+      );
+      if (authorResult.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: 'AUTHOR_NOT_FOUND',
+            message: 'Author not found',
+            statusCode: 404
+          }
+        });
+      }
+
+      params.push(authorResult.rows[0].user_id);
+      where += ` AND p.user_id = $${params.length}`;
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM blog_posts p JOIN users u ON u.user_id = p.user_id WHERE ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const postsResult = await query(
+      `SELECT p.title, p.slug, u.username AS author, p.created_at, p.updated_at,
+              LEFT(REGEXP_REPLACE(p.content, '<[^>]*>', ' ', 'g'), 300) AS excerpt
+       FROM blog_posts p
+       JOIN users u ON u.user_id = p.user_id
+       WHERE ${where}
+       ORDER BY p.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.set('Cache-Control', CACHE_CONTROL).json({
+      posts: postsResult.rows.map(post => ({ ...post, excerpt: post.excerpt.replace(/\s+/g, ' ').trim() })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Public posts error:', error);
+    res.status(500).json({
+      error: {
+        code: 'PUBLIC_POSTS_FETCH_ERROR',
+        message: 'Failed to fetch posts',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Read a published post. Old slugs of retitled posts redirect to the current one.
+router.get('/posts/:author/:slug', async (req, res) => {
+  try {
+    const { author, slug } = req.params;
+
+    const result = await query(
+      `SELECT p.title, p.slug, p.content, u.username AS author, p.created_at, p.updated_at
+       FROM blog_posts p
+       JOIN users u ON u.user_id = p.user_id
+       WHERE u.username = $1 AND p.slug = $2 AND ${PUBLIC_POST_FILTER}`,
+      [author, slug]
+    );
+
+    if (result.rows.length > 0) {
+      return res.set('Cache-Control', CACHE_CONTROL).json({ post: result.rows[0] });
+    }
+
+    const moved = await query(
+      `SELECT p.slug
+       FROM blog_post_slug_history h
+       JOIN blog_posts p ON p.post_id = h.post_id
+       JOIN users u ON u.user_id = p.user_id
+       WHERE u.username = $1 AND h.slug = $2 AND ${PUBLIC_POST_FILTER}`,
+      [author, slug]
+    );
+
+    if (moved.rows.length > 0) {
+      const location = `${req.baseUrl}/posts/${encodeURIComponent(author)}/${moved.rows[0].slug}`;
+      return res.redirect(301, location);
+    }
+
+    res.status(404).json({
+      error: {
+        code: 'POST_NOT_FOUND',
+        message: 'Post not found',
+        statusCode: 404
+      }
+    });
+  } catch (error) {
+    logger.error('Public post error:', error);
+    res.status(500).json({
+      error: {
+        code: 'PUBLIC_POST_FETCH_ERROR',
+        message: 'Failed to fetch post',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
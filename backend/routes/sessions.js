@@ -0,0 +1,110 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const { listSessions, revokeSessions } = require('../services/sessionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require a signed-in session
+router.use(authenticateToken, requireUserSession);
+
+// List active sessions for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.session_id,
+        device: session.device,
+        ip_address: session.ip_address,
+        user_agent: session.user_agent,
+        created_at: session.created_at,
+        last_seen_at: session.last_seen_at,
+        current: session.session_id === req.tokenPayload.sid
+      }))
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      error: {
+        code: 'SESSIONS_FETCH_ERROR',
+        message: 'Failed to fetch sessions',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/', async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.user.id, { exceptSessionId: req.tokenPayload.sid });
+
+    logger.info('Other sessions revoked', { userId: req.user.id, count: revoked.length });
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revokedCount: revoked.length
+    });
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to revoke sessions',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Revoke a single session
+router.delete('/:id', [
+  param('id').isUUID().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const revoked = await revokeSessions(req.user.id, { sessionId: req.params.id });
+
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    logger.info('Session revoked', { userId: req.user.id, sessionId: req.params.id });
+
+    res.json({
+      message: 'Session revoked successfully',
+      current: req.params.id === req.tokenPayload.sid
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to revoke session',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
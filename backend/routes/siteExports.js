@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { getClient } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { createSiteExport, getSiteExport, listSiteExports } = require('../services/siteExportService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+// Build the user's published posts into a static site.
+//   baseUrl      where the site will be hosted, used for feeds, canonical links and the sitemap
+//   fullRebuild  render every page instead of only posts changed since the last build
+router.post('/', [
+  requirePermission('posts:publish'),
+  body('baseUrl')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Base URL must be an http or https address')
+    .isLength({ max: 500 })
+    .withMessage('Base URL must be at most 500 characters long'),
+  body('fullRebuild').optional().isBoolean().withMessage('fullRebuild must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { baseUrl, fullRebuild = false } = req.body;
+
+    const client = await getClient();
+    let record;
+    try {
+      await client.query('BEGIN');
+      record = await createSiteExport(client, { userId: req.user.id, baseUrl, fullRebuild });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Static site build queued', {
+      siteExportId: record.site_export_id,
+      userId: req.user.id,
+      fullRebuild
+    });
+
+    res.status(202).json({
+      message: 'Site build queued',
+      siteExport: record
+    });
+  } catch (error) {
+    logger.error('Create site export error:', error);
+    res.status(500).json({
+      error: {
+        code: 'SITE_EXPORT_CREATE_ERROR',
+        message: 'Failed to start the site build',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// The user's recent builds, newest first
+router.get('/', requirePermission('posts:publish'), async (req, res) => {
+  try {
+    const siteExports = await listSiteExports(req.user.id);
+
+    res.json({ siteExports });
+  } catch (error) {
+    logger.error('Get site exports error:', error);
+    res.status(500).json({
+      error: {
+        code: 'SITE_EXPORTS_FETCH_ERROR',
+        message: 'Failed to fetch site builds',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Status and report for one build; clients poll this while it runs
+router.get('/:id', [
+  requirePermission('posts:publish'),
+  param('id').isInt({ min: 1 }).withMessage('Invalid site build id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const record = await getSiteExport(req.user.id, req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          code: 'SITE_EXPORT_NOT_FOUND',
+          message: 'Site build not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    res.json({ siteExport: record });
+  } catch (error) {
+    logger.error('Get site export error:', error);
+    res.status(500).json({
+      error: {
+        code: 'SITE_EXPORT_FETCH_ERROR',
+        message: 'Failed to fetch site build',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { MAX_TAG_LENGTH, tagSlug, listTags, findTagBySlug } = require('../services/taxonomyService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+const tagExists = (res, tag) => res.status(409).json({
+  error: {
+    code: 'TAG_EXISTS',
+    message: `You already have a tag called "${tag.name}"`,
+    statusCode: 409
+  }
+});
+
+const tagNotFound = (res) => res.status(404).json({
+  error: {
+    code: 'TAG_NOT_FOUND',
+    message: 'Tag not found',
+    statusCode: 404
+  }
+});
+
+const tagName = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: MAX_TAG_LENGTH })
+  .withMessage(`Tag name must be between 1 and ${MAX_TAG_LENGTH} characters`)
+  .customSanitizer(name => name.replace(/\s+/g, ' '));
+
+const tagId = () => param('id').isInt({ min: 1 }).withMessage('Invalid tag id').toInt();
+
+// List the user's tags with how many posts use each
+router.get('/', requirePermission('posts:read'), async (req, res) => {
+  try {
+    const tags = await listTags(req.user.id);
+
+    res.json({ tags });
+  } catch (error) {
+    logger.error('Get tags error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TAGS_FETCH_ERROR',
+        message: 'Failed to fetch tags',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Create a tag. Posts usually create tags implicitly by naming them.
+router.post('/', [requirePermission('posts:write'), tagName()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { name } = req.body;
+    const slug = tagSlug(name);
+
+    const existing = await findTagBySlug(req.user.id, slug);
+    if (existing) {
+      return tagExists(res, existing);
+    }
+
+    const result = await query(
+      'INSERT INTO tags (user_id, name, slug) VALUES ($1, $2, $3) RETURNING tag_id, name, slug',
+      [req.user.id, name, slug]
+    );
+
+    res.status(201).json({ tag: { ...result.rows[0], post_count: 0 } });
+  } catch (error) {
+    logger.error('Create tag error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TAG_CREATE_ERROR',
+        message: 'Failed to create tag',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Rename a tag everywhere it is used
+router.patch('/:id', [requirePermission('posts:write'), tagId(), tagName()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { name } = req.body;
+    const slug = tagSlug(name);
+
+    const existing = await findTagBySlug(req.user.id, slug, req.params.id);
+    if (existing) {
+      return tagExists(res, existing);
+    }
+
+    const result = await query(
+      'UPDATE tags SET name = $1, slug = $2 WHERE tag_id = $3 AND user_id = $4 RETURNING tag_id, name, slug',
+      [name, slug, req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return tagNotFound(res);
+    }
+
+    res.json({ tag: result.rows[0] });
+  } catch (error) {
+    logger.error('Update tag error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TAG_UPDATE_ERROR',
+        message: 'Failed to update tag',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Delete a tag; posts keep their other tags
+router.delete('/:id', [requirePermission('posts:write'), tagId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const result = await query(
+      'DELETE FROM tags WHERE tag_id = $1 AND user_id = $2 RETURNING tag_id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return tagNotFound(res);
+    }
+
+    res.json({ message: 'Tag deleted' });
+  } catch (error) {
+    logger.error('Delete tag error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TAG_DELETE_ERROR',
+        message: 'Failed to delete tag',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
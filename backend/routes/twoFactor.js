@@ -0,0 +1,230 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+  beginEnrollment,
+  completeEnrollment,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  countRemainingRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require a signed-in session
+router.use(authenticateToken, requireUserSession);
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array(),
+    statusCode: 400
+  }
+});
+
+const getTwoFactorState = async (userId) => {
+  const result = await query(
+    'SELECT password_hash, totp_enabled_at FROM users WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0];
+};
+
+// Get two-factor status
+router.get('/', async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.id);
+    const enabled = Boolean(state.totp_enabled_at);
+
+    res.json({
+      enabled,
+      enabledAt: state.totp_enabled_at,
+      recoveryCodesRemaining: enabled ? await countRemainingRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    logger.error('Get 2FA status error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TWO_FACTOR_STATUS_ERROR',
+        message: 'Failed to fetch two-factor status',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Start enrollment: returns the secret as an otpauth URI and a QR code to scan
+router.post('/setup', async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.id);
+
+    if (state.totp_enabled_at) {
+      return res.status(400).json({
+        error: {
+          code: 'TWO_FACTOR_ALREADY_ENABLED',
+          message: 'Two-factor authentication is already enabled',
+          statusCode: 400
+        }
+      });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(req.user);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TWO_FACTOR_SETUP_ERROR',
+        message: 'Failed to start two-factor setup',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/enable', [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const recoveryCodes = await completeEnrollment(req.user.id, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TWO_FACTOR_CODE',
+          message: 'Invalid authentication code. Start setup again if the problem persists.',
+          statusCode: 400
+        }
+      });
+    }
+
+    await recordAuditEvent({ userId: req.user.id, action: 'two_factor_enabled', req });
+    logger.info('Two-factor authentication enabled', { userId: req.user.id });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TWO_FACTOR_ENABLE_ERROR',
+        message: 'Failed to enable two-factor authentication',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Middleware: require the password and a current second factor for sensitive changes
+const confirmIdentity = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return validationFailed(res, errors);
+      }
+
+      const state = await getTwoFactorState(req.user.id);
+
+      if (!state.totp_enabled_at) {
+        return res.status(400).json({
+          error: {
+            code: 'TWO_FACTOR_NOT_ENABLED',
+            message: 'Two-factor authentication is not enabled',
+            statusCode: 400
+          }
+        });
+      }
+
+      const validPassword = await bcrypt.compare(req.body.password, state.password_hash);
+      const method = validPassword && await verifySecondFactor(req.user.id, req.body);
+
+      if (!method) {
+        return res.status(401).json({
+          error: {
+            code: 'INVALID_CREDENTIALS',
+            message: 'Invalid password or authentication code',
+            statusCode: 401
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+// Turn off two-factor authentication
+router.post('/disable', confirmIdentity, async (req, res) => {
+  try {
+    await disableTwoFactor(req.user.id);
+
+    await recordAuditEvent({ userId: req.user.id, action: 'two_factor_disabled', req });
+    logger.info('Two-factor authentication disabled', { userId: req.user.id });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      error: {
+        code: 'TWO_FACTOR_DISABLE_ERROR',
+        message: 'Failed to disable two-factor authentication',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+// Replace recovery codes, invalidating the old ones
+router.post('/recovery-codes', confirmIdentity, async (req, res) => {
+  try {
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    await recordAuditEvent({ userId: req.user.id, action: 'recovery_codes_regenerated', req });
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: {
+        code: 'RECOVERY_CODES_ERROR',
+        message: 'Failed to regenerate recovery codes',
+        statusCode: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
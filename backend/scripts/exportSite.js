@@ -0,0 +1,47 @@
+const { query, connectDB } = require('../config/database');
+const { buildStaticSite } = require('../services/staticSiteService');
+const logger = require('../utils/logger');
+
+// Build a user's published posts into a static site, updating only what
+// changed since the last build into the same directory.
+// Usage: node scripts/exportSite.js --user <username> --out <dir> --base-url <url> [--full]
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const username = option('user');
+const outDir = option('out');
+const baseUrl = option('base-url');
+const full = process.argv.includes('--full');
+
+async function exportSite() {
+  if (!username || !outDir || !baseUrl) {
+    logger.error('Usage: node scripts/exportSite.js --user <username> --out <dir> --base-url <url> [--full]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const result = await query('SELECT user_id FROM users WHERE username = $1', [username]);
+    if (result.rows.length === 0) {
+      logger.error(`❌ No user called ${username}`);
+      process.exit(1);
+    }
+
+    logger.info(`🏗️ Building static site for ${username} in ${outDir}${full ? ' (full rebuild)' : ''}...`);
+    const report = await buildStaticSite({ userId: result.rows[0].user_id, outDir, baseUrl, full });
+
+    logger.info(
+      `🎉 Site built: ${report.posts.rendered} post(s) rendered, ${report.posts.unchanged} unchanged, ` +
+      `${report.posts.removed} removed; ${report.pages.written} other page(s) updated`
+    );
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Static site export failed:', error);
+    process.exit(1);
+  }
+}
+
+exportSite();
@@ -76,6 +76,376 @@ const migrations = [
         FOR EACH ROW
         EXECUTE FUNCTION update_updated_at_column();
     `
+  },
+  {
+    name: 'create_refresh_tokens_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        token_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id UUID NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        replaced_by INTEGER REFERENCES refresh_tokens(token_id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Index for revoking a whole token family on reuse or logout
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+    `
+  },
+  {
+    name: 'create_user_sessions_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        session_id UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        device VARCHAR(100),
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Index for listing a user's sessions by recent activity
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, last_seen_at DESC);
+    `
+  },
+  {
+    name: 'add_users_email_verified_at',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+    `
+  },
+  {
+    name: 'create_user_tokens_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        token_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Index for invalidating a user's outstanding tokens
+      CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose);
+    `
+  },
+  {
+    name: 'add_users_login_lockout',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+    `
+  },
+  {
+    name: 'create_audit_logs_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        audit_id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        action VARCHAR(50) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Index for reviewing a user's security events
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id, created_at DESC);
+    `
+  },
+  {
+    name: 'add_users_two_factor',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+    `
+  },
+  {
+    name: 'create_user_recovery_codes_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        code_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+    `
+  },
+  {
+    name: 'add_users_role',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'author'
+        CONSTRAINT users_role_check CHECK (role IN ('admin', 'editor', 'author', 'viewer'));
+    `
+  },
+  {
+    name: 'add_users_disabled_at',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+    `
+  },
+  {
+    name: 'create_api_keys_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        key_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        last_used_ip VARCHAR(45),
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+    `
+  },
+  {
+    name: 'add_users_deletion_scheduled_at',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP WITH TIME ZONE;
+
+      CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled
+        ON users(deletion_scheduled_at) WHERE deletion_scheduled_at IS NOT NULL;
+    `
+  },
+  {
+    name: 'create_blog_post_revisions_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS blog_post_revisions (
+        revision_id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES blog_posts(post_id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        title VARCHAR(200) NOT NULL,
+        content TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'update',
+        restored_from INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (post_id, revision_number)
+      );
+
+      -- Posts written before history existed start with their current state
+      INSERT INTO blog_post_revisions (post_id, revision_number, user_id, title, content, status, source, created_at)
+      SELECT p.post_id, 1, p.user_id, p.title, p.content, p.status, 'create', p.updated_at
+      FROM blog_posts p
+      WHERE NOT EXISTS (SELECT 1 FROM blog_post_revisions r WHERE r.post_id = p.post_id);
+    `
+  },
+  {
+    name: 'add_blog_posts_version',
+    sql: `
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    `
+  },
+  {
+    name: 'create_blog_post_autosaves_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS blog_post_autosaves (
+        post_id INTEGER PRIMARY KEY REFERENCES blog_posts(post_id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL DEFAULT '',
+        content TEXT NOT NULL DEFAULT '',
+        base_version INTEGER,
+        saved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `
+  },
+  {
+    name: 'add_blog_posts_slug',
+    sql: `
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS slug VARCHAR(120);
+
+      -- Backfill from titles; repeated titles for the same author get the post id appended
+      UPDATE blog_posts p SET slug = numbered.slug
+      FROM (
+        SELECT post_id,
+               CASE WHEN rn = 1 THEN base ELSE base || '-' || post_id END AS slug
+        FROM (
+          SELECT post_id, base, ROW_NUMBER() OVER (PARTITION BY user_id, base ORDER BY post_id) AS rn
+          FROM (
+            SELECT post_id, user_id,
+                   COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 100)), ''), 'post') AS base
+            FROM blog_posts
+            WHERE slug IS NULL
+          ) bases
+        ) ranked
+      ) numbered
+      WHERE p.post_id = numbered.post_id;
+
+      ALTER TABLE blog_posts ALTER COLUMN slug SET NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_user_slug ON blog_posts(user_id, slug);
+
+      -- Old slugs of retitled posts, so existing links keep working
+      CREATE TABLE IF NOT EXISTS blog_post_slug_history (
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        slug VARCHAR(120) NOT NULL,
+        post_id INTEGER NOT NULL REFERENCES blog_posts(post_id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (user_id, slug)
+      );
+    `
+  },
+  {
+    name: 'create_tags_and_categories',
+    sql: `
+      CREATE TABLE IF NOT EXISTS tags (
+        tag_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        slug VARCHAR(60) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (user_id, slug)
+      );
+
+      CREATE TABLE IF NOT EXISTS blog_post_tags (
+        post_id INTEGER NOT NULL REFERENCES blog_posts(post_id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(tag_id) ON DELETE CASCADE,
+        PRIMARY KEY (post_id, tag_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_blog_post_tags_tag_id ON blog_post_tags(tag_id);
+
+      -- Categories nest through parent_id; deleting one moves its children up a level
+      CREATE TABLE IF NOT EXISTS categories (
+        category_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES categories(category_id) ON DELETE SET NULL,
+        name VARCHAR(80) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_user_parent_name
+        ON categories(user_id, COALESCE(parent_id, 0), LOWER(name));
+      CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(category_id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_category_id ON blog_posts(category_id);
+    `
+  },
+  {
+    name: 'add_blog_posts_search_vector',
+    sql: `
+      -- Titles rank above body text; tags are replaced by spaces so words don't run together
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+          setweight(to_tsvector('english', REGEXP_REPLACE(COALESCE(content, ''), '<[^>]*>', ' ', 'g')), 'B')
+        ) STORED;
+
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_search_vector ON blog_posts USING GIN (search_vector);
+    `
+  },
+  {
+    name: 'add_scheduled_publishing',
+    sql: `
+      ALTER TABLE blog_posts DROP CONSTRAINT IF EXISTS blog_posts_status_check;
+      ALTER TABLE blog_posts ADD CONSTRAINT blog_posts_status_check
+        CHECK (status IN ('draft', 'published', 'scheduled'));
+
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP WITH TIME ZONE;
+    `
+  },
+  {
+    name: 'create_jobs_table',
+    sql: `
+      -- Background jobs, claimed with FOR UPDATE SKIP LOCKED so any number of
+      -- instances can run them without doing the same job twice
+      CREATE TABLE IF NOT EXISTS jobs (
+        job_id BIGSERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+        run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        last_error TEXT,
+        dedupe_key VARCHAR(200),
+        locked_by VARCHAR(200),
+        locked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_pending_run_at ON jobs(run_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_jobs_running_locked_at ON jobs(locked_at) WHERE status = 'running';
+      -- At most one pending job per key, e.g. one scheduled publish per post
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_pending_dedupe_key ON jobs(dedupe_key) WHERE status = 'pending';
+    `
+  },
+  {
+    name: 'add_blog_posts_deleted_at',
+    sql: `
+      -- Trashed posts keep their row (and slug) until restored or purged
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_deleted_at ON blog_posts(deleted_at) WHERE deleted_at IS NOT NULL;
+    `
+  },
+  {
+    name: 'create_imports_table',
+    sql: `
+      -- WordPress / Ghost imports. The uploaded file is kept only until the job finishes.
+      CREATE TABLE IF NOT EXISTS imports (
+        import_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        format VARCHAR(10) NOT NULL CHECK (format IN ('wxr', 'ghost')),
+        source TEXT,
+        dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+        map_authors BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+        total_items INTEGER,
+        processed_items INTEGER NOT NULL DEFAULT 0,
+        report JSONB,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_imports_user ON imports(user_id, created_at DESC);
+
+      -- Where an imported post came from, so importing the same file twice skips it
+      ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS import_key VARCHAR(255);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_import_key
+        ON blog_posts(user_id, import_key) WHERE import_key IS NOT NULL;
+    `
+  },
+  {
+    name: 'create_site_exports_table',
+    sql: `
+      -- Static site builds of a user's published posts, run as background jobs
+      CREATE TABLE IF NOT EXISTS site_exports (
+        site_export_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        base_url VARCHAR(500) NOT NULL,
+        full_rebuild BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+        report JSONB,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_site_exports_user ON site_exports(user_id, created_at DESC);
+    `
   }
 ];
 
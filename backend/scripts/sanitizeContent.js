@@ -0,0 +1,69 @@
+const { query, connectDB } = require('../config/database');
+const { sanitizePostHtml } = require('../services/sanitizer');
+const logger = require('../utils/logger');
+
+// Re-run the sanitizer over stored posts, revisions and autosaves, e.g. after tightening
+// the allowlist. Usage: node scripts/sanitizeContent.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 200;
+
+// Posts get their version bumped so open editors notice the change
+const TABLES = [
+  { table: 'blog_posts', id: 'post_id', setExtra: ', version = version + 1' },
+  { table: 'blog_post_revisions', id: 'revision_id', setExtra: '' },
+  { table: 'blog_post_autosaves', id: 'post_id', setExtra: '' }
+];
+
+async function sanitizeTable({ table, id, setExtra }) {
+  let lastId = 0;
+  let scanned = 0;
+  let changed = 0;
+
+  for (;;) {
+    const batch = await query(
+      `SELECT ${id} AS id, content FROM ${table} WHERE ${id} > $1 ORDER BY ${id} LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (batch.rows.length === 0) break;
+
+    for (const row of batch.rows) {
+      const { html, report } = sanitizePostHtml(row.content);
+      scanned++;
+      if (html === row.content) continue;
+
+      changed++;
+      if (report.modified) {
+        logger.info(`${table} ${row.id}: stripped`, {
+          removedTags: report.removedTags,
+          removedAttributes: report.removedAttributes
+        });
+      }
+      if (!dryRun) {
+        await query(`UPDATE ${table} SET content = $1${setExtra} WHERE ${id} = $2`, [html, row.id]);
+      }
+    }
+
+    lastId = batch.rows[batch.rows.length - 1].id;
+  }
+
+  logger.info(`${table}: ${changed} of ${scanned} row(s) ${dryRun ? 'would change' : 'updated'}`);
+}
+
+async function sanitizeContent() {
+  try {
+    await connectDB();
+    logger.info(`🧹 Sanitizing stored content${dryRun ? ' (dry run)' : ''}...`);
+
+    for (const table of TABLES) {
+      await sanitizeTable(table);
+    }
+
+    logger.info('🎉 Content sanitization completed');
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Content sanitization failed:', error);
+    process.exit(1);
+  }
+}
+
+sanitizeContent();
@@ -1,5 +1,6 @@
 const { query, connectDB } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { slugify } = require('../services/slugService');
 const logger = require('../utils/logger');
 
 async function seedDatabase() {
@@ -19,20 +20,22 @@ async function seedDatabase() {
       {
         username: 'demo_user',
         email: 'demo@example.com',
-        password: 'DemoPassword123!'
+        password: 'DemoPassword123!',
+        role: 'admin'
       },
       {
         username: 'test_writer',
         email: 'writer@example.com',
-        password: 'WriterPass123!'
+        password: 'WriterPass123!',
+        role: 'author'
       }
     ];
 
     for (const user of users) {
       const hashedPassword = await bcrypt.hash(user.password, 12);
       await query(
-        'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3)',
-        [user.username, user.email, hashedPassword]
+        'INSERT INTO users (username, email, password_hash, role, email_verified_at) VALUES ($1, $2, $3, $4, NOW())',
+        [user.username, user.email, hashedPassword, user.role]
       );
       logger.info(`Created user: ${user.username}`);
     }
@@ -105,9 +108,14 @@ async function seedDatabase() {
     ];
 
     for (const post of samplePosts) {
+      const result = await query(
+        'INSERT INTO blog_posts (user_id, title, slug, content, status, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, NOW() - INTERVAL \'1 day\' * RANDOM() * 7, NOW() - INTERVAL \'1 day\' * RANDOM() * 7) RETURNING post_id, updated_at',
+        [post.user_id, post.title, slugify(post.title), post.content, post.status]
+      );
       await query(
-        'INSERT INTO blog_posts (user_id, title, content, status, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW() - INTERVAL \'1 day\' * RANDOM() * 7, NOW() - INTERVAL \'1 day\' * RANDOM() * 7)',
-        [post.user_id, post.title, post.content, post.status]
+        `INSERT INTO blog_post_revisions (post_id, revision_number, user_id, title, content, status, source, created_at)
+         VALUES ($1, 1, $2, $3, $4, $5, 'create', $6)`,
+        [result.rows[0].post_id, post.user_id, post.title, post.content, post.status, result.rows[0].updated_at]
       );
       logger.info(`Created blog post: ${post.title}`);
     }
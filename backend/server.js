@@ -4,18 +4,45 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 
 const authRoutes = require('./routes/auth');
+const sessionRoutes = require('./routes/sessions');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
 const blogRoutes = require('./routes/blogs');
+const tagRoutes = require('./routes/tags');
+const categoryRoutes = require('./routes/categories');
+const importRoutes = require('./routes/imports');
+const siteExportRoutes = require('./routes/siteExports');
 const aiRoutes = require('./routes/ai');
+const adminRoutes = require('./routes/admin');
+const accountRoutes = require('./routes/account');
+const publicRoutes = require('./routes/public');
+const feedRoutes = require('./routes/feeds');
 const { errorHandler } = require('./middleware/errorHandler');
+const { generalLimiter, publicLimiter } = require('./middleware/rateLimiter');
 const { notFound } = require('./middleware/notFound');
 const { connectDB, closePool } = require('./config/database');
+const { connectRedis, closeRedis } = require('./config/redis');
+const { registerTask, startScheduler, stopScheduler } = require('./services/scheduler');
+const { registerJobHandler, startJobRunner, stopJobRunner, purgeFinishedJobs } = require('./services/jobRunner');
+const { PUBLISH_JOB, publishScheduledPost } = require('./services/publishingService');
+const { purgeDeletedAccounts } = require('./services/accountService');
+const { purgeTrashedPosts } = require('./services/trashService');
+const { IMPORT_JOB, runImport } = require('./services/importService');
+const { SITE_EXPORT_JOB, runSiteExport } = require('./services/siteExportService');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For for rate limiting
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : parseInt(trustProxy) || trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -23,12 +50,16 @@ app.use(compression());
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 
 // Body parsing middleware
+// Blog exports uploaded for import are much larger than ordinary requests
+app.use('/api/imports', express.json({ limit: '50mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Logging middleware
 app.use(morgan('combined', {
@@ -58,9 +89,25 @@ app.get('/health', async (req, res) => {
 });
 
 // API routes
+// Only the routes that take credentials or send email are rate limited; /me,
+// /refresh and the rest are called constantly by signed-in users, who may share an IP
+const LIMITED_AUTH_ROUTES = ['/login', '/register', '/forgot-password', '/reset-password', '/resend-verification']
+  .map(route => `/api/auth${route}`);
+app.use(LIMITED_AUTH_ROUTES, generalLimiter);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/blogs', blogRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/site-exports', siteExportRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/public', publicLimiter, publicRoutes);
+app.use('/feeds', publicLimiter, feedRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -71,6 +118,21 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // Connect to Redis (falls back to in-memory store)
+    await connectRedis();
+
+    // Background maintenance
+    registerTask('purge_deleted_accounts', 60 * 60 * 1000, purgeDeletedAccounts);
+    registerTask('purge_finished_jobs', 24 * 60 * 60 * 1000, purgeFinishedJobs);
+    registerTask('purge_trashed_posts', 60 * 60 * 1000, purgeTrashedPosts);
+    startScheduler();
+
+    // Background jobs
+    registerJobHandler(PUBLISH_JOB, publishScheduledPost);
+    registerJobHandler(IMPORT_JOB, runImport);
+    registerJobHandler(SITE_EXPORT_JOB, runSiteExport);
+    startJobRunner();
     
     app.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
@@ -86,27 +148,39 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopScheduler();
+  stopJobRunner();
   await closePool();
+  await closeRedis();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopScheduler();
+  stopJobRunner();
   await closePool();
+  await closeRedis();
   process.exit(0);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', async (error) => {
   logger.error('Uncaught Exception:', error);
+  stopScheduler();
+  stopJobRunner();
   await closePool();
+  await closeRedis();
   process.exit(1);
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', async (reason, promise) => {
   logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  stopScheduler();
+  stopJobRunner();
   await closePool();
+  await closeRedis();
   process.exit(1);
 });
 
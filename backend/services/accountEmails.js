@@ -0,0 +1,50 @@
+const { sendMail } = require('./mailer');
+const { createAccountToken } = require('./accountTokens');
+
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (heading, body, actionUrl, actionLabel) => `
+  <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+    <h2>${escapeHtml(heading)}</h2>
+    <p>${escapeHtml(body)}</p>
+    <p><a href="${escapeHtml(actionUrl)}" style="display: inline-block; padding: 10px 16px; background: #059669; color: #fff; border-radius: 6px; text-decoration: none;">${escapeHtml(actionLabel)}</a></p>
+    <p style="color: #6b7280; font-size: 12px;">If the button doesn't work, copy this link into your browser:<br>${escapeHtml(actionUrl)}</p>
+  </div>
+`;
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user.user_id, 'email_verification');
+  const url = `${APP_URL}/verify-email?token=${token}`;
+  const body = `Hi ${user.username}, please confirm your email address to start publishing posts.`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `${body}\n\n${url}\n\nThis link can only be used once.`,
+    html: layout('Verify your email address', body, url, 'Verify email')
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user.user_id, 'password_reset');
+  const url = `${APP_URL}/reset-password?token=${token}`;
+  const body = `Hi ${user.username}, we received a request to reset your password. If this wasn't you, you can ignore this email.`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `${body}\n\n${url}\n\nThis link can only be used once and expires soon.`,
+    html: layout('Reset your password', body, url, 'Reset password')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,116 @@
+const { query } = require('../config/database');
+const { takeSiteOffline, rebuildSite } = require('./siteExportService');
+const logger = require('../utils/logger');
+
+// Deleted accounts are kept for a grace period so the owner can change their
+// mind; the purge task then removes the user row and ON DELETE CASCADE does the rest.
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Everything stored about a user, for a GDPR-style data export
+const buildAccountExport = async (userId) => {
+  const [profile, posts, aiUsage, sessions, apiKeys, auditLog] = await Promise.all([
+    query(
+      `SELECT user_id, username, email, role, email_verified_at, totp_enabled_at,
+              deletion_scheduled_at, created_at
+       FROM users WHERE user_id = $1`,
+      [userId]
+    ),
+    query(
+      `SELECT post_id, title, content, status, created_at, updated_at, deleted_at
+       FROM blog_posts WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT post_id, feature_type, tokens_used, timestamp
+       FROM ai_usage_logs WHERE user_id = $1 ORDER BY timestamp`,
+      [userId]
+    ),
+    query(
+      `SELECT device, ip_address, user_agent, created_at, last_seen_at, revoked_at
+       FROM user_sessions WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+       FROM api_keys WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT action, ip_address, user_agent, metadata, created_at
+       FROM audit_logs WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    )
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: profile.rows[0],
+    posts: posts.rows,
+    aiUsage: aiUsage.rows,
+    sessions: sessions.rows,
+    apiKeys: apiKeys.rows,
+    auditLog: auditLog.rows
+  };
+};
+
+// Returns the time the account will be purged
+const scheduleAccountDeletion = async (userId) => {
+  const result = await query(
+    `UPDATE users SET deletion_scheduled_at = COALESCE(deletion_scheduled_at, NOW() + $2 * INTERVAL '1 day')
+     WHERE user_id = $1 RETURNING deletion_scheduled_at`,
+    [userId, DELETION_GRACE_DAYS]
+  );
+  // The static site would otherwise stay online through the grace period;
+  // failing to take it down mustn't stop the deletion going ahead
+  try {
+    await takeSiteOffline({ query }, userId);
+  } catch (error) {
+    logger.error(`Failed to take static site of user ${userId} offline:`, error);
+  }
+  return result.rows[0].deletion_scheduled_at;
+};
+
+// Returns true when a pending deletion was cancelled
+const cancelAccountDeletion = async (userId) => {
+  const result = await query(
+    'UPDATE users SET deletion_scheduled_at = NULL WHERE user_id = $1 AND deletion_scheduled_at IS NOT NULL',
+    [userId]
+  );
+  if (result.rowCount === 0) return false;
+
+  // Scheduling the deletion took the static site offline
+  try {
+    await rebuildSite({ query }, userId);
+  } catch (error) {
+    logger.error(`Failed to queue static site rebuild for user ${userId}:`, error);
+  }
+  return true;
+};
+
+const purgeDeletedAccounts = async () => {
+  const result = await query(
+    'DELETE FROM users WHERE deletion_scheduled_at <= NOW() RETURNING user_id'
+  );
+
+  for (const { user_id: userId } of result.rows) {
+    try {
+      await takeSiteOffline({ query }, userId);
+    } catch (error) {
+      logger.error(`Failed to remove static site of purged user ${userId}:`, error);
+    }
+  }
+
+  if (result.rows.length > 0) {
+    logger.info(`Purged ${result.rows.length} deleted account(s)`, {
+      userIds: result.rows.map(row => row.user_id)
+    });
+  }
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildAccountExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeDeletedAccounts
+};
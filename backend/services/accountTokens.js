@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Single-use tokens emailed to users (password reset, email verification).
+// Only a SHA-256 hash is stored; the raw token exists only in the email.
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token, invalidating any earlier unused ones for the same purpose
+const createAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+
+  await query(
+    'UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  );
+
+  return token;
+};
+
+// Mark a token used and return its user id, or null if it is unknown, expired or already used
+const consumeAccountToken = async (token, purpose) => {
+  const result = await query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0]?.user_id ?? null;
+};
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Keys look like mk_<43 base64url chars>. Only a SHA-256 hash is stored; the
+// leading characters are kept so users can tell their keys apart.
+const KEY_PREFIX = 'mk_';
+const DISPLAY_PREFIX_LENGTH = 11;
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_MAX_PER_USER) || 20;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const KEY_COLUMNS = 'key_id, name, key_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at';
+
+const countActiveKeys = async (userId) => {
+  const result = await query(
+    `SELECT COUNT(*) FROM api_keys
+     WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Create a key and return it with the plaintext value, which is never shown again
+const createApiKey = async (userId, { name, scopes, expiresAt = null }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const result = await query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [userId, name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), scopes, expiresAt]
+  );
+
+  return { ...result.rows[0], key };
+};
+
+const listApiKeys = async (userId) => {
+  const result = await query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Returns true when a key was revoked
+const revokeApiKey = async (userId, keyId) => {
+  const result = await query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE key_id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [keyId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+// Look up a presented key. Returns the key row, or null when unknown or revoked.
+const findApiKey = async (key) => {
+  if (!key.startsWith(KEY_PREFIX)) return null;
+
+  const result = await query(
+    'SELECT key_id, user_id, scopes, expires_at FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashKey(key)]
+  );
+  return result.rows[0] || null;
+};
+
+// Record usage at most once a minute per key
+const touchApiKey = async (keyId, ipAddress) => {
+  try {
+    await query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+       WHERE key_id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [keyId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to update API key usage:', error);
+  }
+};
+
+module.exports = {
+  MAX_KEYS_PER_USER,
+  countActiveKeys,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  touchApiKey
+};
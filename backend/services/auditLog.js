@@ -0,0 +1,16 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Record a security-relevant event. Failures are logged but never break the request.
+const recordAuditEvent = async ({ userId = null, action, req, metadata = {} }) => {
+  try {
+    await query(
+      'INSERT INTO audit_logs (user_id, action, ip_address, user_agent, metadata) VALUES ($1, $2, $3, $4, $5)',
+      [userId, action, req?.ip || null, req?.get('User-Agent') || null, JSON.stringify(metadata)]
+    );
+  } catch (error) {
+    logger.error('Failed to record audit event:', error);
+  }
+};
+
+module.exports = { recordAuditEvent };
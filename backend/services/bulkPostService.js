@@ -0,0 +1,128 @@
+const { cancelScheduledPublish } = require('./publishingService');
+const { MAX_TAGS_PER_POST, tagSlug, setPostTags, attachTags } = require('./taxonomyService');
+const logger = require('../utils/logger');
+
+const MAX_BULK_IDS = 100;
+
+const BULK_POST_COLUMNS = 'post_id, title, slug, content, status, publish_at, category_id, version, created_at, updated_at';
+
+const summary = ({ post_id, title, status, version }) => ({ post_id, title, status, version });
+
+// Publishing now or unpublishing both drop any pending schedule
+const setStatus = async (db, post, status) => {
+  if (post.status === status) {
+    return { post: summary(post), unchanged: true };
+  }
+
+  const result = await db.query(
+    `UPDATE blog_posts SET status = $1, publish_at = NULL, version = version + 1, updated_at = NOW()
+     WHERE post_id = $2 RETURNING post_id, title, status, version`,
+    [status, post.post_id]
+  );
+  if (post.status === 'scheduled') {
+    await cancelScheduledPublish(db, post.post_id);
+  }
+  return { post: result.rows[0] };
+};
+
+// Each action's required permission and per-post handler. Handlers get the
+// locked post row and return what to report for it, or `{ error }` to skip it.
+const BULK_ACTIONS = {
+  publish: {
+    permission: 'posts:publish',
+    run: (db, post) => setStatus(db, post, 'published')
+  },
+  unpublish: {
+    permission: 'posts:publish',
+    run: (db, post) => setStatus(db, post, 'draft')
+  },
+  delete: {
+    permission: 'posts:delete',
+    run: async (db, post) => {
+      const result = await db.query(
+        `UPDATE blog_posts SET deleted_at = NOW(), version = version + 1
+         WHERE post_id = $1 RETURNING post_id, title, status, version`,
+        [post.post_id]
+      );
+      if (post.status === 'scheduled') {
+        await cancelScheduledPublish(db, post.post_id);
+      }
+      return { post: result.rows[0] };
+    }
+  },
+  tag: {
+    permission: 'posts:write',
+    // Adds to the post's existing tags
+    run: async (db, post, { userId, tags }) => {
+      const [current] = await attachTags([{ post_id: post.post_id }], db);
+      const names = [...current.tags.map(tag => tag.name), ...tags];
+      if (new Set(names.map(tagSlug)).size > MAX_TAGS_PER_POST) {
+        return { error: { code: 'TOO_MANY_TAGS', message: `A post can have at most ${MAX_TAGS_PER_POST} tags` } };
+      }
+      const updated = await setPostTags(db, { userId, postId: post.post_id, names });
+
+      const result = await db.query(
+        'UPDATE blog_posts SET version = version + 1 WHERE post_id = $1 RETURNING post_id, title, status, version',
+        [post.post_id]
+      );
+      return { post: { ...result.rows[0], tags: updated } };
+    }
+  },
+  export: {
+    permission: 'posts:read',
+    run: async (db, post) => {
+      const [exported] = await attachTags([post], db);
+      return { post: exported };
+    }
+  }
+};
+
+// Apply an action to each post inside the caller's transaction. Every post
+// runs under its own savepoint, so one failure doesn't undo the others.
+const runBulkAction = async (db, { userId, action, ids, tags = [] }) => {
+  const { run } = BULK_ACTIONS[action];
+  const uniqueIds = [...new Set(ids)];
+
+  // Lock in a fixed order so two overlapping bulk requests can't deadlock
+  const locked = await db.query(
+    `SELECT ${BULK_POST_COLUMNS} FROM blog_posts
+     WHERE post_id = ANY($1::int[]) AND user_id = $2 AND deleted_at IS NULL
+     ORDER BY post_id
+     FOR UPDATE`,
+    [uniqueIds, userId]
+  );
+  const posts = new Map(locked.rows.map(post => [post.post_id, post]));
+
+  const results = [];
+  for (const id of uniqueIds) {
+    const post = posts.get(id);
+    if (!post) {
+      results.push({ id, ok: false, error: { code: 'POST_NOT_FOUND', message: 'Blog post not found' } });
+      continue;
+    }
+
+    await db.query('SAVEPOINT bulk_item');
+    try {
+      const outcome = await run(db, post, { userId, tags });
+      if (outcome.error) {
+        await db.query('ROLLBACK TO SAVEPOINT bulk_item');
+        results.push({ id, ok: false, error: outcome.error });
+        continue;
+      }
+      await db.query('RELEASE SAVEPOINT bulk_item');
+      results.push({ id, ok: true, ...outcome });
+    } catch (error) {
+      await db.query('ROLLBACK TO SAVEPOINT bulk_item');
+      logger.error(`Bulk ${action} failed for post ${id}:`, error);
+      results.push({ id, ok: false, error: { code: 'BULK_ITEM_ERROR', message: `Failed to ${action} this post` } });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  MAX_BULK_IDS,
+  BULK_ACTIONS,
+  runBulkAction
+};
@@ -0,0 +1,514 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const JSZip = require('jszip');
+const { parseDocument } = require('htmlparser2');
+const renderDom = require('dom-serializer').default;
+
+// Files to hand to readers outside the app: a standalone HTML page, a PDF and
+// an EPUB with one chapter per post. Posts are { title, content, updated_at, tags }
+// with content already sanitized, so it only holds the editor's own markup.
+
+const MAX_INDENT = 8;
+// Quill numbers each indent level in turn as 1. / a. / i.
+const LIST_STYLES = ['decimal', 'lower-alpha', 'lower-roman'];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const byline = (post, author) => [author && `By ${author}`, post.updated_at && formatDate(post.updated_at)]
+  .filter(Boolean)
+  .join(' · ');
+
+const levels = Array.from({ length: MAX_INDENT + 1 }, (value, level) => level);
+const counterNames = (from) => levels.slice(from).map(level => `list-${level}`).join(' ');
+
+// Lists are flat with the depth in a ql-indent-N class, so numbering needs
+// one counter per level the way the editor does it
+const LIST_CSS = [
+  'ol, ul { padding-left: 1.5em; }',
+  `ol { list-style: none; counter-reset: ${counterNames(0)}; }`,
+  ...levels.map((level) => {
+    const selector = level === 0 ? 'ol > li' : `ol > li.ql-indent-${level}`;
+    const reset = level < MAX_INDENT ? ` counter-reset: ${counterNames(level + 1)};` : '';
+    return `${selector} { counter-increment: list-${level};${reset} }
+${selector}::before { content: counter(list-${level}, ${LIST_STYLES[level % LIST_STYLES.length]}) ". "; }`;
+  }),
+  ...levels.slice(1).map(level => `li.ql-indent-${level} { margin-left: ${level * 1.5}em; }`)
+].join('\n');
+
+const DOCUMENT_CSS = `
+body { margin: 0; background: #f9fafb; color: #111827; font: 18px/1.7 Georgia, 'Times New Roman', serif; }
+article { max-width: 42em; margin: 0 auto; padding: 3em 1.5em; background: #fff; }
+header { margin-bottom: 2em; padding-bottom: 1em; border-bottom: 1px solid #e5e7eb; }
+.title { margin: 0 0 0.25em; font-size: 2.2em; line-height: 1.2; }
+.meta { margin: 0; color: #6b7280; font: 0.8em/1.5 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; }
+.tags { margin: 0.75em 0 0; padding: 0; list-style: none; }
+.tags li { display: inline-block; margin: 0 0.4em 0.4em 0; padding: 0.1em 0.7em; border-radius: 999px;
+  background: #d1fae5; color: #065f46; font: 0.7em/1.6 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; }
+h1, h2, h3 { line-height: 1.3; }
+a { color: #047857; }
+blockquote { margin: 0; padding: 0 1em; border-left: 4px solid #a7f3d0; color: #4b5563; }
+pre { padding: 1em; overflow-x: auto; border-radius: 6px; background: #f3f4f6; font-size: 0.8em; line-height: 1.5; }
+code { font-family: Menlo, Consolas, monospace; }
+@media print { body { background: #fff; } article { padding: 0; } }
+${LIST_CSS}
+`;
+
+const renderTags = (tags = []) => (tags.length
+  ? `<ul class="tags">${tags.map(tag => `<li>${escapeHtml(tag.name)}</li>`).join('')}</ul>`
+  : '');
+
+// One self-contained page: styles are inline and nothing is loaded from the app
+const renderHtmlDocument = (post, { author } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${author ? `<meta name="author" content="${escapeHtml(author)}">\n` : ''}<title>${escapeHtml(post.title)}</title>
+<style>${DOCUMENT_CSS}</style>
+</head>
+<body>
+<article>
+<header>
+<h1 class="title">${escapeHtml(post.title)}</h1>
+<p class="meta">${escapeHtml(byline(post, author))}</p>
+${renderTags(post.tags)}
+</header>
+${post.content}
+</article>
+</body>
+</html>
+`;
+
+// PDF
+
+const PAGE_MARGIN = 72;
+const BODY_SIZE = 11;
+const CODE_SIZE = 9;
+const HEADING_SIZES = { h1: 20, h2: 16, h3: 13 };
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#6b7280';
+const LINK_COLOR = '#047857';
+const INDENT_STEP = 18;
+
+// The PDF standard fonts need no files, but only cover Western European text
+const STANDARD_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  code: 'Courier'
+};
+
+// For other scripts, PDF_FONT_DIR can hold TrueType replacements; any of
+// these files that is missing falls back to the standard font
+const FONT_FILES = {
+  regular: 'regular.ttf',
+  bold: 'bold.ttf',
+  italic: 'italic.ttf',
+  boldItalic: 'bold-italic.ttf',
+  code: 'mono.ttf'
+};
+
+const FONTS = Object.fromEntries(Object.entries(STANDARD_FONTS).map(([style, standard]) => {
+  const file = process.env.PDF_FONT_DIR && path.join(process.env.PDF_FONT_DIR, FONT_FILES[style]);
+  return [style, file && fs.existsSync(file) ? file : standard];
+}));
+
+const isStandardFont = (font) => Object.values(STANDARD_FONTS).includes(font);
+
+// Characters the standard fonts can draw (Windows-1252); others would come
+// out as the wrong glyphs
+const NOT_WIN_ANSI = /[^\n\x20-\x7e\xa0-\xff\u20ac\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u017d\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u017e\u0178]/g;
+
+// Select a font and return text it can draw
+const useFont = (doc, font, text) => {
+  doc.font(font);
+  return isStandardFont(font) ? text.replace(NOT_WIN_ANSI, '?') : text;
+};
+
+const fontFor = ({ bold, italic, code }) => {
+  if (code) return FONTS.code;
+  if (bold && italic) return FONTS.boldItalic;
+  if (bold) return FONTS.bold;
+  return italic ? FONTS.italic : FONTS.regular;
+};
+
+const INLINE_STYLES = {
+  strong: { bold: true },
+  b: { bold: true },
+  em: { italic: true },
+  i: { italic: true },
+  u: { underline: true },
+  s: { strike: true },
+  code: { code: true }
+};
+
+// Flatten an element's inline content into runs of identically styled text
+const textRuns = (node, style = {}) => {
+  if (node.type === 'text') {
+    return [{ ...style, text: node.data.replace(/\s+/g, ' ') }];
+  }
+  if (node.type !== 'tag') return [];
+  if (node.name === 'br') return [{ ...style, text: '\n' }];
+
+  let childStyle = { ...style, ...INLINE_STYLES[node.name] };
+  if (node.name === 'a' && node.attribs.href) childStyle = { ...childStyle, link: node.attribs.href };
+  return node.children.flatMap(child => textRuns(child, childStyle));
+};
+
+// <br> splits a paragraph into lines
+const splitLines = (runs) => runs.reduce((lines, run) => {
+  if (run.text === '\n') {
+    lines.push([]);
+  } else {
+    lines[lines.length - 1].push(run);
+  }
+  return lines;
+}, [[]]);
+
+const trimRuns = (runs) => {
+  const trimmed = runs.map(run => ({ ...run }));
+  if (trimmed.length) {
+    trimmed[0].text = trimmed[0].text.trimStart();
+    trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.trimEnd();
+  }
+  return trimmed.filter(run => run.text);
+};
+
+const elementText = (node) => (node.type === 'text'
+  ? node.data
+  : (node.children || []).map(elementText).join(''));
+
+const indentLevel = (node) => {
+  const match = /(?:^|\s)ql-indent-(\d)(?:\s|$)/.exec(node.attribs?.class || '');
+  return match ? Math.min(Number(match[1]), MAX_INDENT) : 0;
+};
+
+const toAlpha = (n) => {
+  let result = '';
+  for (let value = n; value > 0; value = Math.floor((value - 1) / 26)) {
+    result = String.fromCharCode(97 + ((value - 1) % 26)) + result;
+  }
+  return result;
+};
+
+const ROMAN = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+  [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+const toRoman = (n) => {
+  let rest = n;
+  let result = '';
+  for (const [value, numeral] of ROMAN) {
+    for (; rest >= value; rest -= value) result += numeral;
+  }
+  return result;
+};
+
+const listMarker = (ordered, level, n) => {
+  if (!ordered) return '•';
+  const style = LIST_STYLES[level % LIST_STYLES.length];
+  if (style === 'lower-alpha') return `${toAlpha(n)}.`;
+  if (style === 'lower-roman') return `${toRoman(n)}.`;
+  return `${n}.`;
+};
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Write runs as one paragraph starting at x. pdfkit chains differently styled
+// pieces of a line with `continued`.
+const writeRuns = (doc, runs, { x = doc.page.margins.left, size = BODY_SIZE, color = TEXT_COLOR, base = {}, gap = 0.6 } = {}) => {
+  const width = contentWidth(doc) - (x - doc.page.margins.left);
+  const lines = splitLines(runs).map(trimRuns);
+
+  doc.font(FONTS.regular).fontSize(size);
+  // An empty paragraph is how the editor stores a blank line
+  if (lines.every(line => line.length === 0)) {
+    doc.moveDown(gap + 1);
+    return;
+  }
+
+  for (const line of lines) {
+    if (line.length === 0) {
+      doc.font(FONTS.regular).fontSize(size).moveDown(1);
+      continue;
+    }
+
+    line.forEach((run, index) => {
+      const style = { ...base, ...run };
+      const text = useFont(doc, fontFor(style), style.text);
+      doc
+        .fontSize(style.code ? size - 1 : size)
+        .fillColor(style.link ? LINK_COLOR : color);
+
+      const options = {
+        continued: index < line.length - 1,
+        underline: Boolean(style.underline || style.link),
+        strike: Boolean(style.strike),
+        link: style.link || null
+      };
+      if (index === 0) {
+        doc.text(text, x, doc.y, { ...options, width });
+      } else {
+        doc.text(text, options);
+      }
+    });
+  }
+  doc.moveDown(gap);
+};
+
+const writeCodeBlock = (doc, node) => {
+  const padding = 8;
+  const x = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const code = useFont(doc, FONTS.code, elementText(node).replace(/\t/g, '    ').replace(/\n+$/, ''));
+
+  doc.fontSize(CODE_SIZE);
+  const height = doc.heightOfString(code, { width: width - padding * 2 });
+  // Shade the block when it fits on the page; long listings just run on
+  if (doc.y + height + padding * 2 <= doc.page.height - doc.page.margins.bottom) {
+    doc.rect(x, doc.y, width, height + padding * 2).fill('#f3f4f6');
+  }
+  doc.fillColor(TEXT_COLOR).text(code, x + padding, doc.y + padding, { width: width - padding * 2 });
+  doc.y += padding;
+  doc.moveDown(0.6);
+};
+
+const writeQuote = (doc, node) => {
+  const x = doc.page.margins.left;
+  const top = doc.y;
+  const page = doc.page;
+
+  writeRuns(doc, textRuns(node), { x: x + 14, color: MUTED_COLOR, gap: 0 });
+  if (doc.page === page) {
+    doc.moveTo(x + 2, top).lineTo(x + 2, doc.y).lineWidth(3).strokeColor('#a7f3d0').stroke();
+  }
+  doc.moveDown(0.6);
+};
+
+const writeList = (doc, node) => {
+  const ordered = node.name === 'ol';
+  const counters = new Array(MAX_INDENT + 1).fill(0);
+  const items = node.children.filter(child => child.type === 'tag' && child.name === 'li');
+
+  for (const item of items) {
+    const level = indentLevel(item);
+    counters[level]++;
+    counters.fill(0, level + 1);
+
+    const x = doc.page.margins.left + INDENT_STEP * (level + 1);
+    const marker = useFont(doc, FONTS.regular, listMarker(ordered, level, counters[level]));
+    const top = doc.y;
+    doc.fontSize(BODY_SIZE).fillColor(TEXT_COLOR)
+      .text(marker, x - INDENT_STEP - 4, top, { width: INDENT_STEP, align: 'right' });
+    doc.y = top;
+    writeRuns(doc, textRuns(item), { x, gap: 0.2 });
+  }
+  doc.moveDown(0.4);
+};
+
+const writeBlock = (doc, node) => {
+  if (node.type === 'text') {
+    if (node.data.trim()) writeRuns(doc, textRuns(node));
+    return;
+  }
+  if (node.type !== 'tag') return;
+
+  if (Object.hasOwn(HEADING_SIZES, node.name)) {
+    doc.moveDown(0.4);
+    writeRuns(doc, textRuns(node), { size: HEADING_SIZES[node.name], base: { bold: true }, gap: 0.4 });
+  } else if (node.name === 'ul' || node.name === 'ol') {
+    writeList(doc, node);
+  } else if (node.name === 'blockquote') {
+    writeQuote(doc, node);
+  } else if (node.name === 'pre') {
+    writeCodeBlock(doc, node);
+  } else {
+    writeRuns(doc, textRuns(node));
+  }
+};
+
+const numberPages = (doc) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(FONTS.regular).fontSize(9).fillColor(MUTED_COLOR)
+      .text(`${index + 1} / ${count}`, doc.page.margins.left, doc.page.height - bottom / 2, {
+        width: contentWidth(doc),
+        align: 'center'
+      });
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// Render a post to PDF with pdfkit, resolving to a Buffer
+const renderPdf = (post, { author } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: post.title, Author: author || undefined }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    doc.fontSize(24).fillColor(TEXT_COLOR).text(useFont(doc, FONTS.bold, post.title));
+    doc.moveDown(0.3);
+    doc.fontSize(10).fillColor(MUTED_COLOR).text(useFont(doc, FONTS.regular, byline(post, author)));
+    if (post.tags?.length) {
+      doc.text(useFont(doc, FONTS.regular, post.tags.map(tag => tag.name).join(', ')));
+    }
+    doc.moveDown(0.8);
+    const x = doc.page.margins.left;
+    doc.moveTo(x, doc.y).lineTo(x + contentWidth(doc), doc.y).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+    doc.moveDown(1.2);
+
+    for (const node of parseDocument(post.content).children) {
+      writeBlock(doc, node);
+    }
+
+    numberPages(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+// EPUB
+
+const EPUB_CSS = `
+body { margin: 0 5%; line-height: 1.6; }
+.title { margin-bottom: 0.2em; line-height: 1.2; }
+.meta { margin-top: 0; color: #6b7280; font-size: 0.85em; }
+blockquote { margin: 0; padding: 0 1em; border-left: 3px solid #a7f3d0; color: #4b5563; }
+pre { padding: 0.75em; white-space: pre-wrap; background: #f3f4f6; font-size: 0.8em; }
+code { font-family: monospace; }
+${LIST_CSS}
+`;
+
+// EPUB content documents are XML, so the HTML has to be re-serialized as XHTML
+const toXhtml = (html) => renderDom(parseDocument(html), { xmlMode: true });
+
+const chapterFile = (index) => `chapter-${index + 1}.xhtml`;
+
+const renderChapter = (post, author) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(post.title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+<section epub:type="chapter">
+<h1 class="title">${escapeHtml(post.title)}</h1>
+<p class="meta">${escapeHtml(byline(post, author))}</p>
+${toXhtml(post.content)}
+</section>
+</body>
+</html>
+`;
+
+const renderNav = (title, posts) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${posts.map((post, index) => `<li><a href="${chapterFile(index)}">${escapeHtml(post.title)}</a></li>`).join('\n')}
+</ol>
+</nav>
+</body>
+</html>
+`;
+
+// EPUB 2 readers look for the table of contents here instead
+const renderNcx = (identifier, title, posts) => `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${identifier}"/>
+</head>
+<docTitle><text>${escapeHtml(title)}</text></docTitle>
+<navMap>
+${posts.map((post, index) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}">
+<navLabel><text>${escapeHtml(post.title)}</text></navLabel>
+<content src="${chapterFile(index)}"/>
+</navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+const renderOpf = (identifier, title, author, posts) => `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${escapeHtml(title)}</dc:title>
+${author ? `<dc:creator>${escapeHtml(author)}</dc:creator>\n` : ''}<dc:language>en</dc:language>
+<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${posts.map((post, index) => `<item id="chapter-${index + 1}" href="${chapterFile(index)}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+${posts.map((post, index) => `<itemref idref="chapter-${index + 1}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+// Bundle posts into an EPUB 3 book, one chapter each in the given order
+const renderEpub = async (posts, { title, author } = {}) => {
+  const identifier = `urn:uuid:${crypto.randomUUID()}`;
+  const zip = new JSZip();
+
+  // The mimetype entry has to come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', CONTAINER_XML);
+  zip.file('OEBPS/content.opf', renderOpf(identifier, title, author, posts));
+  zip.file('OEBPS/nav.xhtml', renderNav(title, posts));
+  zip.file('OEBPS/toc.ncx', renderNcx(identifier, title, posts));
+  zip.file('OEBPS/style.css', EPUB_CSS);
+  posts.forEach((post, index) => {
+    zip.file(`OEBPS/${chapterFile(index)}`, renderChapter(post, author));
+  });
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+};
+
+module.exports = {
+  DOCUMENT_CSS,
+  renderHtmlDocument,
+  renderPdf,
+  renderEpub
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const redis = require('../config/redis');
+const { PUBLIC_POST_FILTER } = require('./publicPosts');
+const logger = require('../utils/logger');
+
+// Where readers follow links to, and where the feeds themselves are served
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+const FEED_SIZE = 20;
+// Rendered feeds are kept this long, so a change can take as long to show up
+const FEED_CACHE_SECONDS = parseInt(process.env.FEED_CACHE_SECONDS) || 300;
+
+// Characters XML 1.0 doesn't allow anywhere, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (text) => String(text)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Renderers take the URLs to link to, so the static site export can point
+// them at its own pages: { home, post: (post) => url, self: (file) => url }
+const appLinks = (username) => {
+  const home = `${APP_URL}/p/${encodeURIComponent(username)}`;
+  return {
+    home,
+    post: (post) => `${home}/${post.slug}`,
+    self: (file) => `${API_URL}/feeds/${encodeURIComponent(username)}/${file}`
+  };
+};
+
+// Tag URIs (RFC 4151) stay the same when a post is retitled and its URL changes
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return 'localhost';
+  }
+};
+const TAG_AUTHORITY = hostnameOf(APP_URL);
+const tagUri = (date, specific) => `tag:${TAG_AUTHORITY},${new Date(date).toISOString().slice(0, 10)}:${specific}`;
+const authorId = (author) => tagUri(author.created_at, `author:${author.user_id}`);
+const postId = (post) => tagUri(post.created_at, `post:${post.post_id}`);
+
+const isoDate = (date) => new Date(date).toISOString();
+
+const renderRss = ({ author, posts, updatedAt }, links) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+<title>${escapeXml(`Posts by ${author.username}`)}</title>
+<link>${escapeXml(links.home)}</link>
+<description>${escapeXml(`Published posts by ${author.username}`)}</description>
+<atom:link href="${escapeXml(links.self('rss.xml'))}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${new Date(updatedAt).toUTCString()}</lastBuildDate>
+${posts.map(post => `<item>
+<title>${escapeXml(post.title)}</title>
+<link>${escapeXml(links.post(post))}</link>
+<guid isPermaLink="false">${escapeXml(postId(post))}</guid>
+<pubDate>${new Date(post.created_at).toUTCString()}</pubDate>
+<description>${escapeXml(post.content)}</description>
+</item>`).join('\n')}
+</channel>
+</rss>
+`;
+
+const renderAtom = ({ author, posts, updatedAt }, links) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<id>${escapeXml(authorId(author))}</id>
+<title>${escapeXml(`Posts by ${author.username}`)}</title>
+<updated>${isoDate(updatedAt)}</updated>
+<link rel="self" type="application/atom+xml" href="${escapeXml(links.self('atom.xml'))}"/>
+<link rel="alternate" type="text/html" href="${escapeXml(links.home)}"/>
+<author>
+<name>${escapeXml(author.username)}</name>
+<uri>${escapeXml(links.home)}</uri>
+</author>
+${posts.map(post => `<entry>
+<id>${escapeXml(postId(post))}</id>
+<title>${escapeXml(post.title)}</title>
+<link rel="alternate" type="text/html" href="${escapeXml(links.post(post))}"/>
+<published>${isoDate(post.created_at)}</published>
+<updated>${isoDate(post.updated_at)}</updated>
+<content type="html">${escapeXml(post.content)}</content>
+</entry>`).join('\n')}
+</feed>
+`;
+
+const renderJsonFeed = ({ author, posts }, links) => `${JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: `Posts by ${author.username}`,
+  home_page_url: links.home,
+  feed_url: links.self('feed.json'),
+  authors: [{ name: author.username, url: links.home }],
+  items: posts.map(post => ({
+    id: postId(post),
+    url: links.post(post),
+    title: post.title,
+    content_html: post.content,
+    date_published: isoDate(post.created_at),
+    date_modified: isoDate(post.updated_at)
+  }))
+}, null, 2)}\n`;
+
+const FEED_FORMATS = {
+  'rss.xml': { type: 'application/rss+xml; charset=utf-8', render: renderRss },
+  'atom.xml': { type: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  'feed.json': { type: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+const FEED_FILES = Object.keys(FEED_FORMATS);
+
+const isFeedFile = (file) => Object.hasOwn(FEED_FORMATS, file);
+
+// feed is { author: { user_id, username, created_at }, posts, updatedAt }
+const renderFeed = (file, feed, links) => FEED_FORMATS[file].render(feed, links);
+
+// The author's latest published posts, or null for an unknown or inactive account
+const loadFeed = async (username) => {
+  const authorResult = await query(
+    `SELECT user_id, username, created_at FROM users
+     WHERE username = $1 AND disabled_at IS NULL AND deletion_scheduled_at IS NULL`,
+    [username]
+  );
+  const author = authorResult.rows[0];
+  if (!author) return null;
+
+  const postsResult = await query(
+    `SELECT p.post_id, p.title, p.slug, p.content, p.created_at, p.updated_at
+     FROM blog_posts p
+     JOIN users u ON u.user_id = p.user_id
+     WHERE p.user_id = $1 AND ${PUBLIC_POST_FILTER}
+     ORDER BY p.created_at DESC
+     LIMIT $2`,
+    [author.user_id, FEED_SIZE]
+  );
+
+  // Unpublishing or trashing a post changes the feed too, so look at every
+  // post rather than only the ones still in it
+  const changedResult = await query(
+    'SELECT GREATEST(MAX(updated_at), MAX(deleted_at)) AS changed_at FROM blog_posts WHERE user_id = $1',
+    [author.user_id]
+  );
+
+  return {
+    author,
+    posts: postsResult.rows,
+    updatedAt: changedResult.rows[0].changed_at || author.created_at
+  };
+};
+
+const cacheKey = (username, file) => `feed:${file}:${username}`;
+
+// A rendered feed with its validators: { type, body, etag, lastModified }.
+// Served from the key-value store while fresh so polling aggregators don't
+// reach Postgres. Returns null when the author doesn't exist.
+const getFeed = async (username, file) => {
+  const key = cacheKey(username, file);
+  try {
+    const cached = await redis.store.get(key);
+    if (cached) return JSON.parse(cached);
+  } catch (error) {
+    logger.warn('Feed cache read failed:', error.message);
+  }
+
+  const feed = await loadFeed(username);
+  if (!feed) return null;
+
+  const body = renderFeed(file, feed, appLinks(username));
+  const rendered = {
+    type: FEED_FORMATS[file].type,
+    body,
+    etag: `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`,
+    lastModified: new Date(feed.updatedAt).toUTCString()
+  };
+
+  try {
+    await redis.store.set(key, JSON.stringify(rendered), FEED_CACHE_SECONDS);
+  } catch (error) {
+    logger.warn('Feed cache write failed:', error.message);
+  }
+  return rendered;
+};
+
+module.exports = {
+  FEED_SIZE,
+  FEED_CACHE_SECONDS,
+  FEED_FILES,
+  isFeedFile,
+  renderFeed,
+  getFeed
+};
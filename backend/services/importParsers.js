@@ -0,0 +1,271 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// Turn a WordPress WXR export or a Ghost JSON export into one shape:
+//   { authors: Map<key, { key, login, email, name }>, items: [...], skipped: [...] }
+// Each item is { sourceId, importKey, title, html, status, publishAt, createdAt,
+// updatedAt, tags, authorKey }. Nothing here touches the database.
+
+const MAX_IMPORT_KEY_LENGTH = 255;
+
+const parseError = (message) => {
+  const e = new Error(message);
+  e.code = 'INVALID_IMPORT';
+  return e;
+};
+
+const importKey = (key) => key.slice(0, MAX_IMPORT_KEY_LENGTH);
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// "2024-01-31 09:15:00" in UTC; drafts use 0000-00-00 00:00:00
+const wpDate = (value) => (value && !String(value).startsWith('0000')
+  ? toDate(`${String(value).replace(' ', 'T')}Z`)
+  : null);
+
+const text = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '');
+  return String(value);
+};
+
+const BLOCK_TAGS = 'p|h[1-6]|ul|ol|li|blockquote|pre|div|figure|figcaption|table|thead|tbody|tr|td|th|hr|dl|dt|dd|section';
+const BLOCK_OPEN = new RegExp(`(<(?:${BLOCK_TAGS})(?:\\s[^>]*)?/?>)`, 'gi');
+const BLOCK_CLOSE = new RegExp(`(</(?:${BLOCK_TAGS})>)`, 'gi');
+const STARTS_WITH_BLOCK = new RegExp(`^<(?:/?(?:${BLOCK_TAGS})[\\s/>]|!--)`, 'i');
+
+// WordPress stores classic-editor posts without <p> tags and adds them when
+// rendering (wpautop). Do the same: blank lines split paragraphs, single
+// newlines become line breaks, and block markup is left alone. Block-editor
+// posts are already complete HTML.
+const autop = (html) => {
+  if (html.includes('<!-- wp:')) return html;
+
+  // Keep preformatted text away from the line handling
+  const preformatted = [];
+  const text = html
+    .replace(/<pre[\s>][\s\S]*?<\/pre>/gi, (match) => {
+      preformatted.push(match);
+      return `\n\n<!--pre:${preformatted.length - 1}-->\n\n`;
+    })
+    .replace(BLOCK_OPEN, '\n\n$1')
+    .replace(BLOCK_CLOSE, '$1\n\n');
+
+  return text
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => (STARTS_WITH_BLOCK.test(chunk) ? chunk : `<p>${chunk.replace(/(?:<br\s*\/?>)?\s*\n/gi, '<br>')}</p>`))
+    .join('\n')
+    .replace(/<!--pre:(\d+)-->/g, (match, index) => preformatted[index]);
+};
+
+const WP_SKIPPED_STATUSES = {
+  trash: 'Trashed in WordPress',
+  'auto-draft': 'Empty auto-draft'
+};
+
+const wpStatus = (status, date, now) => {
+  if (status === 'publish') return { status: 'published', publishAt: null };
+  if (status === 'future') {
+    return date && date > now
+      ? { status: 'scheduled', publishAt: date }
+      : { status: 'published', publishAt: null };
+  }
+  // draft, pending review and private posts all come in as drafts
+  return { status: 'draft', publishAt: null };
+};
+
+const parseWxr = (source, now = new Date()) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    isArray: (name) => ['item', 'category', 'wp:author'].includes(name)
+  });
+
+  let document;
+  try {
+    document = parser.parse(source, true);
+  } catch (error) {
+    throw parseError(`The file is not valid XML: ${error.message}`);
+  }
+
+  const channel = document?.rss?.channel;
+  if (!channel || !text(channel['wp:wxr_version'])) {
+    throw parseError('The file is not a WordPress export (WXR)');
+  }
+
+  const authors = new Map();
+  for (const author of channel['wp:author'] || []) {
+    const login = text(author['wp:author_login']).trim();
+    if (!login) continue;
+    authors.set(login, {
+      key: login,
+      login,
+      email: text(author['wp:author_email']).trim() || null,
+      name: text(author['wp:author_display_name']).trim() || login
+    });
+  }
+
+  const siteLink = text(channel.link).trim();
+  const items = [];
+  const skipped = [];
+
+  for (const item of channel.item || []) {
+    const sourceId = text(item['wp:post_id']);
+    const title = text(item.title).trim();
+    const type = text(item['wp:post_type']) || 'post';
+    const wpPostStatus = text(item['wp:status']);
+
+    if (type !== 'post') {
+      // Attachments, menu items and the like aren't content anyone would miss
+      if (type === 'page') skipped.push({ sourceId, title, reason: 'Pages are not supported' });
+      continue;
+    }
+    if (Object.hasOwn(WP_SKIPPED_STATUSES, wpPostStatus)) {
+      skipped.push({ sourceId, title, reason: WP_SKIPPED_STATUSES[wpPostStatus] });
+      continue;
+    }
+
+    const date = wpDate(text(item['wp:post_date_gmt'])) || wpDate(text(item['wp:post_date']));
+    const guid = text(item.guid).trim();
+    const { status, publishAt } = wpStatus(wpPostStatus, date, now);
+
+    items.push({
+      sourceId,
+      importKey: importKey(`wxr:${guid || `${siteLink}:${sourceId}`}`),
+      title,
+      html: autop(text(item['content:encoded']).trim()),
+      status,
+      publishAt,
+      // A scheduled post's date is when it will go out, not when it was written
+      createdAt: status === 'scheduled' ? null : date,
+      updatedAt: status === 'scheduled' ? null : wpDate(text(item['wp:post_modified_gmt'])) || date,
+      tags: (item.category || [])
+        .filter(category => category.domain === 'post_tag')
+        .map(category => text(category).trim())
+        .filter(Boolean),
+      authorKey: text(item['dc:creator']).trim() || null
+    });
+  }
+
+  return { authors, items, skipped };
+};
+
+// Ghost exports wrap the tables in { db: [{ meta, data }] }; accept bare { data } too
+const ghostData = (document) => document?.db?.[0]?.data || document?.data || null;
+
+const GHOST_STATUSES = {
+  published: 'published',
+  // Sent as a newsletter, which also publishes it on the site
+  sent: 'published',
+  draft: 'draft',
+  scheduled: 'scheduled'
+};
+
+const parseGhost = (document, now = new Date()) => {
+  const data = ghostData(document);
+  if (!data || !Array.isArray(data.posts)) {
+    throw parseError('The file is not a Ghost export');
+  }
+
+  const authors = new Map();
+  for (const user of data.users || []) {
+    authors.set(String(user.id), {
+      key: String(user.id),
+      login: user.slug || user.name || String(user.id),
+      email: user.email || null,
+      name: user.name || user.slug || String(user.id)
+    });
+  }
+
+  // Internal tags (#name) are Ghost's own bookkeeping
+  const tags = new Map((data.tags || [])
+    .filter(tag => tag.visibility !== 'internal' && !String(tag.name).startsWith('#'))
+    .map(tag => [String(tag.id), String(tag.name)]));
+
+  const postTags = new Map();
+  for (const link of [...(data.posts_tags || [])].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))) {
+    const name = tags.get(String(link.tag_id));
+    if (!name) continue;
+    const key = String(link.post_id);
+    postTags.set(key, [...(postTags.get(key) || []), name]);
+  }
+
+  // The first listed author is the primary one
+  const primaryAuthor = new Map();
+  for (const link of [...(data.posts_authors || [])].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))) {
+    const key = String(link.post_id);
+    if (!primaryAuthor.has(key)) primaryAuthor.set(key, String(link.author_id));
+  }
+
+  const items = [];
+  const skipped = [];
+
+  for (const post of data.posts) {
+    const sourceId = String(post.id);
+    const title = String(post.title || '').trim();
+    const isPage = post.type === 'page' || post.page === true || post.page === 1;
+
+    if (isPage) {
+      skipped.push({ sourceId, title, reason: 'Pages are not supported' });
+      continue;
+    }
+    if (!Object.hasOwn(GHOST_STATUSES, post.status)) {
+      skipped.push({ sourceId, title, reason: `Unsupported status "${post.status}"` });
+      continue;
+    }
+    // Exports made without rendered HTML only carry Ghost's editor document
+    if (typeof post.html !== 'string') {
+      skipped.push({ sourceId, title, reason: 'No HTML content in the export' });
+      continue;
+    }
+
+    const publishedAt = toDate(post.published_at);
+    let status = GHOST_STATUSES[post.status];
+    if (status === 'scheduled' && !(publishedAt && publishedAt > now)) status = 'published';
+
+    items.push({
+      sourceId,
+      importKey: importKey(`ghost:${post.uuid || sourceId}`),
+      title,
+      html: post.html.trim(),
+      status,
+      publishAt: status === 'scheduled' ? publishedAt : null,
+      createdAt: (status === 'scheduled' ? null : publishedAt) || toDate(post.created_at),
+      updatedAt: toDate(post.updated_at) || publishedAt,
+      tags: postTags.get(sourceId) || [],
+      authorKey: primaryAuthor.get(sourceId) || (post.author_id ? String(post.author_id) : null)
+    });
+  }
+
+  return { authors, items, skipped };
+};
+
+const safeJson = (source) => {
+  try {
+    return JSON.parse(source);
+  } catch {
+    return null;
+  }
+};
+
+// Work out the format from the upload itself
+const detectFormat = (source) => {
+  if (typeof source === 'string' && source.trimStart().startsWith('<')) return 'wxr';
+  if (ghostData(typeof source === 'string' ? safeJson(source) : source)) return 'ghost';
+  return null;
+};
+
+const parseImportSource = (format, source, now) => (format === 'wxr'
+  ? parseWxr(source, now)
+  : parseGhost(typeof source === 'string' ? safeJson(source) : source, now));
+
+module.exports = {
+  detectFormat,
+  parseImportSource
+};
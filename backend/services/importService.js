@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query, getClient } = require('../config/database');
+const { DEFAULT_ROLE } = require('../config/permissions');
+const { enqueueJob, touchJob } = require('./jobRunner');
+const { parseImportSource } = require('./importParsers');
+const { sanitizePostHtml, isEmptyContent } = require('./sanitizer');
+const { uniqueSlug } = require('./slugService');
+const { MAX_TAGS_PER_POST, MAX_TAG_LENGTH, setPostTags } = require('./taxonomyService');
+const { recordRevision } = require('./revisionService');
+const { schedulePublish } = require('./publishingService');
+const { recordAuditEvent } = require('./auditLog');
+const logger = require('../utils/logger');
+
+const IMPORT_JOB = 'import_posts';
+const MAX_TITLE_LENGTH = 200;
+const MAX_USERNAME_LENGTH = 26;
+// Progress is saved (and the job's lock refreshed) every this many posts
+const PROGRESS_EVERY = 10;
+// Skips are always counted, but only this many are listed individually
+const MAX_LISTED_SKIPS = 200;
+
+const IMPORT_COLUMNS = `import_id, format, dry_run, map_authors, status, total_items, processed_items,
+  report, error, created_at, updated_at, completed_at`;
+
+// Store the upload and queue the job that processes it
+const createImport = async (db, { userId, format, source, dryRun, mapAuthors }) => {
+  const result = await db.query(
+    `INSERT INTO imports (user_id, format, source, dry_run, map_authors)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${IMPORT_COLUMNS}`,
+    [userId, format, source, dryRun, mapAuthors]
+  );
+  const record = result.rows[0];
+
+  await enqueueJob(db, { type: IMPORT_JOB, payload: { importId: record.import_id }, maxAttempts: 3 });
+  return record;
+};
+
+const getImport = async (userId, importId) => {
+  const result = await query(
+    `SELECT ${IMPORT_COLUMNS} FROM imports WHERE import_id = $1 AND user_id = $2`,
+    [importId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const listImports = async (userId, limit = 10) => {
+  const result = await query(
+    `SELECT ${IMPORT_COLUMNS} FROM imports WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+};
+
+const emptyReport = (dryRun) => ({
+  dryRun,
+  posts: { created: 0, published: 0, scheduled: 0, drafts: 0 },
+  // Posts whose HTML lost something the editor can't represent
+  sanitized: 0,
+  authors: [],
+  skipped: { total: 0, byReason: {}, items: [] }
+});
+
+const skip = (report, { sourceId, title }, reason) => {
+  report.skipped.total++;
+  report.skipped.byReason[reason] = (report.skipped.byReason[reason] || 0) + 1;
+  if (report.skipped.items.length < MAX_LISTED_SKIPS) {
+    report.skipped.items.push({ sourceId, title, reason });
+  }
+};
+
+// Usernames allow letters, numbers and underscores; add _2, _3... when taken
+const availableUsername = async (login) => {
+  let base = login.replace(/[^a-zA-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, MAX_USERNAME_LENGTH);
+  if (base.length < 3) base = 'author';
+
+  const result = await query('SELECT LOWER(username) AS username FROM users WHERE username ILIKE $1', [`${base}%`]);
+  const taken = new Set(result.rows.map(row => row.username));
+
+  if (!taken.has(base.toLowerCase())) return base;
+  let suffix = 2;
+  while (taken.has(`${base}_${suffix}`.toLowerCase())) suffix++;
+  return `${base}_${suffix}`;
+};
+
+// New accounts get an unguessable password; the author sets their own
+// through "forgot password" with the imported email address
+const createImportedUser = async (author, { importerId, importId }) => {
+  const username = await availableUsername(author.login);
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  const result = await query(
+    'INSERT INTO users (username, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING user_id, username',
+    [username, author.email, passwordHash, DEFAULT_ROLE]
+  );
+  const user = result.rows[0];
+
+  await recordAuditEvent({
+    userId: importerId,
+    action: 'user_imported',
+    metadata: { importId, createdUserId: user.user_id, email: author.email }
+  });
+  return user;
+};
+
+// Decide who owns each source author's posts. Without author mapping, or when
+// an author has no email address, posts go to whoever runs the import. In a
+// dry run, authors who would be created map to null.
+const resolveAuthors = async (parsed, record, report) => {
+  const owners = new Map();
+  if (!record.map_authors) return owners;
+
+  const keys = new Set(parsed.items.map(item => item.authorKey).filter(Boolean));
+  for (const key of keys) {
+    const author = parsed.authors.get(key) || { key, login: key, email: null, name: key };
+    const entry = { name: author.name, email: author.email };
+
+    if (!author.email) {
+      report.authors.push({ ...entry, action: 'assigned_to_importer', reason: 'No email address in the export' });
+      continue;
+    }
+
+    const existing = await query(
+      'SELECT user_id, username FROM users WHERE LOWER(email) = LOWER($1)',
+      [author.email]
+    );
+    if (existing.rows[0]) {
+      owners.set(key, existing.rows[0].user_id);
+      report.authors.push({ ...entry, action: 'matched', username: existing.rows[0].username });
+    } else if (record.dry_run) {
+      owners.set(key, null);
+      report.authors.push({ ...entry, action: 'would_create', username: await availableUsername(author.login) });
+    } else {
+      const user = await createImportedUser(author, { importerId: record.user_id, importId: record.import_id });
+      owners.set(key, user.user_id);
+      report.authors.push({ ...entry, action: 'created', username: user.username });
+    }
+  }
+
+  return owners;
+};
+
+const alreadyImported = async (ownerId, importKey) => {
+  if (ownerId === null) return false;
+  const result = await query(
+    'SELECT 1 FROM blog_posts WHERE user_id = $1 AND import_key = $2',
+    [ownerId, importKey]
+  );
+  return result.rows.length > 0;
+};
+
+// Insert one post with its tags and first revision. Returns null when this
+// source post was imported before.
+const insertPost = async (ownerId, post) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const slug = await uniqueSlug(client, ownerId, post.title);
+    const result = await client.query(
+      `INSERT INTO blog_posts (user_id, title, slug, content, status, publish_at, import_key, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), COALESCE($9, $8, NOW()))
+       ON CONFLICT (user_id, import_key) WHERE import_key IS NOT NULL DO NOTHING
+       RETURNING post_id, title, content, status, publish_at`,
+      [ownerId, post.title, slug, post.content, post.status, post.publishAt, post.importKey, post.createdAt, post.updatedAt]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const created = result.rows[0];
+
+    await setPostTags(client, { userId: ownerId, postId: created.post_id, names: post.tags });
+    await recordRevision(client, {
+      postId: created.post_id,
+      userId: ownerId,
+      title: created.title,
+      content: created.content,
+      status: created.status,
+      source: 'import'
+    });
+    if (created.status === 'scheduled') {
+      await schedulePublish(client, created);
+    }
+
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const importItem = async (item, ownerId, record, report) => {
+  const { html, report: sanitization } = sanitizePostHtml(item.html);
+  const title = item.title.slice(0, MAX_TITLE_LENGTH);
+
+  if (isEmptyContent(item.html)) {
+    return skip(report, item, 'Empty post');
+  }
+  if (isEmptyContent(html)) {
+    return skip(report, item, 'No content left once unsupported HTML is removed');
+  }
+
+  // A schedule that passed while the import was queued publishes right away
+  const status = item.status === 'scheduled' && item.publishAt <= new Date() ? 'published' : item.status;
+  const post = {
+    ...item,
+    title: title || 'Untitled',
+    content: html,
+    status,
+    publishAt: status === 'scheduled' ? item.publishAt : null,
+    tags: item.tags.slice(0, MAX_TAGS_PER_POST).map(tag => tag.slice(0, MAX_TAG_LENGTH))
+  };
+
+  if (record.dry_run) {
+    if (await alreadyImported(ownerId, item.importKey)) return skip(report, item, 'Already imported');
+  } else if (!(await insertPost(ownerId, post))) {
+    return skip(report, item, 'Already imported');
+  }
+
+  if (sanitization.modified) report.sanitized++;
+  report.posts.created++;
+  report.posts[status === 'draft' ? 'drafts' : status]++;
+};
+
+const saveProgress = (importId, processed, report) => query(
+  'UPDATE imports SET processed_items = $2, report = $3, updated_at = NOW() WHERE import_id = $1',
+  [importId, processed, JSON.stringify(report)]
+);
+
+// The upload isn't needed once the import has finished either way
+const finishImport = (importId, { status, report = null, error = null }) => query(
+  `UPDATE imports SET status = $2, report = COALESCE($3, report), error = $4, source = NULL,
+          completed_at = NOW(), updated_at = NOW()
+   WHERE import_id = $1`,
+  [importId, status, report && JSON.stringify(report), error]
+);
+
+// Job handler. Safe to run again after a crash: posts that already made it in
+// are recognised by their import key and skipped.
+const runImport = async ({ importId }, job) => {
+  const result = await query(
+    'SELECT import_id, user_id, format, source, dry_run, map_authors, status FROM imports WHERE import_id = $1',
+    [importId]
+  );
+  const record = result.rows[0];
+  if (!record || record.status === 'completed' || record.status === 'failed') return;
+
+  await query("UPDATE imports SET status = 'running', updated_at = NOW() WHERE import_id = $1", [importId]);
+
+  let parsed;
+  try {
+    parsed = parseImportSource(record.format, record.source);
+  } catch (error) {
+    if (error.code !== 'INVALID_IMPORT') throw error;
+    await finishImport(importId, { status: 'failed', error: error.message });
+    return;
+  }
+
+  const report = emptyReport(record.dry_run);
+  for (const item of parsed.skipped) skip(report, item, item.reason);
+
+  try {
+    await query('UPDATE imports SET total_items = $2 WHERE import_id = $1', [importId, parsed.items.length]);
+    const owners = await resolveAuthors(parsed, record, report);
+
+    for (const [index, item] of parsed.items.entries()) {
+      const ownerId = owners.has(item.authorKey) ? owners.get(item.authorKey) : record.user_id;
+      try {
+        await importItem(item, ownerId, record, report);
+      } catch (error) {
+        logger.error(`Import ${importId} failed on source post ${item.sourceId}:`, error);
+        skip(report, item, 'Could not be saved');
+      }
+
+      if ((index + 1) % PROGRESS_EVERY === 0) {
+        await saveProgress(importId, index + 1, report);
+        await touchJob(job);
+      }
+    }
+
+    await saveProgress(importId, parsed.items.length, report);
+    await finishImport(importId, { status: 'completed', report });
+
+    logger.info('Import finished', {
+      importId,
+      userId: record.user_id,
+      format: record.format,
+      dryRun: record.dry_run,
+      created: report.posts.created,
+      skipped: report.skipped.total
+    });
+  } catch (error) {
+    // Out of retries: record the failure so the client stops waiting
+    if (job.attempts >= job.max_attempts) {
+      await finishImport(importId, { status: 'failed', report, error: 'The import stopped unexpectedly' });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  IMPORT_JOB,
+  createImport,
+  getImport,
+  listImports,
+  runImport
+};
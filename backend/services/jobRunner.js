@@ -0,0 +1,167 @@
+const os = require('os');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Postgres-backed job queue. Each instance polls for due jobs and claims them
+// with FOR UPDATE SKIP LOCKED, so several instances never run the same job.
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = parseInt(process.env.JOB_BATCH_SIZE) || 10;
+// A job still "running" after this long belonged to an instance that died
+const STALE_AFTER_SECONDS = parseInt(process.env.JOB_STALE_AFTER_SECONDS) || 10 * 60;
+const RETRY_BASE_SECONDS = 30;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let running = false;
+
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// Queue a job. With a dedupeKey, an existing pending job with the same key is
+// moved to the new time instead of adding a second one.
+const enqueueJob = async (db, { type, payload = {}, runAt = new Date(), dedupeKey = null, maxAttempts = 5 }) => {
+  const result = await db.query(
+    `INSERT INTO jobs (type, payload, run_at, dedupe_key, max_attempts)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (dedupe_key) WHERE status = 'pending'
+     DO UPDATE SET type = EXCLUDED.type, payload = EXCLUDED.payload, run_at = EXCLUDED.run_at,
+                   max_attempts = EXCLUDED.max_attempts, attempts = 0, last_error = NULL, updated_at = NOW()
+     RETURNING job_id, type, run_at`,
+    [type, JSON.stringify(payload), runAt, dedupeKey, maxAttempts]
+  );
+  return result.rows[0];
+};
+
+// Returns how many pending jobs were cancelled
+const cancelJobs = async (db, dedupeKey) => {
+  const result = await db.query(
+    `UPDATE jobs SET status = 'cancelled', updated_at = NOW()
+     WHERE dedupe_key = $1 AND status = 'pending'`,
+    [dedupeKey]
+  );
+  return result.rowCount;
+};
+
+// Claim due jobs, plus any left "running" by an instance that went away
+const claimJobs = async () => {
+  const result = await query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+     WHERE job_id IN (
+       SELECT job_id FROM jobs
+       WHERE (status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - $3 * INTERVAL '1 second')
+       ORDER BY run_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING job_id, type, payload, attempts, max_attempts`,
+    [WORKER_ID, BATCH_SIZE, STALE_AFTER_SECONDS]
+  );
+  return result.rows;
+};
+
+const completeJob = (job) => query(
+  `UPDATE jobs SET status = 'completed', locked_by = NULL, last_error = NULL, updated_at = NOW()
+   WHERE job_id = $1`,
+  [job.job_id]
+);
+
+// Long-running handlers call this now and then so the job isn't taken for
+// one abandoned by a dead instance and claimed again
+const touchJob = (job) => query(
+  'UPDATE jobs SET locked_at = NOW() WHERE job_id = $1 AND locked_by = $2',
+  [job.job_id, WORKER_ID]
+);
+
+// Retry with exponential backoff until max_attempts, then give up
+const failJob = (job, error) => {
+  const giveUp = job.attempts >= job.max_attempts;
+  const delaySeconds = RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+
+  return query(
+    `UPDATE jobs SET status = $2, last_error = $3, locked_by = NULL,
+            run_at = CASE WHEN $2 = 'pending' THEN NOW() + $4 * INTERVAL '1 second' ELSE run_at END,
+            updated_at = NOW()
+     WHERE job_id = $1`,
+    [job.job_id, giveUp ? 'failed' : 'pending', error.message, delaySeconds]
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    await handler(job.payload, job);
+    await completeJob(job);
+  } catch (error) {
+    logger.error(`Job ${job.job_id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+    await failJob(job, error);
+  }
+};
+
+// Run one batch; returns how many jobs were claimed
+const runDueJobs = async () => {
+  const jobs = await claimJobs();
+  for (const job of jobs) {
+    await runJob(job);
+  }
+  return jobs.length;
+};
+
+const poll = async () => {
+  let claimed = 0;
+  try {
+    claimed = await runDueJobs();
+  } catch (error) {
+    logger.error('Job runner poll failed:', error);
+  }
+
+  if (!running) return;
+  // A full batch means more are probably waiting
+  pollTimer = setTimeout(poll, claimed >= BATCH_SIZE ? 0 : POLL_INTERVAL_MS);
+  pollTimer.unref();
+};
+
+const startJobRunner = () => {
+  if (process.env.JOB_RUNNER_ENABLED === 'false') {
+    logger.info('Job runner disabled');
+    return;
+  }
+
+  running = true;
+  poll();
+  logger.info(`Job runner started as ${WORKER_ID} with ${handlers.size} handler(s)`);
+};
+
+const stopJobRunner = () => {
+  running = false;
+  clearTimeout(pollTimer);
+};
+
+// Finished jobs are only kept for a while for troubleshooting
+const purgeFinishedJobs = async () => {
+  const result = await query(
+    `DELETE FROM jobs
+     WHERE status IN ('completed', 'cancelled', 'failed') AND updated_at < NOW() - INTERVAL '30 days'`
+  );
+  if (result.rowCount > 0) {
+    logger.info(`Purged ${result.rowCount} finished job(s)`);
+  }
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  cancelJobs,
+  touchJob,
+  runDueJobs,
+  startJobRunner,
+  stopJobRunner,
+  purgeFinishedJobs
+};
@@ -0,0 +1,94 @@
+const redis = require('../config/redis');
+const { query } = require('../config/database');
+const { recordAuditEvent } = require('./auditLog');
+const logger = require('../utils/logger');
+
+// Per-account: every MAX_ATTEMPTS consecutive failures lock the account, doubling
+// the lockout each time. Per-IP: failures across all accounts are counted in a window.
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+const IP_WINDOW_SECONDS = (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60;
+const MAX_DELAY_MS = 8000;
+
+const ipKey = (ip) => `login_failures:ip:${ip}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Progressive delay before checking a password: 0, 0, 0.5s, 1s, 2s, 4s, 8s...
+const delayForFailures = async (failures) => {
+  if (failures < 2) return;
+  await sleep(Math.min(250 * 2 ** (failures - 1), MAX_DELAY_MS));
+};
+
+const getIpFailures = async (ip) => parseInt(await redis.store.get(ipKey(ip))) || 0;
+
+const isIpBlocked = async (ip) => (await getIpFailures(ip)) >= IP_MAX_FAILURES;
+
+const lockoutMinutesFor = (attempts) =>
+  Math.min(LOCKOUT_MINUTES * 2 ** (Math.floor(attempts / MAX_ATTEMPTS) - 1), MAX_LOCKOUT_MINUTES);
+
+// Count a failed attempt against the IP and (if known) the account.
+// Returns the account's locked_until when this attempt locked it.
+const recordFailedLogin = async (req, user) => {
+  const ipFailures = await redis.store.incr(ipKey(req.ip), IP_WINDOW_SECONDS);
+
+  if (ipFailures === IP_MAX_FAILURES) {
+    logger.warn('Login attempts blocked for IP', { ip: req.ip });
+    await recordAuditEvent({
+      action: 'login_ip_blocked',
+      req,
+      metadata: { failures: ipFailures, windowSeconds: IP_WINDOW_SECONDS }
+    });
+  }
+
+  if (!user) return null;
+
+  // Count first and decide from the returned value, so concurrent failures
+  // each see their own count and one of them lands on the lockout
+  const counted = await query(
+    `UPDATE users SET failed_login_attempts = failed_login_attempts + 1
+     WHERE user_id = $1 RETURNING failed_login_attempts`,
+    [user.user_id]
+  );
+  const attempts = counted.rows[0].failed_login_attempts;
+  if (attempts % MAX_ATTEMPTS !== 0) return null;
+
+  const lockoutMinutes = lockoutMinutesFor(attempts);
+  const result = await query(
+    `UPDATE users SET locked_until = NOW() + $2 * INTERVAL '1 minute'
+     WHERE user_id = $1 RETURNING locked_until`,
+    [user.user_id, lockoutMinutes]
+  );
+
+  logger.warn(`Account locked after ${attempts} failed logins: ${user.email}`);
+  await recordAuditEvent({
+    userId: user.user_id,
+    action: 'account_locked',
+    req,
+    metadata: { failedAttempts: attempts, lockoutMinutes }
+  });
+
+  return result.rows[0].locked_until;
+};
+
+const recordSuccessfulLogin = async (user) => {
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await query(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE user_id = $1',
+      [user.user_id]
+    );
+  }
+};
+
+const isLocked = (user) => Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+
+module.exports = {
+  IP_WINDOW_SECONDS,
+  delayForFailures,
+  isIpBlocked,
+  isLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
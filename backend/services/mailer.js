@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'muse <no-reply@localhost>';
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+// Build a multipart/alternative RFC 822 message
+const buildMessage = ({ from, to, subject, text, html, messageId, date }) => {
+  const boundary = `muse-${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    html || text,
+    '',
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+};
+
+// Transports receive a normalized message and deliver it somewhere.
+// Register additional ones (e.g. SMTP) with registerTransport().
+const transports = {
+  // Writes each message as an .eml file so it can be inspected offline
+  outbox: async (message) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${message.date.toISOString().replace(/[:.]/g, '-')}-${message.messageId.split('@')[0]}.eml`;
+    const filePath = path.join(OUTBOX_DIR, fileName);
+    await fs.writeFile(filePath, buildMessage(message));
+    logger.info(`📧 Mail written to outbox: ${filePath}`);
+    return { filePath };
+  },
+
+  // Logs the message instead of delivering it
+  log: async (message) => {
+    logger.info('📧 Mail', { to: message.to, subject: message.subject, text: message.text });
+    return {};
+  }
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text, html, from = DEFAULT_FROM }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from,
+    to,
+    subject,
+    text,
+    html,
+    date: new Date(),
+    messageId: `${crypto.randomUUID()}@muse`
+  };
+
+  const info = await transport(message);
+  return { messageId: message.messageId, ...info };
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  buildMessage
+};
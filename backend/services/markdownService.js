@@ -0,0 +1,235 @@
+const { Marked, Parser, TextRenderer } = require('marked');
+const yaml = require('js-yaml');
+const TurndownService = require('turndown');
+
+// The editor only has headers 1-3 and indents list items by at most 8 levels
+const MAX_HEADING_LEVEL = 3;
+const MAX_INDENT = 8;
+
+const FRONT_MATTER = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+const importError = (message) => {
+  const e = new Error(message);
+  e.status = 400;
+  e.code = 'INVALID_MARKDOWN';
+  return e;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Quill has no nested lists: every item sits in one flat list and carries its
+// depth as a ql-indent-N class, and switching between bullets and numbers
+// starts a new list element.
+const flattenList = (parser, list, indent = 0) => list.items.flatMap((item) => {
+  const lines = [];
+  const nested = [];
+
+  for (const token of item.tokens) {
+    if (token.type === 'list') {
+      nested.push(...flattenList(parser, token, Math.min(indent + 1, MAX_INDENT)));
+    } else if (token.tokens) {
+      lines.push(parser.parseInline(token.tokens));
+    } else if (token.type !== 'space' && token.type !== 'checkbox') {
+      lines.push(escapeHtml(token.text || ''));
+    }
+  }
+
+  const checkbox = item.task ? (item.checked ? '[x] ' : '[ ] ') : '';
+  return [{ ordered: list.ordered, indent, html: checkbox + lines.join('<br>') }, ...nested];
+});
+
+const renderListItems = (items) => {
+  let html = '';
+  let open = null;
+
+  for (const item of items) {
+    const tag = item.ordered ? 'ol' : 'ul';
+    if (tag !== open) {
+      if (open) html += `</${open}>`;
+      html += `<${tag}>`;
+      open = tag;
+    }
+    const indentClass = item.indent ? ` class="ql-indent-${item.indent}"` : '';
+    html += `<li${indentClass}>${item.html}</li>`;
+  }
+
+  return open ? `${html}</${open}>` : html;
+};
+
+// Renders Markdown as the HTML Quill itself produces, so imported posts open
+// in the editor unchanged. Anything the toolbar can't express is flattened.
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    heading({ tokens, depth }) {
+      const level = Math.min(depth, MAX_HEADING_LEVEL);
+      return `<h${level}>${this.parser.parseInline(tokens)}</h${level}>`;
+    },
+    code({ text }) {
+      return `<pre class="ql-syntax" spellcheck="false">${escapeHtml(text)}</pre>`;
+    },
+    // Quill quotes line by line, one blockquote element per paragraph
+    blockquote({ tokens }) {
+      return tokens
+        .map(token => (token.type === 'paragraph'
+          ? `<blockquote>${this.parser.parseInline(token.tokens)}</blockquote>`
+          : this.parser.parse([token])))
+        .join('');
+    },
+    list(token) {
+      return renderListItems(flattenList(this.parser, token));
+    },
+    paragraph({ tokens }) {
+      return `<p>${this.parser.parseInline(tokens)}</p>`;
+    },
+    hr() {
+      return '';
+    },
+    // One paragraph per row
+    table({ header, rows }) {
+      return [header, ...rows]
+        .map(cells => `<p>${cells.map(cell => this.parser.parseInline(cell.tokens)).join(' | ')}</p>`)
+        .join('');
+    },
+    del({ tokens }) {
+      return `<s>${this.parser.parseInline(tokens)}</s>`;
+    },
+    link({ href, tokens }) {
+      return `<a href="${escapeHtml(href)}">${this.parser.parseInline(tokens)}</a>`;
+    },
+    // Posts can't embed images, so link to them instead
+    image({ href, text }) {
+      return `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`;
+    }
+  }
+});
+
+const plainText = (tokens) => new Parser().parseInline(tokens, new TextRenderer());
+
+const splitFrontMatter = (source) => {
+  const text = source.replace(/^\uFEFF/, '');
+  const match = text.match(FRONT_MATTER);
+  if (!match) return { data: {}, body: text };
+
+  let data;
+  try {
+    data = yaml.load(match[1] || '') || {};
+  } catch (error) {
+    throw importError(`Invalid front matter: ${error.reason || error.message}`);
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw importError('Front matter must be a set of key: value pairs');
+  }
+
+  return { data, body: text.slice(match[0].length) };
+};
+
+const frontMatterTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  if (typeof tags === 'string') return tags.split(',');
+  if (Array.isArray(tags)) return tags.map(String);
+  throw importError('Front matter tags must be a list or a comma-separated string');
+};
+
+const frontMatterDate = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Turn a Markdown document into post fields. Front matter may set title,
+// tags, status and publish_at; without a title, a leading "# Heading" is used.
+// The content still has to go through the sanitizer.
+const markdownToPost = (source) => {
+  const { data, body } = splitFrontMatter(source);
+  const tokens = markdown.lexer(body);
+
+  let title = data.title === undefined || data.title === null ? undefined : String(data.title);
+  const first = tokens.findIndex(token => token.type !== 'space');
+  if (title === undefined && first !== -1 && tokens[first].type === 'heading' && tokens[first].depth === 1) {
+    title = plainText(tokens[first].tokens);
+    tokens.splice(first, 1);
+  }
+
+  return {
+    title,
+    content: markdown.parser(tokens),
+    status: data.status,
+    publishAt: frontMatterDate(data.publish_at ?? data.publishAt),
+    tags: frontMatterTags(data.tags)
+  };
+};
+
+const indentLevel = (node) => {
+  const match = (node.getAttribute('class') || '').match(/ql-indent-(\d)/);
+  return match ? parseInt(match[1]) : 0;
+};
+
+// Number an item among the earlier ones at its own depth
+const listNumber = (node) => {
+  const level = indentLevel(node);
+  let number = 1;
+  for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+    const siblingLevel = indentLevel(sibling);
+    if (siblingLevel < level) break;
+    if (siblingLevel === level) number++;
+  }
+  return number;
+};
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  emDelimiter: '*'
+});
+
+// Markdown has no underline
+turndown.keep(['u']);
+
+turndown.addRule('strikethrough', {
+  filter: ['s', 'del', 'strike'],
+  replacement: content => `~~${content}~~`
+});
+
+// Quill code blocks are a bare <pre> without an inner <code>
+turndown.addRule('codeBlock', {
+  filter: 'pre',
+  replacement: (content, node) => {
+    const code = node.textContent.replace(/\n$/, '');
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `\n\n${fence}\n${code}\n${fence}\n\n`;
+  }
+});
+
+// Turn Quill's ql-indent-N classes back into nested Markdown lists
+turndown.addRule('listItem', {
+  filter: 'li',
+  replacement: (content, node, options) => {
+    const prefix = node.parentNode.nodeName === 'OL' ? `${listNumber(node)}. ` : `${options.bulletListMarker} `;
+    const indent = '    '.repeat(indentLevel(node));
+    const body = content
+      .replace(/^\n+/, '')
+      .replace(/\n+$/, '\n')
+      .replace(/\n/gm, `\n${indent}${' '.repeat(prefix.length)}`);
+    return indent + prefix + body + (node.nextSibling && !/\n$/.test(body) ? '\n' : '');
+  }
+});
+
+// A Markdown document with front matter that markdownToPost reads back
+const postToMarkdown = (post) => {
+  const frontMatter = {
+    title: post.title,
+    status: post.status,
+    ...(post.publish_at && { publish_at: new Date(post.publish_at).toISOString() }),
+    ...(post.tags?.length && { tags: post.tags.map(tag => tag.name) })
+  };
+
+  return `---\n${yaml.dump(frontMatter, { lineWidth: -1 })}---\n\n${turndown.turndown(post.content)}\n`;
+};
+
+module.exports = {
+  markdownToPost,
+  postToMarkdown
+};
@@ -0,0 +1,7 @@
+// Shared by everything served without authentication: only published posts
+// by active accounts are visible. Expects blog_posts as p joined to users as u.
+const PUBLIC_POST_FILTER = `p.status = 'published' AND p.deleted_at IS NULL AND u.disabled_at IS NULL AND u.deletion_scheduled_at IS NULL`;
+
+module.exports = {
+  PUBLIC_POST_FILTER
+};
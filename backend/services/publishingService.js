@@ -0,0 +1,39 @@
+const { query } = require('../config/database');
+const { enqueueJob, cancelJobs } = require('./jobRunner');
+const logger = require('../utils/logger');
+
+const PUBLISH_JOB = 'publish_post';
+
+const publishJobKey = (postId) => `${PUBLISH_JOB}:${postId}`;
+
+// Queue (or move) the job that publishes a scheduled post at its publish_at
+const schedulePublish = (db, post) => enqueueJob(db, {
+  type: PUBLISH_JOB,
+  payload: { postId: post.post_id },
+  runAt: post.publish_at,
+  dedupeKey: publishJobKey(post.post_id)
+});
+
+const cancelScheduledPublish = (db, postId) => cancelJobs(db, publishJobKey(postId));
+
+// Job handler. Only publishes if the post is still scheduled for now or
+// earlier, so a job for a schedule that was since changed or cleared is a no-op.
+const publishScheduledPost = async ({ postId }) => {
+  const result = await query(
+    `UPDATE blog_posts SET status = 'published', publish_at = NULL, version = version + 1, updated_at = NOW()
+     WHERE post_id = $1 AND status = 'scheduled' AND publish_at <= NOW() AND deleted_at IS NULL
+     RETURNING post_id, user_id`,
+    [postId]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info('Scheduled blog post published', { postId, userId: result.rows[0].user_id });
+  }
+};
+
+module.exports = {
+  PUBLISH_JOB,
+  schedulePublish,
+  cancelScheduledPublish,
+  publishScheduledPost
+};
@@ -0,0 +1,61 @@
+const { query } = require('../config/database');
+
+const REVISION_SELECT = `
+  SELECT r.revision_id, r.revision_number, r.title, r.content, r.status, r.source, r.restored_from,
+         r.created_at, u.username AS author
+  FROM blog_post_revisions r
+  LEFT JOIN users u ON u.user_id = r.user_id`;
+
+// Snapshot a post's title and content. Callers hold a lock on the post row
+// (SELECT ... FOR UPDATE) so revision numbers can't collide.
+const recordRevision = async (db, { postId, userId, title, content, status, source = 'update', restoredFrom = null }) => {
+  const result = await db.query(
+    `INSERT INTO blog_post_revisions (post_id, revision_number, user_id, title, content, status, source, restored_from)
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7
+     FROM blog_post_revisions WHERE post_id = $1
+     RETURNING revision_id, revision_number, source, created_at`,
+    [postId, userId, title, content, status, source, restoredFrom]
+  );
+  return result.rows[0];
+};
+
+// Newest first, without the content
+const listRevisions = async (postId) => {
+  const result = await query(
+    `SELECT r.revision_id, r.revision_number, r.title, r.status, r.source, r.restored_from,
+            r.created_at, u.username AS author
+     FROM blog_post_revisions r
+     LEFT JOIN users u ON u.user_id = r.user_id
+     WHERE r.post_id = $1
+     ORDER BY r.revision_number DESC`,
+    [postId]
+  );
+  return result.rows;
+};
+
+const getRevision = async (postId, revisionId, db = { query }) => {
+  const result = await db.query(
+    `${REVISION_SELECT} WHERE r.post_id = $1 AND r.revision_id = $2`,
+    [postId, revisionId]
+  );
+  return result.rows[0] || null;
+};
+
+// The revision saved just before the given one, if any
+const getPreviousRevision = async (postId, revisionNumber) => {
+  const result = await query(
+    `${REVISION_SELECT}
+     WHERE r.post_id = $1 AND r.revision_number < $2
+     ORDER BY r.revision_number DESC
+     LIMIT 1`,
+    [postId, revisionNumber]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  recordRevision,
+  listRevisions,
+  getRevision,
+  getPreviousRevision
+};
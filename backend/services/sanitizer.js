@@ -0,0 +1,88 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Exactly what the editor's Quill toolbar can produce: headers 1-3, inline
+// formatting, lists with indentation, links, blockquotes and code blocks.
+const ALLOWED_TAGS = [
+  'p', 'br', 'h1', 'h2', 'h3',
+  'strong', 'b', 'em', 'i', 'u', 's',
+  'ol', 'ul', 'li',
+  'a', 'blockquote', 'pre', 'code'
+];
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'target', 'rel'],
+  pre: ['spellcheck'],
+  '*': ['class']
+};
+
+const ALLOWED_CLASSES = {
+  '*': [/^ql-indent-[1-8]$/],
+  pre: ['ql-syntax']
+};
+
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+// Relative links are fine; anything with another scheme (javascript:, data:, ...) is dropped
+const isSafeHref = (href) => {
+  const scheme = href.trim().match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ALLOWED_SCHEMES.includes(scheme[1].toLowerCase());
+};
+
+const count = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+// Returns the cleaned HTML plus a report of what was removed
+const sanitizePostHtml = (html) => {
+  const removedTags = {};
+  const removedAttributes = {};
+
+  const clean = sanitizeHtml(html, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedClasses: ALLOWED_CLASSES,
+    allowedSchemes: ALLOWED_SCHEMES,
+    allowProtocolRelative: false,
+    // Content of these is dropped entirely rather than kept as text
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'iframe', 'object'],
+    transformTags: {
+      // Links opening a new tab must not get a handle on this window
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: attribs.target === '_blank'
+          ? { ...attribs, rel: 'noopener noreferrer' }
+          : attribs
+      })
+    },
+    onOpenTag: (name, attribs) => {
+      if (!ALLOWED_TAGS.includes(name)) {
+        count(removedTags, name);
+        return;
+      }
+
+      const allowed = [...(ALLOWED_ATTRIBUTES[name] || []), ...ALLOWED_ATTRIBUTES['*']];
+      for (const attribute of Object.keys(attribs)) {
+        if (!allowed.includes(attribute)) {
+          count(removedAttributes, attribute);
+        } else if (attribute === 'href' && !isSafeHref(attribs.href)) {
+          count(removedAttributes, 'href');
+        }
+      }
+    }
+  });
+
+  const modified = Object.keys(removedTags).length > 0 || Object.keys(removedAttributes).length > 0;
+
+  return {
+    html: clean,
+    report: { modified, removedTags, removedAttributes }
+  };
+};
+
+// Content without any text once the tags are stripped, e.g. Quill's "<p><br></p>"
+const isEmptyContent = (html) => !html.replace(/<[^>]*>/g, '').trim();
+
+module.exports = {
+  sanitizePostHtml,
+  isEmptyContent
+};
@@ -0,0 +1,57 @@
+const { getClient } = require('../config/database');
+const { lockIdFor } = require('../utils/advisoryLock');
+const logger = require('../utils/logger');
+
+// Periodic maintenance tasks. Every run holds a Postgres advisory lock derived
+// from the task name, so with several server instances only one runs it at a time.
+const tasks = [];
+const timers = [];
+
+const registerTask = (name, intervalMs, fn) => {
+  tasks.push({ name, intervalMs, fn, lockId: lockIdFor(name) });
+};
+
+const runTask = async (task) => {
+  let client;
+  try {
+    client = await getClient();
+    const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [task.lockId]);
+    if (!result.rows[0].locked) return;
+
+    try {
+      await task.fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [task.lockId]);
+    }
+  } catch (error) {
+    logger.error(`Scheduled task ${task.name} failed:`, error);
+  } finally {
+    client?.release();
+  }
+};
+
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('Scheduler disabled');
+    return;
+  }
+
+  for (const task of tasks) {
+    const timer = setInterval(() => runTask(task), task.intervalMs);
+    timer.unref();
+    timers.push(timer);
+    runTask(task);
+  }
+  logger.info(`Scheduler started with ${tasks.length} task(s)`);
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = {
+  registerTask,
+  runTask,
+  startScheduler,
+  stopScheduler
+};
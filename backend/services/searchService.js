@@ -0,0 +1,60 @@
+const { query } = require('../config/database');
+
+const MAX_TERMS = 10;
+
+// Options for ts_headline. Titles are escaped before highlighting; post content
+// is sanitized HTML, so once its tags are stripped the remaining text is already escaped.
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "';
+const TITLE_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+
+const ESCAPED_TITLE = `REPLACE(REPLACE(REPLACE(p.title, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+// Turn free text into a to_tsquery expression: every word must match and the
+// last one may be a prefix, so results update while the user is still typing.
+// Returns null when there is nothing searchable.
+const buildTsQuery = (text) => {
+  const terms = text.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!terms) return null;
+
+  return terms
+    .slice(0, MAX_TERMS)
+    .map((term, index, all) => (index === all.length - 1 ? `${term}:*` : term))
+    .join(' & ');
+};
+
+// Rank the author's posts against the search text, best match first
+const searchPosts = async (userId, text, { status, limit, offset }) => {
+  const tsQuery = buildTsQuery(text);
+  if (!tsQuery) return { results: [], total: 0 };
+
+  const params = [userId, tsQuery];
+  let where = 'p.user_id = $1 AND p.deleted_at IS NULL AND p.search_vector @@ q.query';
+  if (status) {
+    params.push(status);
+    where += ` AND p.status = $${params.length}`;
+  }
+
+  const from = `FROM blog_posts p, to_tsquery('english', $2) AS q(query) WHERE ${where}`;
+
+  const countResult = await query(`SELECT COUNT(*) ${from}`, params);
+  const total = parseInt(countResult.rows[0].count);
+  if (total === 0) return { results: [], total };
+
+  const result = await query(
+    `SELECT p.post_id, p.title, p.slug, p.status, p.updated_at,
+            ts_rank_cd(p.search_vector, q.query) AS rank,
+            ts_headline('english', ${ESCAPED_TITLE}, q.query, '${TITLE_HEADLINE_OPTIONS}') AS title_highlight,
+            ts_headline('english', REGEXP_REPLACE(p.content, '<[^>]*>', ' ', 'g'), q.query, '${HEADLINE_OPTIONS}') AS snippet
+     ${from}
+     ORDER BY rank DESC, p.updated_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { results: result.rows, total };
+};
+
+module.exports = {
+  buildTsQuery,
+  searchPosts
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { describeDevice } = require('../utils/userAgent');
+const logger = require('../utils/logger');
+
+// Each login creates a session; its id doubles as the refresh token family id
+// and is carried in access tokens as the `sid` claim.
+const createSession = async (userId, req) => {
+  const sessionId = crypto.randomUUID();
+  const userAgent = req.get('User-Agent') || null;
+
+  await query(
+    'INSERT INTO user_sessions (session_id, user_id, device, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+    [sessionId, userId, describeDevice(userAgent), req.ip, userAgent]
+  );
+
+  return sessionId;
+};
+
+// Record activity at most once a minute per session
+const touchSession = async (sessionId, ipAddress) => {
+  try {
+    await query(
+      `UPDATE user_sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+       WHERE session_id = $1 AND last_seen_at < NOW() - INTERVAL '1 minute'`,
+      [sessionId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to update session activity:', error);
+  }
+};
+
+const listSessions = async (userId) => {
+  const result = await query(
+    `SELECT session_id, device, ip_address, user_agent, created_at, last_seen_at
+     FROM user_sessions WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Revoke sessions and the refresh tokens issued to them. Returns the revoked session ids.
+const revokeSessions = async (userId, { sessionId, exceptSessionId } = {}) => {
+  const conditions = ['user_id = $1', 'revoked_at IS NULL'];
+  const params = [userId];
+
+  if (sessionId) {
+    params.push(sessionId);
+    conditions.push(`session_id = $${params.length}`);
+  }
+  if (exceptSessionId) {
+    params.push(exceptSessionId);
+    conditions.push(`session_id <> $${params.length}`);
+  }
+
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = NOW() WHERE ${conditions.join(' AND ')} RETURNING session_id`,
+    params
+  );
+  const sessionIds = result.rows.map(row => row.session_id);
+
+  if (sessionIds.length > 0) {
+    await query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ANY($1::uuid[]) AND revoked_at IS NULL',
+      [sessionIds]
+    );
+  }
+
+  return sessionIds;
+};
+
+module.exports = {
+  createSession,
+  touchSession,
+  listSessions,
+  revokeSessions
+};
@@ -0,0 +1,218 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { query, getClient } = require('../config/database');
+const { enqueueJob, cancelJobs, touchJob } = require('./jobRunner');
+const { buildStaticSite } = require('./staticSiteService');
+const { lockIdFor } = require('../utils/advisoryLock');
+const logger = require('../utils/logger');
+
+const SITE_EXPORT_JOB = 'export_static_site';
+
+// Each user's site is built into its own directory here, for the host or CDN to pick up.
+// Directories are named by user id, so renaming an account doesn't strand its old site.
+const STATIC_SITE_DIR = process.env.STATIC_SITE_DIR || path.join(__dirname, '..', 'static-sites');
+
+// Only one build per user writes to the directory at a time; a job that finds
+// the lock taken is put back to run after the current build
+const SITE_LOCK = lockIdFor('static_site_build');
+const BUSY_RETRY_SECONDS = 30;
+
+const SITE_EXPORT_COLUMNS = 'site_export_id, base_url, full_rebuild, status, report, error, created_at, updated_at, completed_at';
+
+const siteDirectory = (userId) => path.join(STATIC_SITE_DIR, String(userId));
+
+const dedupeKeyFor = (userId) => `site_export:${userId}`;
+
+// Record the request and queue the build. Requests made while one is still
+// waiting share its job, so the latest settings win.
+const createSiteExport = async (db, { userId, baseUrl, fullRebuild }) => {
+  const result = await db.query(
+    `INSERT INTO site_exports (user_id, base_url, full_rebuild)
+     VALUES ($1, $2, $3)
+     RETURNING ${SITE_EXPORT_COLUMNS}`,
+    [userId, baseUrl, fullRebuild]
+  );
+  const record = result.rows[0];
+
+  await enqueueJob(db, {
+    type: SITE_EXPORT_JOB,
+    payload: { siteExportId: record.site_export_id },
+    dedupeKey: dedupeKeyFor(userId),
+    maxAttempts: 3
+  });
+  return record;
+};
+
+const getSiteExport = async (userId, siteExportId) => {
+  const result = await query(
+    `SELECT ${SITE_EXPORT_COLUMNS} FROM site_exports WHERE site_export_id = $1 AND user_id = $2`,
+    [siteExportId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const listSiteExports = async (userId, limit = 10) => {
+  const result = await query(
+    `SELECT ${SITE_EXPORT_COLUMNS} FROM site_exports WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+};
+
+// Requests folded into this job's dedupe key never got a job of their own,
+// so they start and finish along with it
+const startSiteExports = (record) => query(
+  `UPDATE site_exports SET status = 'running', updated_at = NOW()
+   WHERE user_id = $1 AND status = 'pending' AND site_export_id <= $2`,
+  [record.user_id, record.site_export_id]
+);
+
+const finishSiteExports = (record, { status, report = null, error = null }) => query(
+  `UPDATE site_exports SET status = $3, report = $4, error = $5, completed_at = NOW(), updated_at = NOW()
+   WHERE user_id = $1 AND status = 'running' AND site_export_id <= $2`,
+  [record.user_id, record.site_export_id, status, report && JSON.stringify(report), error]
+);
+
+// Take the job again after the build holding the lock, for the newest request
+// still waiting (a pending job queued meanwhile is folded into this one)
+const requeueSiteExport = async (userId) => {
+  const result = await query(
+    `SELECT MAX(site_export_id) AS site_export_id FROM site_exports WHERE user_id = $1 AND status = 'pending'`,
+    [userId]
+  );
+  const siteExportId = result.rows[0].site_export_id;
+  if (!siteExportId) return;
+
+  await enqueueJob({ query }, {
+    type: SITE_EXPORT_JOB,
+    payload: { siteExportId },
+    runAt: new Date(Date.now() + BUSY_RETRY_SECONDS * 1000),
+    dedupeKey: dedupeKeyFor(userId),
+    maxAttempts: 3
+  });
+};
+
+// Runs fn while holding the user's build lock, on its own connection so the
+// lock outlives any one query. Returns false without running it when busy.
+const withSiteLock = async (userId, fn) => {
+  const lockClient = await getClient();
+  try {
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock($1, $2) AS locked', [SITE_LOCK, userId]);
+    if (!lock.rows[0].locked) return false;
+
+    try {
+      await fn();
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1, $2)', [SITE_LOCK, userId]);
+    }
+    return true;
+  } finally {
+    lockClient.release();
+  }
+};
+
+// Purged, or scheduled for deletion: its site must not be (re)published
+const isAccountLeaving = async (userId) => {
+  const result = await query('SELECT deletion_scheduled_at FROM users WHERE user_id = $1', [userId]);
+  return !result.rows[0] || Boolean(result.rows[0].deletion_scheduled_at);
+};
+
+const ACCOUNT_LEAVING_ERROR = 'The account is scheduled for deletion';
+
+const buildSite = async (record, job) => {
+  const { site_export_id: siteExportId } = record;
+  await startSiteExports(record);
+
+  if (await isAccountLeaving(record.user_id)) {
+    await finishSiteExports(record, { status: 'failed', error: ACCOUNT_LEAVING_ERROR });
+    return;
+  }
+
+  const outDir = siteDirectory(record.user_id);
+  try {
+    const report = await buildStaticSite({
+      userId: record.user_id,
+      outDir,
+      baseUrl: record.base_url,
+      full: record.full_rebuild,
+      onProgress: () => touchJob(job)
+    });
+
+    // Deletion was scheduled mid-build; takeSiteOffline found the lock taken
+    // and left removing the files to us
+    if (await isAccountLeaving(record.user_id)) {
+      await fs.rm(outDir, { recursive: true, force: true });
+      await finishSiteExports(record, { status: 'failed', error: ACCOUNT_LEAVING_ERROR });
+      return;
+    }
+
+    await finishSiteExports(record, { status: 'completed', report });
+
+    logger.info('Static site built', {
+      siteExportId,
+      userId: record.user_id,
+      outDir,
+      rendered: report.posts.rendered,
+      removed: report.filesRemoved
+    });
+  } catch (error) {
+    // Out of retries: record the failure so the client stops waiting
+    if (job.attempts >= job.max_attempts) {
+      await finishSiteExports(record, { status: 'failed', error: 'The site could not be built' });
+    }
+    throw error;
+  }
+};
+
+// Job handler. Rebuilding is safe to repeat: unchanged pages are skipped.
+const runSiteExport = async ({ siteExportId }, job) => {
+  const result = await query(
+    'SELECT site_export_id, user_id, base_url, full_rebuild, status FROM site_exports WHERE site_export_id = $1',
+    [siteExportId]
+  );
+  const record = result.rows[0];
+  if (!record || record.status === 'completed' || record.status === 'failed') return;
+
+  if (!await withSiteLock(record.user_id, () => buildSite(record, job))) {
+    await requeueSiteExport(record.user_id);
+  }
+};
+
+// Take a user's static site offline and drop queued builds when the account
+// is scheduled for deletion or purged. A build still running removes the
+// files itself once it sees the account is leaving.
+const takeSiteOffline = async (db, userId) => {
+  await cancelJobs(db, dedupeKeyFor(userId));
+  // Their job was just cancelled, so nothing else would finish them
+  await db.query(
+    `UPDATE site_exports SET status = 'failed', error = $2, completed_at = NOW(), updated_at = NOW()
+     WHERE user_id = $1 AND status = 'pending'`,
+    [userId, ACCOUNT_LEAVING_ERROR]
+  );
+
+  const removed = await withSiteLock(userId, () => fs.rm(siteDirectory(userId), { recursive: true, force: true }));
+  if (!removed) {
+    logger.info('Static site removal left to the running build', { userId });
+  }
+};
+
+// Publish the site again after a cancelled deletion, from the last build's address
+const rebuildSite = async (db, userId) => {
+  const result = await db.query(
+    'SELECT base_url FROM site_exports WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [userId]
+  );
+  if (result.rows.length === 0) return null;
+
+  return createSiteExport(db, { userId, baseUrl: result.rows[0].base_url, fullRebuild: true });
+};
+
+module.exports = {
+  SITE_EXPORT_JOB,
+  createSiteExport,
+  getSiteExport,
+  listSiteExports,
+  runSiteExport,
+  takeSiteOffline,
+  rebuildSite
+};
@@ -0,0 +1,78 @@
+const { lockIdFor } = require('../utils/advisoryLock');
+
+const MAX_SLUG_LENGTH = 100;
+// Held per author until the transaction ends, so two posts saved at once
+// can't both pick the same free slug
+const SLUG_LOCK = lockIdFor('post_slugs');
+
+// "Hello, World: Part 2!" -> "hello-world-part-2"
+const slugify = (title) => {
+  const slug = title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'post';
+};
+
+const lockSlugs = (db, userId) => db.query('SELECT pg_advisory_xact_lock($1, $2)', [SLUG_LOCK, userId]);
+
+// First free slug for the author: base, base-2, base-3, ...
+// Must run inside the transaction that saves the slug.
+const uniqueSlug = async (db, userId, title, excludePostId = null) => {
+  await lockSlugs(db, userId);
+  const base = slugify(title);
+  const result = await db.query(
+    `SELECT slug FROM blog_posts
+     WHERE user_id = $1 AND (slug = $2 OR slug LIKE $3) AND post_id IS DISTINCT FROM $4`,
+    [userId, base, `${base}-%`, excludePostId]
+  );
+  const taken = new Set(result.rows.map(row => row.slug));
+
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+// Give a retitled post a new slug, keeping the old one so existing links redirect.
+// Returns the post's slug (unchanged when the title maps to the same base).
+const updateSlugForTitle = async (db, { userId, postId, currentSlug, title }) => {
+  const base = slugify(title);
+  if (currentSlug === base) return currentSlug;
+
+  // "base-3" still fits while another post holds "base" itself; a title that
+  // merely ends in a number ("Top 10" -> "Top") doesn't count
+  const suffix = currentSlug?.match(/^(.*)-(\d+)$/);
+  if (suffix && suffix[1] === base && parseInt(suffix[2]) >= 2) {
+    await lockSlugs(db, userId);
+    const taken = await db.query(
+      'SELECT 1 FROM blog_posts WHERE user_id = $1 AND slug = $2 AND post_id <> $3',
+      [userId, base, postId]
+    );
+    if (taken.rows.length > 0) return currentSlug;
+  }
+
+  const slug = await uniqueSlug(db, userId, title, postId);
+
+  await db.query('UPDATE blog_posts SET slug = $1 WHERE post_id = $2', [slug, postId]);
+  if (currentSlug) {
+    await db.query(
+      `INSERT INTO blog_post_slug_history (user_id, slug, post_id) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, slug) DO UPDATE SET post_id = EXCLUDED.post_id, created_at = NOW()`,
+      [userId, currentSlug, postId]
+    );
+  }
+  // A live slug always wins over a redirect
+  await db.query('DELETE FROM blog_post_slug_history WHERE user_id = $1 AND slug = $2', [userId, slug]);
+
+  return slug;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  updateSlugForTitle
+};
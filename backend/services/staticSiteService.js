@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { query } = require('../config/database');
+const { PUBLIC_POST_FILTER } = require('./publicPosts');
+const { attachTags } = require('./taxonomyService');
+const { slugify } = require('./slugService');
+const { FEED_SIZE, FEED_FILES, renderFeed } = require('./feedService');
+const { DOCUMENT_CSS } = require('./exportService');
+
+// Render a user's published posts to a directory that any static host or CDN
+// can serve: index page, one page per post, tag pages, feeds, sitemap.xml and
+// the stylesheet. A manifest left in the directory lets the next build skip
+// posts whose updated_at (and tags) haven't changed and delete pages for posts
+// that are gone.
+
+// Bump when page markup changes so the next build re-renders every post
+const SITE_VERSION = 1;
+const MANIFEST_FILE = '.muse-site.json';
+const EXCERPT_LENGTH = 200;
+const PROGRESS_EVERY = 25;
+
+const siteError = (message) => {
+  const e = new Error(message);
+  e.code = 'SITE_EXPORT_ERROR';
+  return e;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const excerpt = (html) => {
+  const text = html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text;
+};
+
+const SITE_CSS = `${DOCUMENT_CSS}
+main { max-width: 42em; margin: 0 auto; padding: 3em 1.5em; background: #fff; }
+nav.site { max-width: 42em; margin: 0 auto; padding: 1em 1.5em 0;
+  font: 0.85em/1.5 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; }
+nav.site a { color: #047857; text-decoration: none; margin-right: 1em; }
+.post-list { margin: 0; padding: 0; list-style: none; }
+.post-list li { margin: 0 0 2em; }
+.post-list h2 { margin: 0; font-size: 1.3em; }
+.post-list h2 a { color: #111827; text-decoration: none; }
+.post-list p { margin: 0.3em 0 0; }
+.tags a { color: inherit; text-decoration: none; }
+`;
+
+// Pages link to each other relatively so the site works under any path
+const relative = (depth, target) => ('../'.repeat(depth) + target) || './';
+
+const layout = (site, { title, depth, canonical, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="canonical" href="${escapeHtml(canonical)}">
+<link rel="stylesheet" href="${relative(depth, 'assets/style.css')}">
+<link rel="alternate" type="application/atom+xml" title="${escapeHtml(site.title)}" href="${escapeHtml(`${site.baseUrl}/atom.xml`)}">
+<link rel="alternate" type="application/rss+xml" title="${escapeHtml(site.title)}" href="${escapeHtml(`${site.baseUrl}/rss.xml`)}">
+<link rel="alternate" type="application/feed+json" title="${escapeHtml(site.title)}" href="${escapeHtml(`${site.baseUrl}/feed.json`)}">
+</head>
+<body>
+<nav class="site"><a href="${relative(depth, '')}">${escapeHtml(site.title)}</a><a href="${relative(depth, 'tags/')}">Tags</a></nav>
+${body}
+</body>
+</html>
+`;
+
+const postPath = (post) => `posts/${post.slug}/`;
+
+const renderTagLinks = (post, depth, tagPaths) => (post.tags.length
+  ? `<ul class="tags">${post.tags
+    .map(tag => `<li><a href="${relative(depth, tagPaths.get(tag.tag_id))}">${escapeHtml(tag.name)}</a></li>`)
+    .join('')}</ul>`
+  : '');
+
+const renderPostList = (posts, depth, tagPaths) => `<ul class="post-list">
+${posts.map(post => `<li>
+<h2><a href="${relative(depth, postPath(post))}">${escapeHtml(post.title)}</a></h2>
+<p class="meta">${formatDate(post.created_at)}</p>
+<p>${escapeHtml(excerpt(post.content))}</p>
+${renderTagLinks(post, depth, tagPaths)}
+</li>`).join('\n')}
+</ul>`;
+
+const renderPostPage = (site, post, tagPaths) => layout(site, {
+  title: post.title,
+  depth: 2,
+  canonical: `${site.baseUrl}/${postPath(post)}`,
+  body: `<article>
+<header>
+<h1 class="title">${escapeHtml(post.title)}</h1>
+<p class="meta">By ${escapeHtml(site.author.username)} · ${formatDate(post.created_at)}</p>
+${renderTagLinks(post, 2, tagPaths)}
+</header>
+${post.content}
+</article>`
+});
+
+const renderIndexPage = (site, posts, tagPaths) => layout(site, {
+  title: site.title,
+  depth: 0,
+  canonical: `${site.baseUrl}/`,
+  body: `<main>
+<h1 class="title">${escapeHtml(site.title)}</h1>
+${posts.length ? renderPostList(posts, 0, tagPaths) : '<p>No posts yet.</p>'}
+</main>`
+});
+
+const renderTagPage = (site, tag, posts, tagPaths) => layout(site, {
+  title: `${tag.name} · ${site.title}`,
+  depth: 2,
+  canonical: `${site.baseUrl}/${tag.path}`,
+  body: `<main>
+<h1 class="title">Posts tagged “${escapeHtml(tag.name)}”</h1>
+${renderPostList(posts, 2, tagPaths)}
+</main>`
+});
+
+const renderTagsIndex = (site, tags) => layout(site, {
+  title: `Tags · ${site.title}`,
+  depth: 1,
+  canonical: `${site.baseUrl}/tags/`,
+  body: `<main>
+<h1 class="title">Tags</h1>
+${tags.length
+    ? `<ul class="tags">${tags.map(tag => `<li><a href="${relative(1, tag.path)}">${escapeHtml(tag.name)} (${tag.posts.length})</a></li>`).join('')}</ul>`
+    : '<p>No tags yet.</p>'}
+</main>`
+});
+
+const renderSitemap = (site, posts, tags) => {
+  const urls = [
+    { loc: `${site.baseUrl}/`, lastmod: posts[0]?.updated_at },
+    ...posts.map(post => ({ loc: `${site.baseUrl}/${postPath(post)}`, lastmod: post.updated_at })),
+    { loc: `${site.baseUrl}/tags/` },
+    ...tags.map(tag => ({ loc: `${site.baseUrl}/${tag.path}` }))
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(({ loc, lastmod }) => `<url><loc>${escapeHtml(loc)}</loc>${lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+};
+
+// Tag slugs can hold any character, so pages live under a filename-safe
+// version; tags that collide on it get their id appended
+const assignTags = (posts) => {
+  const tags = new Map();
+  for (const post of posts) {
+    for (const tag of post.tags) {
+      if (!tags.has(tag.tag_id)) tags.set(tag.tag_id, { ...tag, posts: [] });
+      tags.get(tag.tag_id).posts.push(post);
+    }
+  }
+
+  const sorted = [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+  const counts = new Map();
+  for (const tag of sorted) {
+    const base = slugify(tag.name);
+    counts.set(base, (counts.get(base) || 0) + 1);
+  }
+  for (const tag of sorted) {
+    const base = slugify(tag.name);
+    tag.path = `tags/${counts.get(base) > 1 ? `${base}-${tag.tag_id}` : base}/`;
+  }
+
+  return { tags: sorted, tagPaths: new Map(sorted.map(tag => [tag.tag_id, tag.path])) };
+};
+
+// What a post page depends on besides its own row
+const postFingerprint = (post, tagPaths) => JSON.stringify([
+  new Date(post.updated_at).toISOString(),
+  post.tags.map(tag => [tag.name, tagPaths.get(tag.tag_id)])
+]);
+
+// Resolve a path inside the output directory, refusing anything that escapes it
+const sitePath = (root, file) => {
+  const resolved = path.resolve(root, file);
+  if (!resolved.startsWith(root + path.sep)) throw siteError(`Refusing to write outside the site directory: ${file}`);
+  return resolved;
+};
+
+// Write through a temporary file so a host syncing the directory never sees half a page
+const writeSiteFile = async (root, file, content) => {
+  const target = sitePath(root, file);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const temporary = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(temporary, content);
+  await fs.rename(temporary, target);
+};
+
+const readSiteFile = async (root, file) => {
+  try {
+    return await fs.readFile(sitePath(root, file), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Returns whether the file was written
+const writeIfChanged = async (root, file, content) => {
+  if (await readSiteFile(root, file) === content) return false;
+  await writeSiteFile(root, file, content);
+  return true;
+};
+
+// Delete a file and any directories that leaves empty
+const removeSiteFile = async (root, file) => {
+  await fs.rm(sitePath(root, file), { force: true });
+  for (let dir = path.dirname(sitePath(root, file)); dir !== root; dir = path.dirname(dir)) {
+    try {
+      await fs.rmdir(dir);
+    } catch {
+      break;
+    }
+  }
+};
+
+// The previous build's manifest, or null when there isn't one for this user
+const readManifest = async (root, userId) => {
+  const text = await readSiteFile(root, MANIFEST_FILE);
+  if (!text) return null;
+  try {
+    const manifest = JSON.parse(text);
+    return manifest.userId === userId ? manifest : null;
+  } catch {
+    return null;
+  }
+};
+
+const manifestFiles = (manifest) => [
+  ...Object.values(manifest.posts).map(entry => entry.file),
+  ...manifest.files
+];
+
+const loadSite = async (userId) => {
+  const authorResult = await query('SELECT user_id, username, created_at FROM users WHERE user_id = $1', [userId]);
+  const author = authorResult.rows[0];
+  if (!author) throw siteError('User not found');
+
+  const postsResult = await query(
+    `SELECT p.post_id, p.title, p.slug, p.content, p.created_at, p.updated_at
+     FROM blog_posts p
+     JOIN users u ON u.user_id = p.user_id
+     WHERE p.user_id = $1 AND ${PUBLIC_POST_FILTER}
+     ORDER BY p.created_at DESC`,
+    [userId]
+  );
+
+  return { author, posts: await attachTags(postsResult.rows) };
+};
+
+// Build or update the site in outDir. baseUrl is where it will be hosted,
+// for canonical links, feeds and the sitemap. With full, every page is
+// rendered again. onProgress(done, total) is awaited as posts are processed.
+// Resolves to a report of what changed.
+const buildStaticSite = async ({ userId, outDir, baseUrl, full = false, onProgress = async () => {} }) => {
+  const root = path.resolve(outDir);
+  const { author, posts } = await loadSite(userId);
+  const site = { author, title: `Posts by ${author.username}`, baseUrl: baseUrl.replace(/\/+$/, '') };
+
+  // Pages from an earlier build for another address or template are all stale
+  const previous = await readManifest(root, userId);
+  const reusable = !full && previous?.version === SITE_VERSION && previous.baseUrl === site.baseUrl
+    ? previous
+    : null;
+
+  const report = {
+    fullRebuild: !reusable,
+    posts: { total: posts.length, rendered: 0, unchanged: 0, removed: 0 },
+    pages: { written: 0, unchanged: 0 },
+    filesRemoved: 0
+  };
+  const manifest = {
+    version: SITE_VERSION,
+    userId,
+    baseUrl: site.baseUrl,
+    builtAt: new Date().toISOString(),
+    posts: {},
+    files: []
+  };
+
+  const { tags, tagPaths } = assignTags(posts);
+
+  for (const [index, post] of posts.entries()) {
+    const file = `${postPath(post)}index.html`;
+    const fingerprint = postFingerprint(post, tagPaths);
+    const before = reusable?.posts[post.post_id];
+
+    if (before && before.file === file && before.fingerprint === fingerprint && await readSiteFile(root, file) !== null) {
+      report.posts.unchanged++;
+    } else {
+      await writeSiteFile(root, file, renderPostPage(site, post, tagPaths));
+      report.posts.rendered++;
+    }
+    manifest.posts[post.post_id] = { file, fingerprint };
+
+    if ((index + 1) % PROGRESS_EVERY === 0) await onProgress(index + 1, posts.length);
+  }
+
+  // Pages built from the whole set of posts are cheap to render; they're
+  // only rewritten when their content changes
+  const feed = {
+    author,
+    posts: posts.slice(0, FEED_SIZE),
+    updatedAt: posts.reduce((latest, post) => (post.updated_at > latest ? post.updated_at : latest), author.created_at)
+  };
+  const feedLinks = {
+    home: `${site.baseUrl}/`,
+    post: (post) => `${site.baseUrl}/${postPath(post)}`,
+    self: (file) => `${site.baseUrl}/${file}`
+  };
+  const pages = [
+    ['index.html', renderIndexPage(site, posts, tagPaths)],
+    ['tags/index.html', renderTagsIndex(site, tags)],
+    ...tags.map(tag => [`${tag.path}index.html`, renderTagPage(site, tag, tag.posts, tagPaths)]),
+    ...FEED_FILES.map(file => [file, renderFeed(file, feed, feedLinks)]),
+    ['sitemap.xml', renderSitemap(site, posts, tags)],
+    ['assets/style.css', SITE_CSS]
+  ];
+
+  for (const [file, content] of pages) {
+    if (await writeIfChanged(root, file, content)) {
+      report.pages.written++;
+    } else {
+      report.pages.unchanged++;
+    }
+    manifest.files.push(file);
+  }
+
+  // Remove what the previous build wrote that this one didn't: unpublished,
+  // trashed or renamed posts and tags nobody uses any more
+  if (previous) {
+    report.posts.removed = Object.keys(previous.posts).filter(id => !manifest.posts[id]).length;
+    const current = new Set(manifestFiles(manifest));
+    for (const file of manifestFiles(previous).filter(file => !current.has(file))) {
+      await removeSiteFile(root, file);
+      report.filesRemoved++;
+    }
+  }
+
+  await writeSiteFile(root, MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+  await onProgress(posts.length, posts.length);
+  return report;
+};
+
+module.exports = {
+  buildStaticSite
+};
@@ -0,0 +1,171 @@
+const { query } = require('../config/database');
+
+const MAX_TAGS_PER_POST = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Tags are matched case-insensitively: "Machine  Learning" -> "machine-learning".
+// Unlike post slugs this keeps non-Latin letters, so tags in any script work.
+const tagSlug = (name) => name.trim().toLowerCase().replace(/\s+/g, '-');
+
+// Trim, collapse whitespace and drop duplicates, keeping the first spelling
+const normalizeTagNames = (names) => {
+  const seen = new Map();
+  for (const raw of names) {
+    const name = String(raw).trim().replace(/\s+/g, ' ');
+    if (name && !seen.has(tagSlug(name))) seen.set(tagSlug(name), name);
+  }
+  return [...seen].map(([slug, name]) => ({ name, slug }));
+};
+
+// Replace a post's tags, creating any the author doesn't have yet
+const setPostTags = async (db, { userId, postId, names }) => {
+  const tags = normalizeTagNames(names);
+
+  await db.query('DELETE FROM blog_post_tags WHERE post_id = $1', [postId]);
+  if (tags.length === 0) return [];
+
+  // The no-op update makes RETURNING include tags that already existed
+  const result = await db.query(
+    `INSERT INTO tags (user_id, name, slug)
+     SELECT $1, name, slug FROM UNNEST($2::text[], $3::text[]) AS t(name, slug)
+     ON CONFLICT (user_id, slug) DO UPDATE SET slug = EXCLUDED.slug
+     RETURNING tag_id, name, slug`,
+    [userId, tags.map(tag => tag.name), tags.map(tag => tag.slug)]
+  );
+
+  await db.query(
+    'INSERT INTO blog_post_tags (post_id, tag_id) SELECT $1, UNNEST($2::int[])',
+    [postId, result.rows.map(tag => tag.tag_id)]
+  );
+
+  return result.rows.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Add a `tags` array to each post
+const attachTags = async (posts, db = { query }) => {
+  if (posts.length === 0) return posts;
+
+  const result = await db.query(
+    `SELECT pt.post_id, t.tag_id, t.name, t.slug
+     FROM blog_post_tags pt
+     JOIN tags t ON t.tag_id = pt.tag_id
+     WHERE pt.post_id = ANY($1::int[])
+     ORDER BY t.name`,
+    [posts.map(post => post.post_id)]
+  );
+
+  const byPost = new Map(posts.map(post => [post.post_id, []]));
+  for (const { post_id, ...tag } of result.rows) {
+    byPost.get(post_id).push(tag);
+  }
+  for (const post of posts) {
+    post.tags = byPost.get(post.post_id);
+  }
+  return posts;
+};
+
+const listTags = async (userId) => {
+  const result = await query(
+    `SELECT t.tag_id, t.name, t.slug, COUNT(pt.post_id)::int AS post_count
+     FROM tags t
+     LEFT JOIN blog_post_tags pt ON pt.tag_id = t.tag_id
+       AND pt.post_id IN (SELECT post_id FROM blog_posts WHERE user_id = $1 AND deleted_at IS NULL)
+     WHERE t.user_id = $1
+     GROUP BY t.tag_id
+     ORDER BY t.name`,
+    [userId]
+  );
+  return result.rows;
+};
+
+const findTagBySlug = async (userId, slug, excludeTagId = null) => {
+  const result = await query(
+    'SELECT tag_id, name, slug FROM tags WHERE user_id = $1 AND slug = $2 AND tag_id IS DISTINCT FROM $3',
+    [userId, slug, excludeTagId]
+  );
+  return result.rows[0] || null;
+};
+
+// Categories come back flat with their parent_id; clients build the tree
+const listCategories = async (userId) => {
+  const result = await query(
+    `SELECT c.category_id, c.parent_id, c.name, COUNT(p.post_id)::int AS post_count
+     FROM categories c
+     LEFT JOIN blog_posts p ON p.category_id = c.category_id AND p.deleted_at IS NULL
+     WHERE c.user_id = $1
+     GROUP BY c.category_id
+     ORDER BY c.name`,
+    [userId]
+  );
+  return result.rows;
+};
+
+const getCategory = async (userId, categoryId, db = { query }) => {
+  const result = await db.query(
+    'SELECT category_id, parent_id, name FROM categories WHERE category_id = $1 AND user_id = $2',
+    [categoryId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Sibling names must be unique, ignoring case
+const findSiblingCategory = async (userId, parentId, name, excludeCategoryId = null) => {
+  const result = await query(
+    `SELECT category_id FROM categories
+     WHERE user_id = $1 AND parent_id IS NOT DISTINCT FROM $2 AND LOWER(name) = LOWER($3)
+       AND category_id IS DISTINCT FROM $4`,
+    [userId, parentId, name, excludeCategoryId]
+  );
+  return result.rows[0] || null;
+};
+
+// The category and everything nested below it
+const CATEGORY_SUBTREE = `
+  WITH RECURSIVE subtree AS (
+    SELECT category_id FROM categories WHERE category_id = $1
+    UNION ALL
+    SELECT c.category_id FROM categories c JOIN subtree s ON c.parent_id = s.category_id
+  )
+  SELECT category_id FROM subtree`;
+
+// Moving a category under itself or one of its descendants would make a cycle
+const wouldCreateCycle = async (categoryId, newParentId) => {
+  const result = await query(
+    `SELECT 1 FROM (${CATEGORY_SUBTREE}) subtree WHERE category_id = $2`,
+    [categoryId, newParentId]
+  );
+  return result.rows.length > 0;
+};
+
+// SQL condition matching posts in a category or any of its subcategories.
+// `param` is the placeholder holding the category id, e.g. "$2".
+const categoryFilter = (param) => `category_id IN (${CATEGORY_SUBTREE.replace('$1', param)})`;
+
+// Children and posts move up to the deleted category's parent
+const deleteCategory = async (db, { userId, category }) => {
+  await db.query(
+    'UPDATE categories SET parent_id = $1 WHERE parent_id = $2 AND user_id = $3',
+    [category.parent_id, category.category_id, userId]
+  );
+  await db.query(
+    'UPDATE blog_posts SET category_id = $1, version = version + 1 WHERE category_id = $2 AND user_id = $3',
+    [category.parent_id, category.category_id, userId]
+  );
+  await db.query('DELETE FROM categories WHERE category_id = $1', [category.category_id]);
+};
+
+module.exports = {
+  MAX_TAGS_PER_POST,
+  MAX_TAG_LENGTH,
+  tagSlug,
+  setPostTags,
+  attachTags,
+  listTags,
+  findTagBySlug,
+  listCategories,
+  getCategory,
+  findSiblingCategory,
+  wouldCreateCycle,
+  categoryFilter,
+  deleteCategory
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+
+const KEY_PREFIX = 'revoked_token:';
+
+// Tokens issued with a jti are tracked by it; older tokens fall back to a hash of the token itself
+const getTokenId = (token, decoded) =>
+  decoded?.jti || crypto.createHash('sha256').update(token).digest('hex');
+
+// Revoke a token until it would have expired on its own
+const revokeToken = async (token, decoded) => {
+  const ttlSeconds = decoded?.exp ? decoded.exp - Math.floor(Date.now() / 1000) : 24 * 60 * 60;
+  if (ttlSeconds <= 0) return;
+
+  await redis.store.set(`${KEY_PREFIX}${getTokenId(token, decoded)}`, '1', ttlSeconds);
+};
+
+const isTokenRevoked = async (token, decoded) => {
+  const value = await redis.store.get(`${KEY_PREFIX}${getTokenId(token, decoded)}`);
+  return value !== null;
+};
+
+module.exports = {
+  revokeToken,
+  isTokenRevoked
+};
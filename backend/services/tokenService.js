@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, getClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// A rotated token presented again within this window is treated as a concurrent
+// refresh (e.g. two tabs) rather than theft
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 10;
+
+const refreshError = (code, message) => {
+  const e = new Error(message);
+  e.status = 401;
+  e.code = code;
+  return e;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT used on every API request, bound to the login session
+const generateAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.user_id, email: user.email, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+// Create a refresh token; only its hash is stored. The family id is the session id.
+// Pass a client to run inside a transaction.
+const issueRefreshToken = async (userId, familyId, db = { query }) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await db.query(
+    'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES ($1, $2, $3, $4) RETURNING token_id',
+    [userId, hashToken(token), familyId, expiresAt]
+  );
+
+  return { token, tokenId: result.rows[0].token_id, familyId, expiresAt };
+};
+
+// Exchange a refresh token for a new one in the same family. Presenting a token
+// that was already rotated revokes the whole family (reuse detection).
+const rotateRefreshToken = async (token) => {
+  const client = await getClient();
+  let settled = false;
+  const finish = async (statement) => {
+    settled = true;
+    await client.query(statement);
+  };
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT rt.token_id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at, rt.replaced_by,
+              s.revoked_at AS session_revoked_at, u.username, u.email, u.email_verified_at, u.role, u.created_at,
+              u.disabled_at, u.deletion_scheduled_at
+       FROM refresh_tokens rt
+       JOIN users u ON u.user_id = rt.user_id
+       LEFT JOIN user_sessions s ON s.session_id = rt.family_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await finish('ROLLBACK');
+      throw refreshError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const stored = result.rows[0];
+
+    // Session was signed out (from this or another device)
+    if (stored.session_revoked_at) {
+      await finish('ROLLBACK');
+      throw refreshError('SESSION_REVOKED', 'Session has been revoked');
+    }
+
+    if (stored.disabled_at) {
+      await finish('ROLLBACK');
+      throw refreshError('ACCOUNT_DISABLED', 'This account has been disabled');
+    }
+
+    if (stored.revoked_at) {
+      const revokedSeconds = (Date.now() - new Date(stored.revoked_at).getTime()) / 1000;
+      const concurrentRefresh = stored.replaced_by && revokedSeconds <= REFRESH_REUSE_GRACE_SECONDS;
+
+      if (!concurrentRefresh) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+          [stored.family_id]
+        );
+        await finish('COMMIT');
+        logger.warn('Refresh token reuse detected, family revoked', {
+          userId: stored.user_id,
+          familyId: stored.family_id
+        });
+        throw refreshError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used');
+      }
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      await finish('ROLLBACK');
+      throw refreshError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+
+    const next = await issueRefreshToken(stored.user_id, stored.family_id, client);
+
+    if (!stored.revoked_at) {
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE token_id = $2',
+        [next.tokenId, stored.token_id]
+      );
+    }
+
+    await finish('COMMIT');
+
+    return {
+      user: {
+        user_id: stored.user_id,
+        username: stored.username,
+        email: stored.email,
+        email_verified_at: stored.email_verified_at,
+        role: stored.role,
+        deletion_scheduled_at: stored.deletion_scheduled_at,
+        created_at: stored.created_at
+      },
+      sessionId: stored.family_id,
+      refreshToken: next
+    };
+  } catch (error) {
+    if (!settled) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Revoke every token in the family the given refresh token belongs to
+const revokeRefreshTokenFamily = async (token) => {
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1) AND revoked_at IS NULL`,
+    [hashToken(token)]
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily
+};
@@ -0,0 +1,26 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Trashed posts can be restored until the retention period is over, after
+// which the purge task deletes them for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const purgeTrashedPosts = async () => {
+  const result = await query(
+    `DELETE FROM blog_posts
+     WHERE deleted_at <= NOW() - $1 * INTERVAL '1 day'
+     RETURNING post_id`,
+    [TRASH_RETENTION_DAYS]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info(`Purged ${result.rows.length} trashed post(s)`, {
+      postIds: result.rows.map(row => row.post_id)
+    });
+  }
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeTrashedPosts
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, getClient } = require('../config/database');
+const totp = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const hashCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toUpperCase())
+  .digest('hex');
+
+// Challenge tokens use a derived key so they can never pass as access tokens
+const challengeSecret = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update('2fa-challenge')
+  .digest();
+
+const createChallengeToken = (user) => jwt.sign(
+  { id: user.user_id },
+  challengeSecret(),
+  { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+// Returns the decoded challenge, or null when it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, challengeSecret());
+  } catch {
+    return null;
+  }
+};
+
+// Recovery codes look like ABCD-EFGH-JKLM (60 bits); only hashes are stored
+const generateRecoveryCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const chars = Array.from(crypto.randomBytes(12), byte => alphabet[byte % alphabet.length]);
+  return [0, 4, 8].map(i => chars.slice(i, i + 4).join('')).join('-');
+};
+
+// Replace all of a user's recovery codes, returning the new plaintext codes once
+const regenerateRecoveryCodes = async (userId, db) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+    [userId, codes.map(hashCode)]
+  );
+
+  return codes;
+};
+
+const replaceRecoveryCodes = async (userId) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const codes = await regenerateRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING code_id`,
+    [userId, hashCode(code)]
+  );
+  return result.rows.length > 0;
+};
+
+const countRemainingRecoveryCodes = async (userId) => {
+  const result = await query(
+    'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Start enrollment: store a pending secret until the user proves they scanned it
+const beginEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  await query(
+    'UPDATE users SET totp_pending_secret = $1 WHERE user_id = $2',
+    [totp.encryptSecret(secret), user.id]
+  );
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TOTP_ISSUER || 'muse'
+    })
+  };
+};
+
+// Promote the pending secret once a valid code is supplied. Returns recovery codes, or null.
+const completeEnrollment = async (userId, code) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT totp_pending_secret FROM users WHERE user_id = $1 FOR UPDATE',
+      [userId]
+    );
+    const pending = result.rows[0]?.totp_pending_secret;
+    const step = pending ? totp.verifyCode(totp.decryptSecret(pending), code) : null;
+
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(
+      `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+         totp_enabled_at = NOW(), totp_last_used_step = $2
+       WHERE user_id = $1`,
+      [userId, step]
+    );
+    const codes = await regenerateRecoveryCodes(userId, client);
+
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const disableTwoFactor = async (userId) => {
+  await query(
+    `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL,
+       totp_last_used_step = NULL
+     WHERE user_id = $1`,
+    [userId]
+  );
+  await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// Verify a TOTP code for an enrolled user, recording the step to prevent replay
+const verifyUserCode = async (userId, code) => {
+  const result = await query(
+    'SELECT totp_secret, totp_last_used_step FROM users WHERE user_id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user?.totp_secret) return false;
+
+  const lastUsedStep = user.totp_last_used_step === null ? null : Number(user.totp_last_used_step);
+  const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code, { lastUsedStep });
+  if (step === null) return false;
+
+  // Conditional update so two concurrent requests can't both use the same step
+  const update = await query(
+    `UPDATE users SET totp_last_used_step = $2
+     WHERE user_id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)`,
+    [userId, step]
+  );
+  return update.rowCount > 0;
+};
+
+// Accept either an authenticator code or an unused recovery code
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return (await consumeRecoveryCode(userId, recoveryCode)) ? 'recovery_code' : null;
+  }
+  return (await verifyUserCode(userId, code)) ? 'totp' : null;
+};
+
+module.exports = {
+  createChallengeToken,
+  verifyChallengeToken,
+  beginEnrollment,
+  completeEnrollment,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  countRemainingRecoveryCodes,
+  verifySecondFactor
+};
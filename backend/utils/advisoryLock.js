@@ -0,0 +1,6 @@
+const crypto = require('crypto');
+
+// Postgres advisory locks take integer keys; derive a stable one from a name
+const lockIdFor = (name) => crypto.createHash('sha256').update(name).digest().readInt32BE(0);
+
+module.exports = { lockIdFor };
@@ -0,0 +1,167 @@
+// Word-level diff of two HTML fragments. Tags are kept as whole tokens so markup
+// is never split, and only text runs are wrapped in <ins>/<del>.
+const TOKEN_PATTERN = /<[^>]*>|[^<\s]+|\s+/g;
+
+// Past this many edits the texts are treated as a full rewrite; Myers' trace
+// grows with the square of the edit distance.
+const MAX_EDIT_DISTANCE = 2000;
+
+const tokenize = (html) => (html || '').match(TOKEN_PATTERN) || [];
+
+const isTag = (token) => token.startsWith('<');
+const isWord = (token) => !isTag(token) && token.trim() !== '';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Myers O(ND) diff. Returns [type, token] pairs, or null when the distance exceeds the cap.
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) return backtrack(a, b, trace);
+    }
+  }
+
+  return null;
+};
+
+const backtrack = (a, b, trace) => {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push(['equal', a[--x]]);
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push(['insert', b[--y]]);
+      } else {
+        edits.push(['delete', a[--x]]);
+      }
+    }
+  }
+
+  return edits.reverse();
+};
+
+// Merge per-token edits into runs of the same type
+const groupEdits = (edits) => edits.reduce((runs, [type, token]) => {
+  const last = runs[runs.length - 1];
+  if (last && last.type === type) {
+    last.tokens.push(token);
+  } else {
+    runs.push({ type, tokens: [token] });
+  }
+  return runs;
+}, []);
+
+// Wrap consecutive text tokens in the given tag, passing markup through untouched
+const wrapText = (tokens, tag) => {
+  let html = '';
+  let text = '';
+  const flush = () => {
+    if (text.trim()) html += `<${tag}>${text}</${tag}>`;
+    else html += text;
+    text = '';
+  };
+
+  for (const token of tokens) {
+    if (isTag(token)) {
+      flush();
+      html += token;
+    } else {
+      text += token;
+    }
+  }
+  flush();
+  return html;
+};
+
+const diffTokens = (a, b) => {
+  // Trim the common prefix and suffix so typical small edits stay cheap
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map(token => ['delete', token]),
+    ...middleB.map(token => ['insert', token])
+  ];
+
+  return [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(endA).map(token => ['equal', token])
+  ];
+};
+
+// Returns the new HTML annotated with <ins>/<del>, plus word counts
+const diffHtml = (oldHtml, newHtml) => {
+  const runs = groupEdits(diffTokens(tokenize(oldHtml), tokenize(newHtml)));
+  let html = '';
+  let insertions = 0;
+  let deletions = 0;
+
+  for (const { type, tokens } of runs) {
+    if (type === 'equal') {
+      html += tokens.join('');
+    } else if (type === 'insert') {
+      insertions += tokens.filter(isWord).length;
+      html += wrapText(tokens, 'ins');
+    } else {
+      // Deleted markup is dropped so removed blocks don't leave stray structure behind
+      const words = tokens.filter(isWord).length;
+      deletions += words;
+      if (words > 0) html += `<del>${tokens.filter(token => !isTag(token)).join('')}</del>`;
+    }
+  }
+
+  return { html, insertions, deletions };
+};
+
+// Plain text (e.g. titles) is escaped first so it diffs and renders as text
+const diffText = (oldText, newText) => diffHtml(escapeHtml(oldText), escapeHtml(newText));
+
+module.exports = { diffHtml, diffText };
@@ -8,6 +8,15 @@ import { Register } from './pages/Register'
 import { Dashboard } from './pages/Dashboard'
 import { BlogEditor } from './pages/BlogEditor'
 import { BlogView } from './pages/BlogView'
+import { Settings } from './pages/Settings'
+import { Trash } from './pages/Trash'
+import { ForgotPassword } from './pages/ForgotPassword'
+import { ResetPassword } from './pages/ResetPassword'
+import { VerifyEmail } from './pages/VerifyEmail'
+import { Admin } from './pages/Admin'
+import { AdminPostView } from './pages/AdminPostView'
+import { PublicPost } from './pages/PublicPost'
+import { PublicAuthor } from './pages/PublicAuthor'
 
 function App() {
   return (
@@ -18,6 +27,11 @@ function App() {
             {/* Public routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/p/:author" element={<PublicAuthor />} />
+            <Route path="/p/:author/:slug" element={<PublicPost />} />
             
             {/* Protected routes */}
             <Route path="/" element={
@@ -52,6 +66,39 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/settings" element={
+              <ProtectedRoute>
+                <Layout>
+                  <Settings />
+                </Layout>
+              </ProtectedRoute>
+            } />
+
+            <Route path="/trash" element={
+              <ProtectedRoute>
+                <Layout>
+                  <Trash />
+                </Layout>
+              </ProtectedRoute>
+            } />
+
+            {/* Admin routes */}
+            <Route path="/admin" element={
+              <ProtectedRoute roles={['admin']}>
+                <Layout>
+                  <Admin />
+                </Layout>
+              </ProtectedRoute>
+            } />
+
+            <Route path="/admin/posts/:id" element={
+              <ProtectedRoute roles={['admin']}>
+                <Layout>
+                  <AdminPostView />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            
             {/* Redirect to dashboard for any other route */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
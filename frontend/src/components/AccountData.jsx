@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Download, Trash2 } from 'lucide-react'
+import { accountAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+
+export function AccountData() {
+  const [exporting, setExporting] = useState(false)
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+  const [password, setPassword] = useState('')
+  const [deleting, setDeleting] = useState(false)
+  const { user, clearSession } = useAuth()
+  const navigate = useNavigate()
+
+  const handleExport = async () => {
+    try {
+      setExporting(true)
+      const response = await accountAPI.exportData()
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `muse-export-${user.username}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch {
+      toast.error('Failed to export your data')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleDelete = async (e) => {
+    e.preventDefault()
+    try {
+      setDeleting(true)
+      const response = await accountAPI.deleteAccount(password)
+      // The server has already signed out every session
+      clearSession()
+      toast.success(response.data.message, { duration: 8000 })
+      navigate('/login')
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete account')
+      setDeleting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="font-medium">Export your data</h3>
+          <p className="text-sm text-gray-400">
+            Download your profile, posts, AI usage and security history as a JSON file.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50 flex-shrink-0"
+        >
+          <Download className="h-4 w-4" />
+          {exporting ? 'Preparing…' : 'Export'}
+        </button>
+      </div>
+
+      <div className="border-t border-gray-800 pt-6 space-y-4">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h3 className="font-medium text-red-400">Delete account</h3>
+            <p className="text-sm text-gray-400">
+              Your account and all of its posts are permanently deleted after a grace period.
+              You can sign in and cancel the deletion until then.
+            </p>
+          </div>
+          {!confirmingDelete && (
+            <button
+              onClick={() => setConfirmingDelete(true)}
+              className="flex items-center gap-1 px-3 py-2 text-sm text-red-400 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition flex-shrink-0"
+            >
+              <Trash2 className="h-4 w-4" />
+              Delete
+            </button>
+          )}
+        </div>
+
+        {confirmingDelete && (
+          <form onSubmit={handleDelete} className="space-y-3 bg-gray-800 border border-red-900 rounded-lg p-4">
+            <p className="text-sm text-gray-300">Enter your password to confirm.</p>
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Current password"
+              className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-gray-500"
+            />
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => { setConfirmingDelete(false); setPassword('') }}
+                className="px-3 py-2 text-sm text-gray-300 hover:text-white"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={deleting}
+                className="px-3 py-2 text-sm bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+              >
+                Delete my account
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
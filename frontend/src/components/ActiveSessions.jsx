@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react'
+import { Monitor, Smartphone, LogOut } from 'lucide-react'
+import { authAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import { LoadingSpinner } from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const MOBILE_DEVICE = /iOS|Android/
+
+export function ActiveSessions() {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [revoking, setRevoking] = useState(null)
+  const { logout } = useAuth()
+
+  useEffect(() => {
+    fetchSessions()
+  }, [])
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true)
+      const response = await authAPI.getSessions()
+      setSessions(response.data.sessions)
+    } catch {
+      toast.error('Failed to load sessions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      if (!window.confirm('This will sign you out on this device. Continue?')) return
+      await logout()
+      return
+    }
+    try {
+      setRevoking(session.id)
+      await authAPI.revokeSession(session.id)
+      setSessions(sessions.filter(s => s.id !== session.id))
+      toast.success('Session revoked')
+    } catch {
+      toast.error('Failed to revoke session')
+    } finally {
+      setRevoking(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) return
+    try {
+      setRevoking('others')
+      const response = await authAPI.revokeOtherSessions()
+      setSessions(sessions.filter(s => s.current))
+      toast.success(`Signed out of ${response.data.revokedCount} other session(s)`)
+    } catch {
+      toast.error('Failed to revoke sessions')
+    } finally {
+      setRevoking(null)
+    }
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium">Active sessions</h3>
+          <p className="text-sm text-gray-400">Devices currently signed in to your account.</p>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={revoking !== null}
+            className="px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50"
+          >
+            Sign out other sessions
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {sessions.map((session) => {
+          const Icon = MOBILE_DEVICE.test(session.device) ? Smartphone : Monitor
+          return (
+            <div
+              key={session.id}
+              className="flex items-center justify-between bg-gray-800 border border-gray-700 rounded-lg p-4"
+            >
+              <div className="flex items-center gap-4 min-w-0">
+                <Icon className="h-6 w-6 text-gray-300 flex-shrink-0" />
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="text-sm font-semibold truncate">{session.device}</p>
+                    {session.current && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-gray-700 text-white border border-gray-600">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-400 truncate">
+                    {session.ip_address || 'Unknown IP'} · Last active {formatDate(session.last_seen_at)}
+                  </p>
+                  <p className="text-xs text-gray-500">Signed in {formatDate(session.created_at)}</p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={revoking !== null}
+                className="flex items-center gap-1 px-3 py-1.5 text-xs text-gray-300 hover:text-red-400 hover:bg-gray-700 rounded-lg transition disabled:opacity-50"
+              >
+                <LogOut className="h-4 w-4" />
+                {session.current ? 'Sign out' : 'Revoke'}
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
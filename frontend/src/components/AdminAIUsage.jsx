@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react'
+import { adminAPI } from '../services/api'
+import { LoadingSpinner } from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const PERIODS = [7, 30, 90, 365]
+
+export function AdminAIUsage() {
+  const [period, setPeriod] = useState(30)
+  const [usage, setUsage] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchUsage()
+  }, [period])
+
+  const fetchUsage = async () => {
+    try {
+      setLoading(true)
+      const response = await adminAPI.aiUsage({ period })
+      setUsage(response.data)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load AI usage')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatNumber = (value) => (parseInt(value) || 0).toLocaleString()
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <select
+          value={period}
+          onChange={(e) => setPeriod(parseInt(e.target.value))}
+          className="bg-gray-900 border border-gray-800 rounded-lg px-3 py-2 text-sm"
+        >
+          {PERIODS.map(days => <option key={days} value={days}>Last {days} days</option>)}
+        </select>
+      </div>
+
+      {loading || !usage ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {[
+              { label: 'Requests', value: usage.total.requests },
+              { label: 'Tokens used', value: usage.total.tokens },
+              { label: 'Active users', value: usage.total.activeUsers },
+            ].map(({ label, value }) => (
+              <div key={label} className="bg-gray-900 border border-gray-800 rounded-xl p-5 text-center">
+                <p className="text-3xl font-bold">{formatNumber(value)}</p>
+                <p className="text-gray-400 text-sm">{label}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+              <h3 className="font-semibold mb-4">By feature</h3>
+              {usage.byFeature.length === 0 ? (
+                <p className="text-sm text-gray-400">No AI requests in this period.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {usage.byFeature.map((feature) => (
+                    <li key={feature.feature_type} className="flex justify-between">
+                      <span className="text-gray-300">{feature.feature_type}</span>
+                      <span className="text-gray-400">
+                        {formatNumber(feature.request_count)} requests · {formatNumber(feature.total_tokens)} tokens
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+              <h3 className="font-semibold mb-4">Top users</h3>
+              {usage.topUsers.length === 0 ? (
+                <p className="text-sm text-gray-400">No AI requests in this period.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {usage.topUsers.map((user) => (
+                    <li key={user.user_id} className="flex justify-between">
+                      <span className="text-gray-300">{user.username}</span>
+                      <span className="text-gray-400">
+                        {formatNumber(user.requests)} requests · {formatNumber(user.tokens)} tokens
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {usage.dailyUsage.length > 0 && (
+            <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+              <h3 className="font-semibold mb-4">Daily usage</h3>
+              <ul className="space-y-2 text-sm">
+                {usage.dailyUsage.map((day) => (
+                  <li key={day.date} className="flex justify-between">
+                    <span className="text-gray-300">{new Date(day.date).toLocaleDateString()}</span>
+                    <span className="text-gray-400">
+                      {formatNumber(day.requests)} requests · {formatNumber(day.tokens)} tokens
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Search, Eye, X } from 'lucide-react'
+import { adminAPI } from '../services/api'
+import { LoadingSpinner } from './LoadingSpinner'
+import { Pagination } from './Pagination'
+import toast from 'react-hot-toast'
+
+export function AdminPosts({ userId, onClearUser }) {
+  const [posts, setPosts] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState({ search: '', status: '', page: 1 })
+
+  useEffect(() => {
+    fetchPosts()
+  }, [filters, userId])
+
+  const fetchPosts = async () => {
+    try {
+      setLoading(true)
+      const params = Object.fromEntries(
+        Object.entries({ ...filters, userId: userId || '' }).filter(([, value]) => value !== '')
+      )
+      const response = await adminAPI.getPosts(params)
+      setPosts(response.data.posts)
+      setPagination(response.data.pagination)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load posts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setFilters({ ...filters, search: search.trim(), page: 1 })
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row gap-3">
+        <form onSubmit={handleSearch} className="flex-1 relative">
+          <Search className="h-4 w-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by title"
+            className="w-full bg-gray-900 border border-gray-800 rounded-lg pl-9 pr-3 py-2 text-sm focus:outline-none focus:border-gray-600"
+          />
+        </form>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+          className="bg-gray-900 border border-gray-800 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          <option value="published">Published</option>
+          <option value="draft">Draft</option>
+        </select>
+        {userId && (
+          <button
+            onClick={onClearUser}
+            className="inline-flex items-center gap-1 px-3 py-2 text-sm bg-gray-900 border border-gray-800 rounded-lg hover:bg-gray-800"
+          >
+            User #{userId}
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner />
+        </div>
+      ) : posts.length === 0 ? (
+        <p className="text-center py-10 text-gray-400">No posts match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto bg-gray-900 border border-gray-800 rounded-xl">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-400 border-b border-gray-800">
+              <tr>
+                <th className="px-4 py-3 font-medium">Title</th>
+                <th className="px-4 py-3 font-medium">Author</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Updated</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-800">
+              {posts.map((post) => (
+                <tr key={post.post_id}>
+                  <td className="px-4 py-3 font-medium">{post.title}</td>
+                  <td className="px-4 py-3 text-gray-300">{post.username}</td>
+                  <td className="px-4 py-3">
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-gray-800 text-gray-300 border border-gray-700">
+                      {post.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-400">{formatDate(post.updated_at)}</td>
+                  <td className="px-4 py-3 text-right">
+                    <Link
+                      to={`/admin/posts/${post.post_id}`}
+                      className="inline-flex p-2 hover:bg-gray-800 rounded-lg"
+                      title="View"
+                    >
+                      <Eye className="h-4 w-4 text-gray-300" />
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Pagination
+        pagination={pagination}
+        label="posts"
+        onPageChange={(page) => setFilters({ ...filters, page })}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Search, Ban, CheckCircle } from 'lucide-react'
+import { adminAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import { LoadingSpinner } from './LoadingSpinner'
+import { Pagination } from './Pagination'
+import toast from 'react-hot-toast'
+
+const ROLES = ['admin', 'editor', 'author', 'viewer']
+
+export function AdminUsers() {
+  const [users, setUsers] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState({ search: '', role: '', status: '', page: 1 })
+  const [updating, setUpdating] = useState(null)
+  const { user: currentUser } = useAuth()
+
+  useEffect(() => {
+    fetchUsers()
+  }, [filters])
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true)
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+      const response = await adminAPI.getUsers(params)
+      setUsers(response.data.users)
+      setPagination(response.data.pagination)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const replaceUser = (updated) => {
+    setUsers(users.map(u => (u.user_id === updated.user_id ? updated : u)))
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setFilters({ ...filters, search: search.trim(), page: 1 })
+  }
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      setUpdating(user.user_id)
+      const response = await adminAPI.updateRole(user.user_id, role)
+      replaceUser(response.data.user)
+      toast.success(`${user.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}`)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update role')
+    } finally {
+      setUpdating(null)
+    }
+  }
+
+  const handleToggleDisabled = async (user) => {
+    const disable = !user.disabled_at
+    if (disable && !window.confirm(`Disable ${user.username}? They will be signed out everywhere.`)) return
+
+    try {
+      setUpdating(user.user_id)
+      const response = await adminAPI.setDisabled(user.user_id, disable)
+      replaceUser(response.data.user)
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update account')
+    } finally {
+      setUpdating(null)
+    }
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row gap-3">
+        <form onSubmit={handleSearch} className="flex-1 relative">
+          <Search className="h-4 w-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by username or email"
+            className="w-full bg-gray-900 border border-gray-800 rounded-lg pl-9 pr-3 py-2 text-sm focus:outline-none focus:border-gray-600"
+          />
+        </form>
+        <select
+          value={filters.role}
+          onChange={(e) => setFilters({ ...filters, role: e.target.value, page: 1 })}
+          className="bg-gray-900 border border-gray-800 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">All roles</option>
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+          className="bg-gray-900 border border-gray-800 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">All accounts</option>
+          <option value="active">Active</option>
+          <option value="disabled">Disabled</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner />
+        </div>
+      ) : users.length === 0 ? (
+        <p className="text-center py-10 text-gray-400">No users match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto bg-gray-900 border border-gray-800 rounded-xl">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-400 border-b border-gray-800">
+              <tr>
+                <th className="px-4 py-3 font-medium">User</th>
+                <th className="px-4 py-3 font-medium">Role</th>
+                <th className="px-4 py-3 font-medium">Posts</th>
+                <th className="px-4 py-3 font-medium">Joined</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-800">
+              {users.map((user) => {
+                const isSelf = user.user_id === currentUser?.id
+                return (
+                  <tr key={user.user_id}>
+                    <td className="px-4 py-3">
+                      <p className="font-medium">{user.username}</p>
+                      <p className="text-xs text-gray-400">{user.email}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={user.role}
+                        disabled={isSelf || updating === user.user_id}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        className="bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-sm disabled:opacity-50"
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-4 py-3">
+                      <Link
+                        to={`/admin?tab=posts&userId=${user.user_id}`}
+                        className="text-gray-300 hover:text-white underline-offset-2 hover:underline"
+                      >
+                        {user.post_count}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-3 text-gray-400">{formatDate(user.created_at)}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-1">
+                        {user.disabled_at ? (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-red-950 text-red-300 border border-red-800">Disabled</span>
+                        ) : (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-gray-800 text-gray-300 border border-gray-700">Active</span>
+                        )}
+                        {!user.email_verified_at && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-gray-800 text-yellow-300 border border-gray-700">Unverified</span>
+                        )}
+                        {user.totp_enabled_at && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-gray-800 text-emerald-300 border border-gray-700">2FA</span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {!isSelf && (
+                        <button
+                          onClick={() => handleToggleDisabled(user)}
+                          disabled={updating === user.user_id}
+                          className={`inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg hover:bg-gray-800 transition disabled:opacity-50 ${
+                            user.disabled_at ? 'text-gray-300 hover:text-white' : 'text-gray-300 hover:text-red-400'
+                          }`}
+                        >
+                          {user.disabled_at ? <CheckCircle className="h-4 w-4" /> : <Ban className="h-4 w-4" />}
+                          {user.disabled_at ? 'Enable' : 'Disable'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Pagination
+        pagination={pagination}
+        label="users"
+        onPageChange={(page) => setFilters({ ...filters, page })}
+      />
+    </div>
+  )
+}
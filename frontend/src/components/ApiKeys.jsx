@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react'
+import { KeyRound, Plus, Copy, Trash2 } from 'lucide-react'
+import { apiKeysAPI } from '../services/api'
+import { LoadingSpinner } from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const SCOPE_LABELS = {
+  'blogs:read': 'Read posts',
+  'blogs:write': 'Create, edit, publish and delete posts',
+  'ai:generate': 'Use AI writing tools',
+}
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', value: '' },
+  { label: '30 days', value: '30' },
+  { label: '90 days', value: '90' },
+  { label: '1 year', value: '365' },
+]
+
+const emptyForm = { name: '', scopes: ['blogs:read'], expiresInDays: '90' }
+
+export function ApiKeys() {
+  const [apiKeys, setApiKeys] = useState([])
+  const [scopes, setScopes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [createdKey, setCreatedKey] = useState(null)
+
+  useEffect(() => {
+    fetchKeys()
+  }, [])
+
+  const fetchKeys = async () => {
+    try {
+      setLoading(true)
+      const response = await apiKeysAPI.list()
+      setApiKeys(response.data.apiKeys)
+      setScopes(response.data.scopes)
+    } catch {
+      toast.error('Failed to load API keys')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter(s => s !== scope)
+        : [...form.scopes, scope]
+    })
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const response = await apiKeysAPI.create({
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? parseInt(form.expiresInDays) : null
+      })
+      const { key, ...apiKey } = response.data.apiKey
+      setApiKeys([apiKey, ...apiKeys])
+      setCreatedKey(key)
+      setShowForm(false)
+      setForm(emptyForm)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to create API key')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return
+    try {
+      await apiKeysAPI.revoke(apiKey.key_id)
+      setApiKeys(apiKeys.filter(k => k.key_id !== apiKey.key_id))
+      toast.success('API key revoked')
+    } catch {
+      toast.error('Failed to revoke API key')
+    }
+  }
+
+  const copyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey)
+      toast.success('API key copied')
+    } catch {
+      toast.error('Failed to copy key')
+    }
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium">API keys</h3>
+          <p className="text-sm text-gray-400">
+            Use with <code className="text-gray-300">Authorization: ApiKey &lt;key&gt;</code> to call the blog and AI APIs from scripts.
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition"
+          >
+            <Plus className="h-4 w-4" />
+            New key
+          </button>
+        )}
+      </div>
+
+      {createdKey && (
+        <div className="space-y-3 bg-gray-800 border border-gray-700 rounded-lg p-4">
+          <p className="text-sm text-gray-300">
+            Copy your new API key now. For your security it won't be shown again.
+          </p>
+          <div className="flex gap-2">
+            <code className="flex-1 bg-gray-900 border border-gray-700 rounded px-3 py-2 text-sm break-all">
+              {createdKey}
+            </code>
+            <button
+              onClick={copyKey}
+              className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-900 hover:bg-gray-700 border border-gray-700 rounded-lg transition"
+            >
+              <Copy className="h-4 w-4" />
+              Copy
+            </button>
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={() => setCreatedKey(null)}
+              className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="space-y-4 bg-gray-800 border border-gray-700 rounded-lg p-4">
+          <input
+            type="text"
+            required
+            maxLength={100}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Key name, e.g. CI publishing"
+            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-gray-500"
+          />
+          <div className="space-y-2">
+            <p className="text-sm text-gray-300">Scopes</p>
+            {scopes.map((scope) => (
+              <label key={scope} className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <code className="text-white">{scope}</code>
+                <span className="text-gray-400">{SCOPE_LABELS[scope]}</span>
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            Expires
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-sm"
+            >
+              {EXPIRY_OPTIONS.map(({ label, value }) => (
+                <option key={label} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => { setShowForm(false); setForm(emptyForm) }}
+              className="px-3 py-2 text-sm text-gray-300 hover:text-white"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || form.scopes.length === 0}
+              className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+            >
+              Create key
+            </button>
+          </div>
+        </form>
+      )}
+
+      {apiKeys.length === 0 ? (
+        <p className="text-sm text-gray-500">You don't have any API keys yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {apiKeys.map((apiKey) => {
+            const expired = apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()
+            return (
+              <div
+                key={apiKey.key_id}
+                className="flex items-center justify-between bg-gray-800 border border-gray-700 rounded-lg p-4"
+              >
+                <div className="flex items-center gap-4 min-w-0">
+                  <KeyRound className="h-6 w-6 text-gray-300 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="text-sm font-semibold truncate">{apiKey.name}</p>
+                      <code className="text-xs text-gray-400">{apiKey.key_prefix}…</code>
+                      {expired && (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-red-950 text-red-300 border border-red-800">
+                          Expired
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-400 truncate">{apiKey.scopes.join(', ')}</p>
+                    <p className="text-xs text-gray-500">
+                      Created {formatDate(apiKey.created_at)}
+                      {' · '}
+                      {apiKey.last_used_at ? `Last used ${formatDate(apiKey.last_used_at)}` : 'Never used'}
+                      {' · '}
+                      {apiKey.expires_at ? `${expired ? 'Expired' : 'Expires'} ${formatDate(apiKey.expires_at)}` : 'No expiry'}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey)}
+                  className="flex items-center gap-1 px-3 py-1.5 text-xs text-gray-300 hover:text-red-400 hover:bg-gray-700 rounded-lg transition"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  Revoke
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
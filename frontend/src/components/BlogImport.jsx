@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react'
+import { Upload, CheckCircle, AlertTriangle } from 'lucide-react'
+import { importsAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+
+const POLL_INTERVAL = 2000
+
+const isRunning = (record) => record && (record.status === 'pending' || record.status === 'running')
+
+const authorActions = {
+  matched: 'matched to',
+  created: 'new account',
+  would_create: 'would create',
+  assigned_to_importer: 'assigned to you'
+}
+
+export function BlogImport() {
+  const [file, setFile] = useState(null)
+  const [dryRun, setDryRun] = useState(true)
+  const [mapAuthors, setMapAuthors] = useState(false)
+  const [current, setCurrent] = useState(null)
+  const [starting, setStarting] = useState(false)
+  const { hasPermission } = useAuth()
+
+  // Pick up an import that was still running when the page was left
+  useEffect(() => {
+    importsAPI.list()
+      .then(response => setCurrent(response.data.imports[0] || null))
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    if (!isRunning(current)) return
+    const timer = setTimeout(async () => {
+      try {
+        const response = await importsAPI.get(current.import_id)
+        setCurrent(response.data.import)
+      } catch {
+        toast.error('Lost track of the import; reload to check on it')
+      }
+    }, POLL_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [current])
+
+  const startImport = async (asDryRun) => {
+    try {
+      setStarting(true)
+      const text = await file.text()
+      const contentType = text.trimStart().startsWith('<') ? 'application/xml' : 'application/json'
+      const response = await importsAPI.create(text, contentType, { dryRun: asDryRun, mapAuthors })
+      setCurrent(response.data.import)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to start the import')
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const report = current?.report
+  const progress = current?.total_items ? Math.round((current.processed_items / current.total_items) * 100) : 0
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="font-medium">Import from WordPress or Ghost</h3>
+        <p className="text-sm text-gray-400">
+          Upload a WordPress export (Tools → Export, an .xml file) or a Ghost export (Settings → Labs, a .json file).
+          Posts, drafts, dates and tags are kept; pages and media are skipped. Importing the same file again skips posts already brought in.
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <input
+          type="file"
+          accept=".xml,.json,application/xml,text/xml,application/json"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="block w-full text-sm text-gray-300 file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border file:border-gray-700 file:bg-gray-800 file:text-white hover:file:bg-gray-700"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+          Dry run: report what would be imported without saving anything
+        </label>
+        {hasPermission('users:manage') && (
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={mapAuthors} onChange={(e) => setMapAuthors(e.target.checked)} />
+            Give posts to accounts matching each author's email, creating accounts that don't exist
+          </label>
+        )}
+        <button
+          onClick={() => startImport(dryRun)}
+          disabled={!file || starting || isRunning(current)}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50"
+        >
+          <Upload className="h-4 w-4" />
+          {starting ? 'Uploading…' : dryRun ? 'Start dry run' : 'Import'}
+        </button>
+      </div>
+
+      {current && (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 space-y-4 text-sm">
+          <div className="flex items-center justify-between gap-4">
+            <span className="font-medium">
+              {current.dry_run ? 'Dry run' : 'Import'} of a {current.format === 'wxr' ? 'WordPress' : 'Ghost'} export
+            </span>
+            <span className="text-gray-400">{new Date(current.created_at).toLocaleString()}</span>
+          </div>
+
+          {isRunning(current) && (
+            <div className="space-y-1">
+              <div className="h-2 bg-gray-900 rounded-full overflow-hidden">
+                <div className="h-full bg-white transition-all" style={{ width: `${progress}%` }} />
+              </div>
+              <p className="text-gray-400">
+                {current.total_items === null
+                  ? 'Waiting to start…'
+                  : `${current.processed_items} of ${current.total_items} posts processed`}
+              </p>
+            </div>
+          )}
+
+          {current.status === 'failed' && (
+            <p className="flex items-center gap-2 text-red-400">
+              <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+              {current.error}
+            </p>
+          )}
+
+          {current.status === 'completed' && report && (
+            <div className="space-y-3">
+              <p className="flex items-center gap-2 text-white">
+                <CheckCircle className="h-4 w-4" />
+                {report.dryRun ? 'Would import' : 'Imported'} {report.posts.created} post(s):{' '}
+                {report.posts.published} published, {report.posts.scheduled} scheduled, {report.posts.drafts} drafts
+              </p>
+              {report.sanitized > 0 && (
+                <p className="text-gray-400">
+                  {report.sanitized} post(s) had formatting the editor doesn't support removed.
+                </p>
+              )}
+
+              {report.authors.length > 0 && (
+                <ul className="space-y-1 text-gray-300">
+                  {report.authors.map(author => (
+                    <li key={`${author.name}-${author.email}`}>
+                      {author.name}{author.email && ` <${author.email}>`}: {authorActions[author.action]}
+                      {author.username && ` @${author.username}`}
+                      {author.reason && ` (${author.reason})`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {report.skipped.total > 0 && (
+                <details className="text-gray-400">
+                  <summary className="cursor-pointer">
+                    Skipped {report.skipped.total} item(s):{' '}
+                    {Object.entries(report.skipped.byReason).map(([reason, count]) => `${reason} (${count})`).join(', ')}
+                  </summary>
+                  <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+                    {report.skipped.items.map((item, index) => (
+                      <li key={index}>
+                        {item.title || `#${item.sourceId}`}: {item.reason}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+
+              {current.dry_run && file && (
+                <button
+                  onClick={() => startImport(false)}
+                  disabled={starting}
+                  className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-100 transition disabled:opacity-50"
+                >
+                  Import for real
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,36 @@
+// Flatten the parent_id list into depth-first order with each category's depth
+export const categoryTree = (categories) => {
+  const children = new Map()
+  for (const category of categories) {
+    const siblings = children.get(category.parent_id) || []
+    siblings.push(category)
+    children.set(category.parent_id, siblings)
+  }
+
+  const ordered = []
+  const visit = (parentId, depth) => {
+    for (const category of children.get(parentId) || []) {
+      ordered.push({ ...category, depth })
+      visit(category.category_id, depth + 1)
+    }
+  }
+  visit(null, 0)
+  return ordered
+}
+
+export function CategorySelect({ categories, value, onChange, emptyLabel = 'No category', className = '' }) {
+  return (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value ? parseInt(e.target.value) : null)}
+      className={`bg-gray-800 text-white border border-gray-700 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-600 ${className}`}
+    >
+      <option value="">{emptyLabel}</option>
+      {categoryTree(categories).map(category => (
+        <option key={category.category_id} value={category.category_id}>
+          {'\u00a0\u00a0'.repeat(category.depth)}{category.name}
+        </option>
+      ))}
+    </select>
+  )
+}
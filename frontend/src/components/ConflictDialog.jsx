@@ -0,0 +1,77 @@
+import { AlertTriangle } from 'lucide-react'
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+
+function VersionPreview({ label, hint, post }) {
+  return (
+    <div className="flex flex-col min-h-0 bg-gray-900 border border-gray-800 rounded-xl">
+      <div className="px-4 py-3 border-b border-gray-800">
+        <div className="text-sm font-medium">{label}</div>
+        <div className="text-xs text-gray-500">{hint}</div>
+      </div>
+      <div className="p-4 overflow-y-auto space-y-3">
+        <h3 className="text-lg font-semibold">{post.title}</h3>
+        <div
+          className="prose prose-invert max-w-none text-sm text-gray-300"
+          dangerouslySetInnerHTML={{ __html: post.content }}
+        />
+      </div>
+    </div>
+  )
+}
+
+// Shown when a save is rejected because the post changed elsewhere (HTTP 409)
+export function ConflictDialog({ mine, theirs, saving, onKeepMine, onUseTheirs, onCancel }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-6">
+      <div className="absolute inset-0 bg-black/70" onClick={onCancel} />
+
+      <div className="relative w-full max-w-5xl max-h-full flex flex-col bg-gray-950 border border-gray-800 rounded-2xl text-white">
+        <div className="px-6 py-4 border-b border-gray-800">
+          <h2 className="text-lg font-semibold flex items-center">
+            <AlertTriangle className="h-5 w-5 mr-2 text-yellow-400" />
+            This post was changed somewhere else
+          </h2>
+          <p className="text-sm text-gray-400 mt-1">
+            Another tab or device saved a newer version at {formatDateTime(theirs.updated_at)}.
+            Choose which version to keep.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-6 min-h-0 overflow-hidden">
+          <VersionPreview label="Your version" hint="Unsaved changes in this editor" post={mine} />
+          <VersionPreview label="Saved version" hint={`Version ${theirs.version} on the server`} post={theirs} />
+        </div>
+
+        <div className="flex justify-end gap-3 px-6 py-4 border-t border-gray-800">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-300 hover:text-white"
+          >
+            Keep editing
+          </button>
+          <button
+            onClick={onUseTheirs}
+            disabled={saving}
+            className="px-4 py-2 text-sm bg-gray-900 hover:bg-gray-800 border border-gray-700 rounded-lg transition disabled:opacity-50"
+          >
+            Discard mine and load saved
+          </button>
+          <button
+            onClick={onKeepMine}
+            disabled={saving}
+            className="px-4 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+          >
+            Overwrite with mine
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react'
+import { Download, ChevronDown, BookOpen, X } from 'lucide-react'
+import { blogAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+
+// The server caps an EPUB at 100 chapters
+const MAX_CHAPTERS = 100
+
+const FORMATS = [
+  { format: 'pdf', label: 'PDF', extension: 'pdf' },
+  { format: 'html', label: 'HTML page', extension: 'html' },
+  { format: 'epub', label: 'EPUB e-book', extension: 'epub' },
+  { format: 'md', label: 'Markdown', extension: 'md' }
+]
+
+// Without a title of its own, a book of several posts is named after the author
+const defaultBookTitle = (post, postIds, username) => (postIds.length ? `Posts by ${username}` : post.title)
+
+const fileSlug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'posts'
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Pick more posts to bundle after this one; chapters follow the order they're ticked in
+function EpubDialog({ post, onExport, onClose }) {
+  const { user } = useAuth()
+  const [posts, setPosts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [chosen, setChosen] = useState([])
+  const [title, setTitle] = useState('')
+  const [exporting, setExporting] = useState(false)
+
+  useEffect(() => {
+    blogAPI.getBlogs({ limit: MAX_CHAPTERS })
+      .then(response => setPosts(response.data.posts.filter(other => other.post_id !== post.post_id)))
+      .catch(() => toast.error('Failed to load your posts'))
+      .finally(() => setLoading(false))
+  }, [post.post_id])
+
+  const toggle = (postId) => {
+    setChosen(chosen.includes(postId)
+      ? chosen.filter(id => id !== postId)
+      : [...chosen, postId])
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    await onExport(chosen, title.trim())
+    setExporting(false)
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-6">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      <div className="relative w-full max-w-lg max-h-full flex flex-col bg-white rounded-xl shadow-xl">
+        <div className="flex items-start justify-between px-6 py-4 border-b">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">EPUB with other posts</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              “{post.title}” is the first chapter. Tick more posts in the order they should follow.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-4 min-h-0 overflow-y-auto">
+          <label className="block text-sm">
+            <span className="text-gray-700 font-medium">Book title</span>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={200}
+              placeholder={defaultBookTitle(post, chosen, user.username)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            />
+          </label>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading posts…</p>
+          ) : posts.length === 0 ? (
+            <p className="text-sm text-gray-500">You have no other posts.</p>
+          ) : (
+            <ul className="divide-y border rounded-lg">
+              {posts.map(other => {
+                const position = chosen.indexOf(other.post_id)
+                return (
+                  <li key={other.post_id}>
+                    <label className="flex items-center gap-3 px-3 py-2 text-sm text-gray-800 cursor-pointer hover:bg-emerald-50">
+                      <input
+                        type="checkbox"
+                        checked={position !== -1}
+                        onChange={() => toggle(other.post_id)}
+                        className="accent-emerald-600"
+                      />
+                      <span className="flex-1 truncate">{other.title}</span>
+                      {position !== -1 && (
+                        <span className="text-xs text-emerald-700">Chapter {position + 2}</span>
+                      )}
+                    </label>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 px-6 py-4 border-t">
+          <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="bg-emerald-500 hover:bg-emerald-600 text-white px-4 py-2 rounded-full text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            {exporting ? 'Preparing…' : `Download EPUB (${chosen.length + 1} chapter${chosen.length ? 's' : ''})`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export function ExportMenu({ post }) {
+  const { user } = useAuth()
+  const [open, setOpen] = useState(false)
+  const [showEpubDialog, setShowEpubDialog] = useState(false)
+
+  const download = async ({ format, extension }, params = {}, filename = post.slug) => {
+    const toastId = toast.loading('Preparing download…')
+    try {
+      const response = await blogAPI.exportBlog(post.post_id, format, params)
+      saveBlob(response.data, `${filename}.${extension}`)
+      toast.dismiss(toastId)
+      return true
+    } catch {
+      toast.error('Failed to export post', { id: toastId })
+      return false
+    }
+  }
+
+  const handleEpubExport = async (postIds, title) => {
+    const epub = FORMATS.find(option => option.format === 'epub')
+    const params = {
+      ...(postIds.length && { posts: postIds.join(',') }),
+      ...(title && { title })
+    }
+    const filename = (title || postIds.length) ? fileSlug(title || defaultBookTitle(post, postIds, user.username)) : post.slug
+    if (await download(epub, params, filename)) setShowEpubDialog(false)
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center text-gray-600 hover:text-gray-900 font-medium"
+      >
+        <Download className="h-4 w-4 mr-2" />
+        Export
+        <ChevronDown className="h-4 w-4 ml-1" />
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-20 mt-2 w-56 bg-white border rounded-lg shadow-lg py-1">
+            {FORMATS.map(option => (
+              <button
+                key={option.format}
+                onClick={() => { setOpen(false); download(option) }}
+                className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-emerald-50"
+              >
+                {option.label}
+              </button>
+            ))}
+            <button
+              onClick={() => { setOpen(false); setShowEpubDialog(true) }}
+              className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-emerald-50 border-t"
+            >
+              <BookOpen className="h-4 w-4 mr-2 text-emerald-600" />
+              EPUB with other posts…
+            </button>
+          </div>
+        </>
+      )}
+
+      {showEpubDialog && (
+        <EpubDialog
+          post={post}
+          onExport={handleEpubExport}
+          onClose={() => setShowEpubDialog(false)}
+        />
+      )}
+    </div>
+  )
+}
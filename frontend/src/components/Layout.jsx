@@ -8,20 +8,33 @@ import {
   LogOut, 
   Menu, 
   X,
-  Sparkles
+  Sparkles,
+  MailWarning,
+  ShieldCheck,
+  AlertTriangle,
+  Trash2
 } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
+import { authAPI, accountAPI } from '../services/api'
+import toast from 'react-hot-toast'
 
 export function Layout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(false)
-  const { user, logout } = useAuth()
+  const [resending, setResending] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const { user, logout, hasPermission, refreshUser } = useAuth()
   const location = useLocation()
 
   const navigation = [
     { name: 'Dashboard', href: '/', icon: BarChart3 },
-    { name: 'New Post', href: '/editor', icon: Plus },
+    { name: 'New Post', href: '/editor', icon: Plus, permission: 'posts:write' },
     { name: 'All Posts', href: '/', icon: FileText },
-  ]
+    { name: 'Trash', href: '/trash', icon: Trash2, permission: 'posts:delete' },
+    { name: 'Settings', href: '/settings', icon: Settings },
+    { name: 'Admin', href: '/admin', icon: ShieldCheck, role: 'admin' },
+  ].filter(item =>
+    (!item.permission || hasPermission(item.permission)) && (!item.role || user?.role === item.role)
+  )
 
   const isActive = (href) => {
     if (href === '/') {
@@ -30,8 +43,135 @@ export function Layout({ children }) {
     return location.pathname.startsWith(href)
   }
 
+  const handleResendVerification = async () => {
+    try {
+      setResending(true)
+      await authAPI.resendVerification()
+      toast.success('Verification email sent')
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to send verification email')
+    } finally {
+      setResending(false)
+    }
+  }
+
+  const handleCancelDeletion = async () => {
+    try {
+      setRestoring(true)
+      await accountAPI.restore()
+      await refreshUser()
+      toast.success('Account deletion cancelled')
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to cancel account deletion')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  const navLinkClass = (href) =>
+    `flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition ${
+      isActive(href) ? 'bg-gray-800 text-white' : 'text-gray-400 hover:text-white hover:bg-gray-900'
+    }`
+
   return (
     <div className="min-h-screen bg-black text-white">
+      <header className="border-b border-gray-800">
+        <div className="max-w-7xl mx-auto px-6 h-16 flex items-center justify-between">
+          <Link to="/" className="flex items-center">
+            <Sparkles className="h-6 w-6 text-white mr-2" />
+            <span className="text-xl font-bold" style={{ fontFamily: 'cursive' }}>
+              muse
+            </span>
+          </Link>
+
+          <nav className="hidden md:flex items-center gap-1">
+            {navigation.map(({ name, href, icon: Icon }) => (
+              <Link key={name} to={href} className={navLinkClass(href)}>
+                <Icon className="h-4 w-4" />
+                {name}
+              </Link>
+            ))}
+          </nav>
+
+          <div className="hidden md:flex items-center gap-3">
+            <span className="text-sm text-gray-400">{user?.username}</span>
+            <button
+              onClick={logout}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-gray-400 hover:text-white hover:bg-gray-900 transition"
+            >
+              <LogOut className="h-4 w-4" />
+              Logout
+            </button>
+          </div>
+
+          <button
+            onClick={() => setSidebarOpen(!sidebarOpen)}
+            className="md:hidden p-2 rounded-lg text-gray-400 hover:text-white hover:bg-gray-900"
+          >
+            {sidebarOpen ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
+          </button>
+        </div>
+
+        {sidebarOpen && (
+          <nav className="md:hidden border-t border-gray-800 px-6 py-3 space-y-1">
+            {navigation.map(({ name, href, icon: Icon }) => (
+              <Link
+                key={name}
+                to={href}
+                onClick={() => setSidebarOpen(false)}
+                className={navLinkClass(href)}
+              >
+                <Icon className="h-4 w-4" />
+                {name}
+              </Link>
+            ))}
+            <button
+              onClick={logout}
+              className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-gray-400 hover:text-white hover:bg-gray-900 transition"
+            >
+              <LogOut className="h-4 w-4" />
+              Logout
+            </button>
+          </nav>
+        )}
+      </header>
+
+      {user?.deletion_scheduled_at && (
+        <div className="bg-gray-900 border-b border-gray-800">
+          <div className="max-w-7xl mx-auto px-6 py-3 flex items-center justify-between gap-4 text-sm">
+            <div className="flex items-center gap-2 text-gray-300">
+              <AlertTriangle className="h-4 w-4 text-red-400" />
+              Your account is scheduled for deletion on {new Date(user.deletion_scheduled_at).toLocaleDateString()}.
+            </div>
+            <button
+              onClick={handleCancelDeletion}
+              disabled={restoring}
+              className="px-3 py-1 text-xs bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50"
+            >
+              Cancel deletion
+            </button>
+          </div>
+        </div>
+      )}
+
+      {user && !user.email_verified && (
+        <div className="bg-gray-900 border-b border-gray-800">
+          <div className="max-w-7xl mx-auto px-6 py-3 flex items-center justify-between gap-4 text-sm">
+            <div className="flex items-center gap-2 text-gray-300">
+              <MailWarning className="h-4 w-4 text-yellow-400" />
+              Verify your email address to publish posts. Check your inbox for a verification link.
+            </div>
+            <button
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="px-3 py-1 text-xs bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50"
+            >
+              Resend email
+            </button>
+          </div>
+        </div>
+      )}
+
       <main className="max-w-7xl mx-auto p-6">
         {children}
       </main>
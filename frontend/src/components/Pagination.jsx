@@ -0,0 +1,28 @@
+export function Pagination({ pagination, label, onPageChange }) {
+  if (!pagination || pagination.totalPages <= 1) return null
+
+  const buttonClass = 'px-3 py-1.5 bg-gray-900 border border-gray-800 rounded-lg hover:bg-gray-800 disabled:opacity-50'
+
+  return (
+    <div className="flex items-center justify-between text-sm text-gray-400">
+      <span>{pagination.total} {label}</span>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => onPageChange(pagination.currentPage - 1)}
+          disabled={!pagination.hasPrev}
+          className={buttonClass}
+        >
+          Previous
+        </button>
+        <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+        <button
+          onClick={() => onPageChange(pagination.currentPage + 1)}
+          disabled={!pagination.hasNext}
+          className={buttonClass}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react'
+import { Folder, Tag, Plus, Pencil, Trash2 } from 'lucide-react'
+import { tagsAPI, categoriesAPI } from '../services/api'
+import { LoadingSpinner } from './LoadingSpinner'
+import { CategorySelect, categoryTree } from './CategorySelect'
+import toast from 'react-hot-toast'
+
+const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback
+
+export function PostOrganization() {
+  const [categories, setCategories] = useState([])
+  const [tags, setTags] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [newCategory, setNewCategory] = useState({ name: '', parentId: null })
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchAll()
+  }, [])
+
+  const fetchAll = async () => {
+    try {
+      setLoading(true)
+      const [categoriesResponse, tagsResponse] = await Promise.all([categoriesAPI.list(), tagsAPI.list()])
+      setCategories(categoriesResponse.data.categories)
+      setTags(tagsResponse.data.tags)
+    } catch {
+      toast.error('Failed to load categories and tags')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCreateCategory = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const response = await categoriesAPI.create(newCategory)
+      setCategories([...categories, response.data.category])
+      setNewCategory({ name: '', parentId: newCategory.parentId })
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to create category'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRenameCategory = async (category) => {
+    const name = window.prompt('Rename category', category.name)?.trim()
+    if (!name || name === category.name) return
+    try {
+      const response = await categoriesAPI.update(category.category_id, { name })
+      setCategories(categories.map(c => c.category_id === category.category_id ? { ...c, ...response.data.category } : c))
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to rename category'))
+    }
+  }
+
+  const handleDeleteCategory = async (category) => {
+    if (!window.confirm(`Delete "${category.name}"? Its posts and subcategories move up one level.`)) return
+    try {
+      await categoriesAPI.remove(category.category_id)
+      // Counts and parents change server-side, so reload rather than patch locally
+      fetchAll()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete category'))
+    }
+  }
+
+  const handleRenameTag = async (tag) => {
+    const name = window.prompt('Rename tag', tag.name)?.trim()
+    if (!name || name === tag.name) return
+    try {
+      const response = await tagsAPI.rename(tag.tag_id, name)
+      setTags(tags.map(t => t.tag_id === tag.tag_id ? { ...t, ...response.data.tag } : t))
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to rename tag'))
+    }
+  }
+
+  const handleDeleteTag = async (tag) => {
+    if (!window.confirm(`Delete the tag "${tag.name}"? It will be removed from ${tag.post_count} post(s).`)) return
+    try {
+      await tagsAPI.remove(tag.tag_id)
+      setTags(tags.filter(t => t.tag_id !== tag.tag_id))
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete tag'))
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="font-medium flex items-center mb-3">
+          <Folder className="h-4 w-4 mr-2 text-gray-400" />
+          Categories
+        </h3>
+
+        {categories.length === 0 ? (
+          <p className="text-sm text-gray-400 mb-4">No categories yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-800 border border-gray-800 rounded-lg mb-4">
+            {categoryTree(categories).map(category => (
+              <li
+                key={category.category_id}
+                className="flex items-center justify-between px-4 py-2 text-sm"
+                style={{ paddingLeft: `${1 + category.depth * 1.5}rem` }}
+              >
+                <span>
+                  {category.name}
+                  <span className="text-gray-500 ml-2">{category.post_count}</span>
+                </span>
+                <span className="flex items-center gap-1">
+                  <button
+                    onClick={() => handleRenameCategory(category)}
+                    className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-800 rounded"
+                    title="Rename"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteCategory(category)}
+                    className="p-1.5 text-gray-400 hover:text-red-400 hover:bg-gray-800 rounded"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreateCategory} className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={newCategory.name}
+            onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+            maxLength={80}
+            placeholder="New category"
+            className="flex-1 min-w-[10rem] bg-gray-800 text-white border border-gray-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-600"
+          />
+          <CategorySelect
+            categories={categories}
+            value={newCategory.parentId}
+            onChange={(parentId) => setNewCategory({ ...newCategory, parentId })}
+            emptyLabel="Top level"
+            className="text-sm"
+          />
+          <button
+            type="submit"
+            disabled={saving || !newCategory.name.trim()}
+            className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 rounded-lg transition disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4" />
+            Add
+          </button>
+        </form>
+      </div>
+
+      <div className="border-t border-gray-800 pt-8">
+        <h3 className="font-medium flex items-center mb-3">
+          <Tag className="h-4 w-4 mr-2 text-gray-400" />
+          Tags
+        </h3>
+
+        {tags.length === 0 ? (
+          <p className="text-sm text-gray-400">Tags you add to posts show up here.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {tags.map(tag => (
+              <span
+                key={tag.tag_id}
+                className="flex items-center gap-1 bg-gray-800 border border-gray-700 text-sm rounded-full pl-3 pr-1 py-0.5"
+              >
+                #{tag.name}
+                <span className="text-gray-500 ml-1">{tag.post_count}</span>
+                <button
+                  onClick={() => handleRenameTag(tag)}
+                  className="p-1 text-gray-400 hover:text-white"
+                  title="Rename"
+                >
+                  <Pencil className="h-3 w-3" />
+                </button>
+                <button
+                  onClick={() => handleDeleteTag(tag)}
+                  className="p-1 text-gray-400 hover:text-red-400"
+                  title="Delete"
+                >
+                  <Trash2 className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { Search, X, Loader2 } from 'lucide-react'
+import { blogAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+
+const SEARCH_DELAY = 250
+
+// Search-as-you-type over the user's posts. Highlights come back from the
+// server as escaped text with <mark> tags only.
+export function PostSearch() {
+  const { hasPermission } = useAuth()
+  const [searchText, setSearchText] = useState('')
+  const [results, setResults] = useState(null)
+  const [total, setTotal] = useState(0)
+  const [searching, setSearching] = useState(false)
+  const latestRequest = useRef(0)
+
+  useEffect(() => {
+    const q = searchText.trim()
+    if (!q) {
+      setResults(null)
+      setSearching(false)
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      // Responses can arrive out of order; only the newest one counts
+      const requestId = ++latestRequest.current
+      setSearching(true)
+      try {
+        const response = await blogAPI.searchBlogs({ q, limit: 10 })
+        if (requestId !== latestRequest.current) return
+        setResults(response.data.results)
+        setTotal(response.data.pagination.totalPosts)
+      } catch {
+        if (requestId === latestRequest.current) setResults([])
+      } finally {
+        if (requestId === latestRequest.current) setSearching(false)
+      }
+    }, SEARCH_DELAY)
+
+    return () => clearTimeout(timer)
+  }, [searchText])
+
+  const postLink = (post) =>
+    hasPermission('posts:write') ? `/editor/${post.post_id}` : `/blog/${post.post_id}`
+
+  return (
+    <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+      <div className="relative">
+        <Search className="h-5 w-5 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          maxLength={200}
+          placeholder="Search your posts…"
+          className="w-full bg-gray-800 text-white border border-gray-700 rounded-lg pl-10 pr-10 py-2 focus:outline-none focus:ring-2 focus:ring-gray-600"
+        />
+        {searching ? (
+          <Loader2 className="h-4 w-4 text-gray-400 animate-spin absolute right-3 top-1/2 -translate-y-1/2" />
+        ) : searchText && (
+          <button
+            onClick={() => setSearchText('')}
+            className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-white"
+            aria-label="Clear search"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {results && (
+        <div className="mt-4">
+          {results.length === 0 ? (
+            <p className="text-sm text-gray-400">No posts match “{searchText.trim()}”.</p>
+          ) : (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                {total > results.length ? `Top ${results.length} of ${total} matches` : `${total} match${total === 1 ? '' : 'es'}`}
+              </p>
+              <ul className="space-y-2 search-highlight">
+                {results.map(result => (
+                  <li key={result.post_id}>
+                    <Link
+                      to={postLink(result)}
+                      className="block bg-gray-800 border border-gray-700 rounded-lg p-4 hover:bg-gray-700 transition-all"
+                    >
+                      <div className="flex items-center gap-3">
+                        <h4
+                          className="text-sm font-semibold truncate"
+                          dangerouslySetInnerHTML={{ __html: result.titleHighlight }}
+                        />
+                        <span className="text-xs text-gray-500">{result.status}</span>
+                      </div>
+                      <p
+                        className="mt-1 text-sm text-gray-400 line-clamp-2"
+                        dangerouslySetInnerHTML={{ __html: result.snippet }}
+                      />
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
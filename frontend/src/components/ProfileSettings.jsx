@@ -0,0 +1,177 @@
+import { useState } from 'react'
+import { authAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+
+const inputClass = 'w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-gray-500'
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error?.details?.[0]?.msg || error.response?.data?.error?.message || fallback
+
+export function ProfileSettings() {
+  const { user, refreshUser } = useAuth()
+  const [profile, setProfile] = useState({ username: user.username, email: user.email, currentPassword: '' })
+  const [savingProfile, setSavingProfile] = useState(false)
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' })
+  const [savingPassword, setSavingPassword] = useState(false)
+
+  const emailChanged = profile.email.trim() !== user.email
+  const profileChanged = emailChanged || profile.username.trim() !== user.username
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+    const data = {}
+    if (profile.username.trim() !== user.username) data.username = profile.username.trim()
+    if (emailChanged) {
+      data.email = profile.email.trim()
+      data.currentPassword = profile.currentPassword
+    }
+
+    try {
+      setSavingProfile(true)
+      const response = await authAPI.updateProfile(data)
+      await refreshUser()
+      setProfile({ username: response.data.user.username, email: response.data.user.email, currentPassword: '' })
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update profile'))
+    } finally {
+      setSavingProfile(false)
+    }
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error('New passwords do not match')
+      return
+    }
+
+    try {
+      setSavingPassword(true)
+      const response = await authAPI.changePassword(passwords.currentPassword, passwords.newPassword)
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      const { revokedSessions } = response.data
+      toast.success(
+        revokedSessions > 0
+          ? `Password changed. Signed out of ${revokedSessions} other session(s).`
+          : 'Password changed'
+      )
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to change password'))
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  return (
+    <div className="space-y-8">
+      <form onSubmit={handleProfileSubmit} className="space-y-4">
+        <div>
+          <h3 className="font-medium">Profile</h3>
+          <p className="text-sm text-gray-400">Your username and the email address you sign in with.</p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <label className="block text-sm text-gray-300 space-y-1">
+            <span>Username</span>
+            <input
+              type="text"
+              required
+              value={profile.username}
+              onChange={(e) => setProfile({ ...profile, username: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm text-gray-300 space-y-1">
+            <span>Email</span>
+            <input
+              type="email"
+              required
+              value={profile.email}
+              onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        {emailChanged && (
+          <label className="block text-sm text-gray-300 space-y-1">
+            <span>Current password</span>
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={profile.currentPassword}
+              onChange={(e) => setProfile({ ...profile, currentPassword: e.target.value })}
+              className={inputClass}
+            />
+            <span className="block text-xs text-gray-500">
+              You'll need to verify the new address before you can publish again.
+            </span>
+          </label>
+        )}
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={savingProfile || !profileChanged}
+            className="px-4 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+          >
+            Save profile
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={handlePasswordSubmit} className="space-y-4 border-t border-gray-800 pt-8">
+        <div>
+          <h3 className="font-medium">Password</h3>
+          <p className="text-sm text-gray-400">Changing your password signs you out on all other devices.</p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="block text-sm text-gray-300 space-y-1">
+            <span>Current password</span>
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm text-gray-300 space-y-1">
+            <span>New password</span>
+            <input
+              type="password"
+              autoComplete="new-password"
+              required
+              minLength={6}
+              value={passwords.newPassword}
+              onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm text-gray-300 space-y-1">
+            <span>Confirm new password</span>
+            <input
+              type="password"
+              autoComplete="new-password"
+              required
+              minLength={6}
+              value={passwords.confirmPassword}
+              onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={savingPassword}
+            className="px-4 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+          >
+            Change password
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
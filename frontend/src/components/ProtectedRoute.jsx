@@ -2,7 +2,7 @@ import { Navigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { LoadingSpinner } from './LoadingSpinner'
 
-export function ProtectedRoute({ children }) {
+export function ProtectedRoute({ children, roles }) {
   const { user, loading } = useAuth()
 
   if (loading) {
@@ -17,6 +17,10 @@ export function ProtectedRoute({ children }) {
     return <Navigate to="/login" replace />
   }
 
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to="/" replace />
+  }
+
   return children
 }
 
@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react'
+import { X, History, RotateCcw, Loader2 } from 'lucide-react'
+import { blogAPI } from '../services/api'
+import { LoadingSpinner } from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const SOURCE_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored'
+}
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+
+export function RevisionHistory({ postId, version, open, onClose, onRestore, hasUnsavedChanges }) {
+  const [revisions, setRevisions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [comparison, setComparison] = useState(null)
+  const [diffLoading, setDiffLoading] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+
+  useEffect(() => {
+    if (open) fetchRevisions()
+  }, [open, postId])
+
+  useEffect(() => {
+    if (selected) fetchDiff(selected)
+  }, [selected])
+
+  const fetchRevisions = async () => {
+    try {
+      setLoading(true)
+      const response = await blogAPI.getRevisions(postId)
+      setRevisions(response.data.revisions)
+      setSelected(response.data.revisions[0]?.revision_id ?? null)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load revisions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchDiff = async (revisionId) => {
+    try {
+      setDiffLoading(true)
+      const response = await blogAPI.diffRevisions(postId, { to: revisionId })
+      setComparison(response.data)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to compare revisions')
+    } finally {
+      setDiffLoading(false)
+    }
+  }
+
+  const handleRestore = async () => {
+    const { revision_number: number } = comparison.to
+    const warning = hasUnsavedChanges
+      ? `Restore revision ${number}? Your unsaved changes will be lost.`
+      : `Restore revision ${number}?`
+    if (!window.confirm(warning)) return
+
+    try {
+      setRestoring(true)
+      const response = await blogAPI.restoreRevision(postId, comparison.to.revision_id, version)
+      toast.success(response.data.message)
+      onRestore(response.data.post)
+      fetchRevisions()
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to restore revision')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  if (!open) return null
+
+  const latestId = revisions[0]?.revision_id
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+
+      <aside className="relative w-full max-w-4xl h-full bg-gray-950 border-l border-gray-800 text-white flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-800">
+          <h2 className="text-lg font-semibold flex items-center">
+            <History className="h-5 w-5 mr-2 opacity-70" />
+            Revision history
+          </h2>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-white">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex-1 flex items-center justify-center">
+            <LoadingSpinner />
+          </div>
+        ) : (
+          <div className="flex-1 flex min-h-0">
+            <ul className="w-64 flex-shrink-0 border-r border-gray-800 overflow-y-auto">
+              {revisions.map(revision => (
+                <li key={revision.revision_id}>
+                  <button
+                    onClick={() => setSelected(revision.revision_id)}
+                    className={`w-full text-left px-4 py-3 border-b border-gray-900 transition ${
+                      selected === revision.revision_id ? 'bg-gray-800' : 'hover:bg-gray-900'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium">Revision {revision.revision_number}</span>
+                      {revision.revision_id === latestId && (
+                        <span className="text-xs text-emerald-400">Current</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">
+                      {SOURCE_LABELS[revision.source] || revision.source}
+                      {revision.source === 'restore' && revision.restored_from && ` from #${revision.restored_from}`}
+                      {' by '}
+                      {revision.author || 'deleted user'}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatDateTime(revision.created_at)}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex-1 overflow-y-auto p-6">
+              {diffLoading || !comparison ? (
+                <div className="flex justify-center py-10">
+                  <LoadingSpinner />
+                </div>
+              ) : (
+                <div className="space-y-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="text-sm text-gray-400">
+                      {comparison.from
+                        ? `Changes since revision ${comparison.from.revision_number}`
+                        : 'First revision'}
+                      <div className="mt-1 space-x-3">
+                        <span className="text-emerald-400">+{comparison.diff.content.insertions} words</span>
+                        <span className="text-red-400">-{comparison.diff.content.deletions} words</span>
+                      </div>
+                    </div>
+                    {comparison.to.revision_id !== latestId && (
+                      <button
+                        onClick={handleRestore}
+                        disabled={restoring}
+                        className="flex items-center px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50 flex-shrink-0"
+                      >
+                        {restoring ? (
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <RotateCcw className="h-4 w-4 mr-2" />
+                        )}
+                        Restore this version
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="revision-diff space-y-4">
+                    <h3
+                      className="text-2xl font-bold"
+                      dangerouslySetInnerHTML={{ __html: comparison.diff.title.html }}
+                    />
+                    <div
+                      className="prose prose-invert max-w-none text-gray-200"
+                      dangerouslySetInnerHTML={{ __html: comparison.diff.content.html }}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </aside>
+    </div>
+  )
+}
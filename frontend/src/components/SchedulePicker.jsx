@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { CalendarClock } from 'lucide-react'
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 16)
+}
+
+const inOneHour = () => {
+  const date = new Date(Date.now() + 60 * 60 * 1000)
+  date.setMinutes(0, 0, 0)
+  return date
+}
+
+export function SchedulePicker({ publishAt, disabled, onSchedule, onUnschedule }) {
+  const [open, setOpen] = useState(false)
+  const [value, setValue] = useState('')
+
+  const toggle = () => {
+    if (!open) setValue(toLocalInput(publishAt ? new Date(publishAt) : inOneHour()))
+    setOpen(!open)
+  }
+
+  const chosen = value ? new Date(value) : null
+  const valid = chosen && chosen > new Date()
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggle}
+        disabled={disabled}
+        className="flex items-center bg-gray-900 hover:bg-gray-800 text-gray-200 px-4 py-2 rounded-lg transition border border-gray-700 disabled:opacity-50"
+      >
+        <CalendarClock className="h-4 w-4 mr-2" />
+        {publishAt ? 'Reschedule' : 'Schedule'}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-gray-900 border border-gray-700 rounded-xl shadow-lg p-4 z-20 space-y-3">
+          <label className="block text-sm text-gray-400">Publish on</label>
+          <input
+            type="datetime-local"
+            value={value}
+            min={toLocalInput(new Date())}
+            onChange={(e) => setValue(e.target.value)}
+            className="w-full bg-gray-800 text-white border border-gray-700 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-600 [color-scheme:dark]"
+          />
+          {value && !valid && (
+            <p className="text-xs text-red-400">Pick a time in the future.</p>
+          )}
+          <div className="flex justify-between items-center">
+            {publishAt ? (
+              <button
+                onClick={() => { setOpen(false); onUnschedule() }}
+                className="text-sm text-gray-400 hover:text-white"
+              >
+                Unschedule
+              </button>
+            ) : <span />}
+            <button
+              onClick={() => { setOpen(false); onSchedule(chosen.toISOString()) }}
+              disabled={!valid}
+              className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+            >
+              Schedule
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { Globe, CheckCircle, AlertTriangle } from 'lucide-react'
+import { siteExportsAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+const POLL_INTERVAL = 2000
+
+const isRunning = (record) => record && (record.status === 'pending' || record.status === 'running')
+
+export function StaticSiteExport() {
+  const [baseUrl, setBaseUrl] = useState('')
+  const [fullRebuild, setFullRebuild] = useState(false)
+  const [current, setCurrent] = useState(null)
+  const [starting, setStarting] = useState(false)
+
+  // Pick up the last build, and the address it was built for
+  useEffect(() => {
+    siteExportsAPI.list()
+      .then(response => {
+        const latest = response.data.siteExports[0] || null
+        setCurrent(latest)
+        if (latest) setBaseUrl(latest.base_url)
+      })
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    if (!isRunning(current)) return
+    const timer = setTimeout(async () => {
+      try {
+        const response = await siteExportsAPI.get(current.site_export_id)
+        setCurrent(response.data.siteExport)
+      } catch {
+        toast.error('Lost track of the build; reload to check on it')
+      }
+    }, POLL_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [current])
+
+  const startBuild = async (e) => {
+    e.preventDefault()
+    try {
+      setStarting(true)
+      const response = await siteExportsAPI.create({ baseUrl: baseUrl.trim(), fullRebuild })
+      setCurrent(response.data.siteExport)
+    } catch (error) {
+      const details = error.response?.data?.error?.details
+      toast.error(details?.[0]?.msg || error.response?.data?.error?.message || 'Failed to start the build')
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const report = current?.report
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="font-medium">Publish as a static site</h3>
+        <p className="text-sm text-gray-400">
+          Builds every published post into plain HTML on the server: an index page, a page per post and per tag,
+          RSS, Atom and JSON feeds and a sitemap. Later builds only redo posts that changed since the last one.
+        </p>
+      </div>
+
+      <form onSubmit={startBuild} className="space-y-3">
+        <label className="block text-sm">
+          <span className="text-gray-300">Address the site will be hosted at</span>
+          <input
+            type="url"
+            value={baseUrl}
+            onChange={(e) => setBaseUrl(e.target.value)}
+            placeholder="https://blog.example.com"
+            maxLength={500}
+            required
+            className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-gray-500"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={fullRebuild} onChange={(e) => setFullRebuild(e.target.checked)} />
+          Rebuild every page, not just the ones that changed
+        </label>
+        <button
+          type="submit"
+          disabled={!baseUrl.trim() || starting || isRunning(current)}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50"
+        >
+          <Globe className="h-4 w-4" />
+          {starting ? 'Starting…' : isRunning(current) ? 'Building…' : 'Build site'}
+        </button>
+      </form>
+
+      {current && (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 space-y-3 text-sm">
+          <div className="flex items-center justify-between gap-4">
+            <span className="font-medium truncate">
+              {current.full_rebuild ? 'Full build' : 'Build'} for {current.base_url}
+            </span>
+            <span className="text-gray-400 flex-shrink-0">{new Date(current.created_at).toLocaleString()}</span>
+          </div>
+
+          {isRunning(current) && (
+            <p className="text-gray-400">
+              {current.status === 'pending' ? 'Waiting to start…' : 'Rendering pages…'}
+            </p>
+          )}
+
+          {current.status === 'failed' && (
+            <p className="flex items-center gap-2 text-red-400">
+              <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+              {current.error}
+            </p>
+          )}
+
+          {current.status === 'completed' && report && (
+            <div className="space-y-1">
+              <p className="flex items-center gap-2 text-white">
+                <CheckCircle className="h-4 w-4" />
+                {report.posts.total} published post(s): {report.posts.rendered} rendered, {report.posts.unchanged} unchanged
+              </p>
+              <p className="text-gray-400">
+                {report.pages.written} index, tag and feed file(s) updated, {report.pages.unchanged} unchanged
+                {report.filesRemoved > 0 && `; ${report.filesRemoved} file(s) for removed posts or tags deleted`}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,63 @@
+import { useState } from 'react'
+import { X } from 'lucide-react'
+
+const MAX_TAGS = 20
+
+const sameTag = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase()
+
+// Chips for the current tags; Enter or comma adds, Backspace on an empty field removes the last
+export function TagInput({ value, onChange, suggestions = [] }) {
+  const [draft, setDraft] = useState('')
+
+  const addTag = (raw) => {
+    const name = raw.trim().replace(/\s+/g, ' ')
+    setDraft('')
+    if (!name || value.length >= MAX_TAGS || value.some(tag => sameTag(tag, name))) return
+    // Reuse the existing spelling of a known tag
+    onChange([...value, suggestions.find(tag => sameTag(tag, name)) || name])
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTag(draft)
+    } else if (e.key === 'Backspace' && !draft && value.length > 0) {
+      onChange(value.slice(0, -1))
+    }
+  }
+
+  const available = suggestions.filter(tag => !value.some(current => sameTag(current, tag)))
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 focus-within:ring-2 focus-within:ring-gray-600">
+      {value.map(tag => (
+        <span key={tag} className="flex items-center gap-1 bg-gray-700 text-gray-200 text-sm rounded-full px-3 py-0.5">
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(value.filter(current => current !== tag))}
+            className="text-gray-400 hover:text-white"
+            aria-label={`Remove tag ${tag}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => addTag(draft)}
+        list="tag-suggestions"
+        maxLength={50}
+        disabled={value.length >= MAX_TAGS}
+        placeholder={value.length === 0 ? 'Add tags…' : ''}
+        className="flex-1 min-w-[8rem] bg-transparent text-white text-sm focus:outline-none"
+      />
+      <datalist id="tag-suggestions">
+        {available.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+    </div>
+  )
+}
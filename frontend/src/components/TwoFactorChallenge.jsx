@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { Loader2, ShieldCheck } from 'lucide-react'
+
+// Second login step: 6-digit authenticator code, or a recovery code as fallback
+export function TwoFactorChallenge({ onSubmit, onCancel }) {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [value, setValue] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+
+  const handleChange = (e) => {
+    const input = e.target.value
+    setValue(useRecoveryCode ? input.toUpperCase() : input.replace(/\D/g, '').slice(0, 6))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+    await onSubmit(useRecoveryCode ? { recoveryCode: value } : { code: value })
+    setIsLoading(false)
+    setValue('')
+  }
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode)
+    setValue('')
+  }
+
+  const canSubmit = useRecoveryCode ? value.trim().length > 0 : value.length === 6
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      <div className="text-center space-y-2">
+        <ShieldCheck className="h-10 w-10 text-emerald-600 mx-auto" />
+        <p className="text-sm text-gray-600">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700">
+          {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <input
+          id="two-factor-code"
+          name="code"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+          value={value}
+          onChange={handleChange}
+          className={`mt-1 input text-center tracking-widest ${useRecoveryCode ? '' : 'text-lg'}`}
+          placeholder={useRecoveryCode ? 'XXXX-XXXX-XXXX' : '000000'}
+        />
+      </div>
+
+      <div>
+        <button
+          type="submit"
+          disabled={isLoading || !canSubmit}
+          className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-emerald-600 hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLoading ? (
+            <Loader2 className="h-5 w-5 animate-spin" />
+          ) : (
+            'Verify'
+          )}
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="font-medium text-emerald-600 hover:text-emerald-500"
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-gray-600 hover:text-gray-900"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,314 @@
+import { useState, useEffect } from 'react'
+import { ShieldCheck, ShieldOff, KeyRound, Copy } from 'lucide-react'
+import { twoFactorAPI } from '../services/api'
+import { LoadingSpinner } from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback
+
+// Password + code form used to confirm disabling 2FA or regenerating recovery codes
+function ConfirmIdentityForm({ submitLabel, onSubmit, onCancel, busy }) {
+  const [password, setPassword] = useState('')
+  const [code, setCode] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const trimmed = code.trim()
+    onSubmit(/^\d{6}$/.test(trimmed) ? { password, code: trimmed } : { password, recoveryCode: trimmed })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 bg-gray-800 border border-gray-700 rounded-lg p-4">
+      <input
+        type="password"
+        autoComplete="current-password"
+        required
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Current password"
+        className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-gray-500"
+      />
+      <input
+        type="text"
+        autoComplete="one-time-code"
+        required
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="Authentication code or recovery code"
+        className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-gray-500"
+      />
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 text-sm text-gray-300 hover:text-white"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function RecoveryCodes({ codes, onDone }) {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'))
+      toast.success('Recovery codes copied')
+    } catch {
+      toast.error('Failed to copy codes')
+    }
+  }
+
+  return (
+    <div className="space-y-3 bg-gray-800 border border-gray-700 rounded-lg p-4">
+      <p className="text-sm text-gray-300">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you
+        lose access to your authenticator app. They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code} className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-center">
+            {code}
+          </span>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={copyCodes}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-900 hover:bg-gray-700 border border-gray-700 rounded-lg transition"
+        >
+          <Copy className="h-4 w-4" />
+          Copy
+        </button>
+        <button
+          onClick={onDone}
+          className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition"
+        >
+          I've saved them
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export function TwoFactorSettings() {
+  const [status, setStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  // null | 'setup' | 'disable' | 'regenerate'
+  const [mode, setMode] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true)
+      const response = await twoFactorAPI.status()
+      setStatus(response.data)
+    } catch {
+      toast.error('Failed to load two-factor status')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const startSetup = async () => {
+    try {
+      setBusy(true)
+      const response = await twoFactorAPI.setup()
+      setSetup(response.data)
+      setCode('')
+      setMode('setup')
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to start setup'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleEnable = async (e) => {
+    e.preventDefault()
+    try {
+      setBusy(true)
+      const response = await twoFactorAPI.enable(code)
+      setRecoveryCodes(response.data.recoveryCodes)
+      setSetup(null)
+      setMode(null)
+      toast.success('Two-factor authentication enabled')
+      fetchStatus()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to enable two-factor authentication'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDisable = async (data) => {
+    try {
+      setBusy(true)
+      await twoFactorAPI.disable(data)
+      setMode(null)
+      toast.success('Two-factor authentication disabled')
+      fetchStatus()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to disable two-factor authentication'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRegenerate = async (data) => {
+    try {
+      setBusy(true)
+      const response = await twoFactorAPI.regenerateRecoveryCodes(data)
+      setRecoveryCodes(response.data.recoveryCodes)
+      setMode(null)
+      fetchStatus()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to regenerate recovery codes'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (loading && !status) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (!status) return null
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium flex items-center gap-2">
+            Two-factor authentication
+            {status.enabled ? (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-emerald-900 text-emerald-300 border border-emerald-700">
+                On
+              </span>
+            ) : (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-800 text-gray-400 border border-gray-700">
+                Off
+              </span>
+            )}
+          </h3>
+          <p className="text-sm text-gray-400">
+            {status.enabled
+              ? `${status.recoveryCodesRemaining} recovery code(s) remaining.`
+              : 'Require a code from an authenticator app when signing in.'}
+          </p>
+        </div>
+        {!mode && !recoveryCodes && (
+          status.enabled ? (
+            <div className="flex gap-2">
+              <button
+                onClick={() => setMode('regenerate')}
+                className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition"
+              >
+                <KeyRound className="h-4 w-4" />
+                New recovery codes
+              </button>
+              <button
+                onClick={() => setMode('disable')}
+                className="flex items-center gap-1 px-3 py-2 text-sm text-gray-300 hover:text-red-400 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition"
+              >
+                <ShieldOff className="h-4 w-4" />
+                Disable
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={startSetup}
+              disabled={busy}
+              className="flex items-center gap-1 px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition disabled:opacity-50"
+            >
+              <ShieldCheck className="h-4 w-4" />
+              Enable
+            </button>
+          )
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {mode === 'setup' && setup && (
+        <form onSubmit={handleEnable} className="space-y-4 bg-gray-800 border border-gray-700 rounded-lg p-4">
+          <p className="text-sm text-gray-300">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row items-center gap-4">
+            <img src={setup.qrCode} alt="Two-factor QR code" className="h-40 w-40 rounded bg-white p-2" />
+            <div className="text-sm text-gray-400 break-all">
+              <p>Can't scan it? Enter this key manually:</p>
+              <p className="mt-1 font-mono text-white">{setup.secret}</p>
+            </div>
+          </div>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            placeholder="000000"
+            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm tracking-widest focus:outline-none focus:border-gray-500"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => { setMode(null); setSetup(null) }}
+              className="px-3 py-2 text-sm text-gray-300 hover:text-white"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy || code.length !== 6}
+              className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+            >
+              Verify and enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <ConfirmIdentityForm
+          submitLabel="Disable two-factor"
+          onSubmit={handleDisable}
+          onCancel={() => setMode(null)}
+          busy={busy}
+        />
+      )}
+
+      {mode === 'regenerate' && (
+        <ConfirmIdentityForm
+          submitLabel="Generate new codes"
+          onSubmit={handleRegenerate}
+          onCancel={() => setMode(null)}
+          busy={busy}
+        />
+      )}
+    </div>
+  )
+}
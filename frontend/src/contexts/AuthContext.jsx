@@ -43,6 +43,11 @@ function authReducer(state, action) {
         loading: false,
         error: null
       }
+    case 'UPDATE_USER':
+      return {
+        ...state,
+        user: { ...state.user, ...action.payload }
+      }
     case 'CLEAR_ERROR':
       return {
         ...state,
@@ -59,19 +64,20 @@ export function AuthProvider({ children }) {
   // Check if user is logged in on app start
   useEffect(() => {
     const checkAuth = async () => {
-      const token = localStorage.getItem('token')
-      if (!token) {
-        dispatch({ type: 'AUTH_FAILURE', payload: null })
-        return
-      }
+      const hasToken = Boolean(localStorage.getItem('token'))
 
       try {
-        const response = await authAPI.getMe()
+        // Without an access token, try to resume the session from the refresh cookie
+        const response = hasToken ? await authAPI.getMe() : await authAPI.refresh()
+        if (!hasToken) {
+          localStorage.setItem('token', response.data.token)
+        }
         dispatch({
           type: 'AUTH_SUCCESS',
           payload: {
             user: response.data.user,
-            token
+            // Read back: the interceptor may have refreshed it during getMe
+            token: localStorage.getItem('token')
           }
         })
       } catch (error) {
@@ -83,26 +89,53 @@ export function AuthProvider({ children }) {
     checkAuth()
   }, [])
 
+  const handleLoginSuccess = (response) => {
+    const { user, token } = response.data
+
+    localStorage.setItem('token', token)
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: { user, token }
+    })
+
+    toast.success('Welcome back!')
+    return { success: true }
+  }
+
+  const handleLoginError = (error) => {
+    const { message, code, retryAfter } = error.response?.data?.error || {}
+    const errorMessage = message || 'Login failed'
+    dispatch({ type: 'AUTH_FAILURE', payload: errorMessage })
+    toast.error(errorMessage)
+    return { success: false, error: errorMessage, code, retryAfter }
+  }
+
   const login = async (email, password) => {
     dispatch({ type: 'AUTH_START' })
     
     try {
       const response = await authAPI.login(email, password)
-      const { user, token } = response.data
-      
-      localStorage.setItem('token', token)
-      dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token }
-      })
-      
-      toast.success('Welcome back!')
-      return { success: true }
+
+      // Second step needed; stay signed out until the code is verified
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: 'AUTH_FAILURE', payload: null })
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken }
+      }
+
+      return handleLoginSuccess(response)
     } catch (error) {
-      const errorMessage = error.response?.data?.error?.message || 'Login failed'
-      dispatch({ type: 'AUTH_FAILURE', payload: errorMessage })
-      toast.error(errorMessage)
-      return { success: false, error: errorMessage }
+      return handleLoginError(error)
+    }
+  }
+
+  const completeTwoFactorLogin = async (challengeToken, factor) => {
+    dispatch({ type: 'AUTH_START' })
+
+    try {
+      const response = await authAPI.loginTwoFactor(challengeToken, factor)
+      return handleLoginSuccess(response)
+    } catch (error) {
+      return handleLoginError(error)
     }
   }
 
@@ -129,14 +162,19 @@ export function AuthProvider({ children }) {
     }
   }
 
+  // Forget the local session without calling the API (e.g. after the server already ended it)
+  const clearSession = () => {
+    localStorage.removeItem('token')
+    dispatch({ type: 'LOGOUT' })
+  }
+
   const logout = async () => {
     try {
       await authAPI.logout()
     } catch (error) {
       console.error('Logout error:', error)
     } finally {
-      localStorage.removeItem('token')
-      dispatch({ type: 'LOGOUT' })
+      clearSession()
       toast.success('Logged out successfully')
     }
   }
@@ -145,12 +183,24 @@ export function AuthProvider({ children }) {
     dispatch({ type: 'CLEAR_ERROR' })
   }
 
+  const refreshUser = async () => {
+    const response = await authAPI.getMe()
+    dispatch({ type: 'UPDATE_USER', payload: response.data.user })
+  }
+
+  // Permissions come from the user's role on the server; used to hide actions it would reject
+  const hasPermission = (permission) => Boolean(state.user?.permissions?.includes(permission))
+
   const value = {
     ...state,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
-    clearError
+    clearSession,
+    clearError,
+    refreshUser,
+    hasPermission
   }
 
   return (
@@ -0,0 +1,38 @@
+import { useEffect } from 'react'
+
+// Warn before leaving a page with unsaved changes. BrowserRouter has no
+// navigation blocking, so in-app links are intercepted in the capture phase
+// before react-router's own click handler sees them.
+export function useUnsavedChangesGuard(when, message = 'You have unsaved changes. Leave anyway?') {
+  useEffect(() => {
+    if (!when) return
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault()
+      event.returnValue = ''
+    }
+
+    const handleClick = (event) => {
+      if (event.defaultPrevented || event.button !== 0) return
+      if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+
+      const link = event.target.closest?.('a[href]')
+      if (!link || link.target === '_blank') return
+
+      const url = new URL(link.href, window.location.href)
+      if (url.origin !== window.location.origin || url.pathname === window.location.pathname) return
+
+      if (!window.confirm(message)) {
+        event.preventDefault()
+        event.stopPropagation()
+      }
+    }
+
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    document.addEventListener('click', handleClick, true)
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload)
+      document.removeEventListener('click', handleClick, true)
+    }
+  }, [when, message])
+}
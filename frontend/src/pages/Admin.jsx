@@ -0,0 +1,51 @@
+import { useSearchParams } from 'react-router-dom'
+import { Users, FileText, Sparkles } from 'lucide-react'
+import { AdminUsers } from '../components/AdminUsers'
+import { AdminPosts } from '../components/AdminPosts'
+import { AdminAIUsage } from '../components/AdminAIUsage'
+
+const TABS = [
+  { id: 'users', name: 'Users', icon: Users },
+  { id: 'posts', name: 'Posts', icon: FileText },
+  { id: 'ai', name: 'AI usage', icon: Sparkles },
+]
+
+export function Admin() {
+  // Tab and post filter live in the URL so links like "view this user's posts" work
+  const [searchParams, setSearchParams] = useSearchParams()
+  const activeTab = TABS.some(tab => tab.id === searchParams.get('tab')) ? searchParams.get('tab') : 'users'
+  const userId = searchParams.get('userId')
+
+  return (
+    <div className="bg-black text-white min-h-screen py-10 px-6 space-y-8">
+      {/* Header */}
+      <div className="border-b border-gray-800 pb-4">
+        <h1 className="text-3xl font-semibold tracking-tight">Admin</h1>
+        <p className="text-gray-400">Manage users, review posts and monitor AI usage.</p>
+      </div>
+
+      <div className="flex gap-1 border-b border-gray-800">
+        {TABS.map(({ id, name, icon: Icon }) => (
+          <button
+            key={id}
+            onClick={() => setSearchParams({ tab: id })}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition ${
+              activeTab === id
+                ? 'border-white text-white'
+                : 'border-transparent text-gray-400 hover:text-white'
+            }`}
+          >
+            <Icon className="h-4 w-4" />
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'users' && <AdminUsers />}
+      {activeTab === 'posts' && (
+        <AdminPosts userId={userId} onClearUser={() => setSearchParams({ tab: 'posts' })} />
+      )}
+      {activeTab === 'ai' && <AdminAIUsage />}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { ArrowLeft, Calendar, User } from 'lucide-react'
+import { adminAPI } from '../services/api'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Read-only view of any user's post for moderators
+export function AdminPostView() {
+  const { id } = useParams()
+  const [post, setPost] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchPost()
+  }, [id])
+
+  const fetchPost = async () => {
+    try {
+      setLoading(true)
+      const response = await adminAPI.getPost(id)
+      setPost(response.data.post)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load post')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-black text-white min-h-screen py-10 px-6 space-y-6">
+      <Link to="/admin?tab=posts" className="inline-flex items-center text-sm text-gray-400 hover:text-white">
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back to posts
+      </Link>
+
+      {!post ? (
+        <p className="text-gray-400">This post doesn't exist or has been deleted.</p>
+      ) : (
+        <>
+          <div className="border-b border-gray-800 pb-4 space-y-3">
+            <h1 className="text-3xl font-semibold tracking-tight">{post.title}</h1>
+            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+              <span className="flex items-center">
+                <User className="h-4 w-4 mr-1" />
+                {post.username} ({post.email})
+              </span>
+              <span className="flex items-center">
+                <Calendar className="h-4 w-4 mr-1" />
+                Updated {formatDate(post.updated_at)}
+              </span>
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-800 text-gray-300 border border-gray-700">
+                {post.status}
+              </span>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl p-8">
+            <div
+              className="prose prose-lg max-w-none text-gray-800 leading-relaxed"
+              dangerouslySetInnerHTML={{ __html: post.content }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
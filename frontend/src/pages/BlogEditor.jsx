@@ -9,24 +9,53 @@ import {
   Zap, 
   FileText,
   Loader2,
-  ArrowLeft
+  ArrowLeft,
+  History,
+  RotateCcw,
+  CloudOff,
+  Download
 } from 'lucide-react'
 import ReactQuill from 'react-quill'
 import 'react-quill/dist/quill.snow.css'
-import { blogAPI, aiAPI } from '../services/api'
+import { blogAPI, aiAPI, tagsAPI, categoriesAPI } from '../services/api'
+import { backupKey, saveBackup, loadBackup, clearBackup } from '../services/draftBackup'
+import { useAuth } from '../contexts/AuthContext'
+import { useUnsavedChangesGuard } from '../hooks/useUnsavedChangesGuard'
 import { LoadingSpinner } from '../components/LoadingSpinner'
 import { AIToolbar } from '../components/AIToolbar'
+import { RevisionHistory } from '../components/RevisionHistory'
+import { ConflictDialog } from '../components/ConflictDialog'
+import { TagInput } from '../components/TagInput'
+import { CategorySelect } from '../components/CategorySelect'
+import { SchedulePicker } from '../components/SchedulePicker'
 import toast from 'react-hot-toast'
 
+const AUTOSAVE_DELAY = 2000
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '').trim()
+
+// Tags compare case-insensitively and in any order, like the server stores them
+const tagKey = (tags = []) => tags.map(tag => tag.name.toLowerCase()).sort().join('\n')
+
+const formatTime = (time) =>
+  new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+
+const formatDateTime = (time) =>
+  new Date(time).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+
 export function BlogEditor() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const { user } = useAuth()
   const quillRef = useRef(null)
+  const localKey = backupKey(user.id, id)
 
   const [post, setPost] = useState({
     title: '',
     content: '',
-    status: 'draft'
+    status: 'draft',
+    tags: [],
+    category_id: null
   })
   const [loading, setLoading] = useState(false)
   const [saving, setSaving] = useState(false)
@@ -34,16 +63,39 @@ export function BlogEditor() {
   const [selectedText, setSelectedText] = useState('')
   const [showAIToolbar, setShowAIToolbar] = useState(false)
   const [aiLoading, setAiLoading] = useState(false)
+  const [savedPost, setSavedPost] = useState(null)
+  const [showHistory, setShowHistory] = useState(false)
+  const [conflict, setConflict] = useState(null)
+  const [autosave, setAutosave] = useState(null)
+  const [recovery, setRecovery] = useState(null)
+  const [tagSuggestions, setTagSuggestions] = useState([])
+  const [categories, setCategories] = useState([])
 
   useEffect(() => {
-    if (id) fetchPost()
+    if (id) {
+      fetchPost()
+    } else {
+      checkNewPostBackup()
+    }
   }, [id])
 
+  useEffect(() => {
+    tagsAPI.list()
+      .then(response => setTagSuggestions(response.data.tags.map(tag => tag.name)))
+      .catch(() => {})
+    categoriesAPI.list()
+      .then(response => setCategories(response.data.categories))
+      .catch(() => {})
+  }, [])
+
   const fetchPost = async () => {
     try {
       setLoading(true)
       const response = await blogAPI.getBlog(id)
-      setPost(response.data.post)
+      const loaded = response.data.post
+      setPost(loaded)
+      setSavedPost(loaded)
+      await checkForNewerDrafts(loaded)
     } catch (error) {
       toast.error('Failed to load post')
       navigate('/')
@@ -52,7 +104,95 @@ export function BlogEditor() {
     }
   }
 
-  const handleSave = async (status = post.status) => {
+  // Offer to restore an autosave or local backup written after the last real save
+  const checkForNewerDrafts = async (loaded) => {
+    const [serverResponse, local] = await Promise.all([
+      blogAPI.getAutosave(id).catch(() => null),
+      loadBackup(localKey)
+    ])
+    const server = serverResponse?.data.autosave
+
+    const newest = [
+      server && {
+        title: server.title,
+        content: server.content,
+        baseVersion: server.base_version,
+        savedAt: Date.parse(server.saved_at),
+        source: 'server'
+      },
+      local && { ...local, source: 'local' }
+    ]
+      .filter(draft => draft &&
+        draft.savedAt > Date.parse(loaded.updated_at) &&
+        (draft.title !== loaded.title || draft.content !== loaded.content))
+      .sort((a, b) => b.savedAt - a.savedAt)[0]
+
+    setRecovery(newest || null)
+  }
+
+  const checkNewPostBackup = async () => {
+    const local = await loadBackup(localKey)
+    if (local && (local.title.trim() || stripTags(local.content))) {
+      setRecovery({ ...local, source: 'local' })
+    }
+  }
+
+  const handleRecover = () => {
+    // Keep the version the draft was based on, so saving over newer changes
+    // goes through the conflict dialog
+    setPost(prev => ({
+      ...prev,
+      title: recovery.title,
+      content: recovery.content,
+      ...(recovery.baseVersion && { version: recovery.baseVersion })
+    }))
+    setRecovery(null)
+  }
+
+  const handleDiscardRecovery = () => {
+    clearBackup(localKey)
+    if (!isNewPost) blogAPI.discardAutosave(id).catch(() => {})
+    setRecovery(null)
+  }
+
+  // The server re-serializes the HTML it stores, so unless something was
+  // actually stripped, compare later edits against what we sent
+  const keepSentContent = ({ post: saved, sanitization }, sentContent) => {
+    if (!sanitization?.modified) return { ...saved, content: sentContent }
+    const removed = [
+      ...Object.keys(sanitization.removedTags),
+      ...Object.keys(sanitization.removedAttributes)
+    ]
+    toast(`Unsupported formatting was removed: ${removed.join(', ')}`, { icon: '⚠️' })
+    return saved
+  }
+
+  const postFields = () => ({
+    title: post.title,
+    content: post.content,
+    tags: post.tags.map(tag => tag.name),
+    categoryId: post.category_id
+  })
+
+  // Exports what's on the server, so unsaved edits aren't included
+  const handleExportMarkdown = async () => {
+    try {
+      const response = await blogAPI.exportBlog(id, 'md')
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${post.slug || `post-${id}`}.md`
+      link.click()
+      URL.revokeObjectURL(url)
+      if (hasUnsavedChanges) toast('Unsaved changes are not included in the download')
+    } catch {
+      toast.error('Failed to export post')
+    }
+  }
+
+  // `version` is the server version the edits are based on; overwriting after
+  // a conflict passes the newer one explicitly. `publishAt` only applies when scheduling.
+  const handleSave = async (status = post.status, version = post.version, publishAt = null) => {
     if (!post.title.trim() || !post.content.trim()) {
       toast.error('Please add a title and content')
       return
@@ -60,22 +200,96 @@ export function BlogEditor() {
     try {
       setSaving(true)
       if (isNewPost) {
-        const response = await blogAPI.createBlog({ ...post, status })
-        setPost(response.data.post)
+        const response = await blogAPI.createBlog({ ...postFields(), status, publishAt })
+        const saved = keepSentContent(response.data, post.content)
+        clearBackup(localKey)
+        setPost(saved)
+        setSavedPost(saved)
         setIsNewPost(false)
         navigate(`/editor/${response.data.post.post_id}`, { replace: true })
         toast.success('Post created successfully')
       } else {
-        await blogAPI.updateBlog(id, { ...post, status })
+        const response = await blogAPI.updateBlog(id, { ...postFields(), status, publishAt }, version)
+        const saved = keepSentContent(response.data, post.content)
+        setPost(prev => ({
+          ...prev,
+          status: saved.status,
+          publish_at: saved.publish_at,
+          version: saved.version,
+          ...(response.data.sanitization?.modified && { content: saved.content })
+        }))
+        setSavedPost(saved)
+        setConflict(null)
+        setAutosave(null)
+        clearBackup(localKey)
         toast.success('Post saved successfully')
       }
-    } catch {
-      toast.error('Failed to save post')
+    } catch (error) {
+      const { code, message, currentPost } = error.response?.data?.error || {}
+      if (code === 'VERSION_CONFLICT') {
+        setConflict({ theirs: currentPost, status, publishAt })
+      } else {
+        toast.error(message || 'Failed to save post')
+      }
     } finally {
       setSaving(false)
     }
   }
 
+  const handleUseTheirs = () => {
+    clearBackup(localKey)
+    blogAPI.discardAutosave(id).catch(() => {})
+    setPost(conflict.theirs)
+    setSavedPost(conflict.theirs)
+    setConflict(null)
+  }
+
+  const handleRestore = (restored) => {
+    clearBackup(localKey)
+    setPost(restored)
+    setSavedPost(restored)
+  }
+
+  const hasUnsavedChanges = savedPost
+    ? post.title !== savedPost.title ||
+      post.content !== savedPost.content ||
+      tagKey(post.tags) !== tagKey(savedPost.tags) ||
+      post.category_id !== savedPost.category_id
+    : Boolean(post.title.trim() || stripTags(post.content))
+
+  useUnsavedChangesGuard(hasUnsavedChanges)
+
+  // Debounced autosave: always to the local backup, and to the server's
+  // autosave slot once the post exists. The post itself is never touched.
+  useEffect(() => {
+    if (loading || recovery || !hasUnsavedChanges) return
+
+    const timer = setTimeout(async () => {
+      const draft = { title: post.title, content: post.content, baseVersion: post.version ?? null }
+      await saveBackup(localKey, draft)
+
+      if (isNewPost) {
+        setAutosave({ status: 'local', at: Date.now() })
+        return
+      }
+
+      try {
+        setAutosave({ status: 'saving' })
+        const response = await blogAPI.autosave(id, draft)
+        setAutosave({ status: 'saved', at: Date.parse(response.data.autosave.saved_at) })
+      } catch {
+        setAutosave({ status: 'local', at: Date.now() })
+      }
+    }, AUTOSAVE_DELAY)
+
+    return () => clearTimeout(timer)
+  }, [post.title, post.content])
+
+  const handleBack = () => {
+    if (hasUnsavedChanges && !window.confirm('You have unsaved changes. Leave anyway?')) return
+    navigate('/')
+  }
+
   const handleTitleChange = (e) => setPost({ ...post, title: e.target.value })
   const handleContentChange = (content) => setPost({ ...post, content })
 
@@ -183,7 +397,7 @@ export function BlogEditor() {
       <div className="flex items-center justify-between border-b border-gray-800 pb-4">
         <div className="flex items-center space-x-6">
           <button
-            onClick={() => navigate('/')}
+            onClick={handleBack}
             className="flex items-center px-3 py-2 bg-gray-900 hover:bg-gray-800 text-gray-300 hover:text-white rounded-lg transition"
           >
             <ArrowLeft className="h-4 w-4 mr-2" />
@@ -194,17 +408,51 @@ export function BlogEditor() {
             <h1 className="text-2xl font-bold text-white tracking-tight">
               {isNewPost ? 'Create New Post' : 'Edit Post'}
             </h1>
-            <p className="text-gray-400 text-sm">
-              {isNewPost
-                ? 'Start writing your next great article'
-                : 'Make your changes and save'}
+            <p className="text-gray-400 text-sm flex items-center">
+              {autosave?.status === 'saving' && 'Autosaving…'}
+              {autosave?.status === 'saved' && `Autosaved at ${formatTime(autosave.at)}`}
+              {autosave?.status === 'local' && (
+                <>
+                  <CloudOff className="h-4 w-4 mr-1" />
+                  Saved on this device at {formatTime(autosave.at)}
+                </>
+              )}
+              {!autosave && (post.status === 'scheduled'
+                ? `Scheduled to publish ${formatDateTime(post.publish_at)}`
+                : isNewPost
+                  ? 'Start writing your next great article'
+                  : 'Make your changes and save')}
             </p>
           </div>
         </div>
   
         <div className="flex items-center space-x-3">
+          {!isNewPost && (
+            <button
+              onClick={() => setShowHistory(true)}
+              className="flex items-center bg-gray-900 hover:bg-gray-800 text-gray-200 px-4 py-2 rounded-lg transition border border-gray-700"
+            >
+              <History className="h-4 w-4 mr-2" />
+              History
+            </button>
+          )}
+
+          {!isNewPost && (
+            <button
+              onClick={handleExportMarkdown}
+              className="flex items-center bg-gray-900 hover:bg-gray-800 text-gray-200 px-4 py-2 rounded-lg transition border border-gray-700"
+              title="Download the saved version as Markdown"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Markdown
+            </button>
+          )}
+
+          {/* Saving a scheduled post keeps its schedule */}
           <button
-            onClick={() => handleSave('draft')}
+            onClick={() => post.status === 'scheduled'
+              ? handleSave('scheduled', post.version, post.publish_at)
+              : handleSave('draft')}
             disabled={saving}
             className="flex items-center bg-gray-900 hover:bg-gray-800 text-gray-200 px-4 py-2 rounded-lg transition border border-gray-700 disabled:opacity-50"
           >
@@ -213,8 +461,15 @@ export function BlogEditor() {
             ) : (
               <Save className="h-4 w-4 mr-2" />
             )}
-            Save Draft
+            {post.status === 'scheduled' ? 'Save' : 'Save Draft'}
           </button>
+
+          <SchedulePicker
+            publishAt={post.status === 'scheduled' ? post.publish_at : null}
+            disabled={saving}
+            onSchedule={(publishAt) => handleSave('scheduled', post.version, publishAt)}
+            onUnschedule={() => handleSave('draft')}
+          />
   
           <button
             onClick={() => handleSave('published')}
@@ -231,6 +486,31 @@ export function BlogEditor() {
         </div>
       </div>
   
+      {recovery && (
+        <div className="flex items-center justify-between gap-4 bg-gray-900 border border-yellow-900 rounded-2xl px-6 py-4">
+          <div className="flex items-center gap-2 text-sm text-gray-300">
+            <RotateCcw className="h-4 w-4 text-yellow-400 flex-shrink-0" />
+            {recovery.source === 'local'
+              ? `Unsaved changes from ${new Date(recovery.savedAt).toLocaleString()} were found on this device.`
+              : `An autosaved draft from ${new Date(recovery.savedAt).toLocaleString()} is newer than this post.`}
+          </div>
+          <div className="flex gap-2 flex-shrink-0">
+            <button
+              onClick={handleDiscardRecovery}
+              className="px-3 py-2 text-sm text-gray-300 hover:text-white"
+            >
+              Discard
+            </button>
+            <button
+              onClick={handleRecover}
+              className="px-3 py-2 text-sm bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition"
+            >
+              Restore
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* AI Features Panel */}
       <div className="bg-gray-900 border border-gray-800 rounded-2xl p-6 shadow-sm">
         <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -303,6 +583,30 @@ export function BlogEditor() {
             placeholder="Enter your post title..."
           />
         </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium mb-2 text-gray-400">
+              Tags
+            </label>
+            <TagInput
+              value={post.tags.map(tag => tag.name)}
+              onChange={(names) => setPost(prev => ({ ...prev, tags: names.map(name => ({ name })) }))}
+              suggestions={tagSuggestions}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-400">
+              Category
+            </label>
+            <CategorySelect
+              categories={categories}
+              value={post.category_id}
+              onChange={(categoryId) => setPost(prev => ({ ...prev, category_id: categoryId }))}
+              className="w-full"
+            />
+          </div>
+        </div>
   
         <div>
           <label className="block text-sm font-medium mb-2 text-gray-400">
@@ -330,6 +634,28 @@ export function BlogEditor() {
           loading={aiLoading}
         />
       )}
+
+      {conflict && (
+        <ConflictDialog
+          mine={post}
+          theirs={conflict.theirs}
+          saving={saving}
+          onKeepMine={() => handleSave(conflict.status, conflict.theirs.version, conflict.publishAt)}
+          onUseTheirs={handleUseTheirs}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
+      {!isNewPost && (
+        <RevisionHistory
+          postId={id}
+          version={post.version}
+          open={showHistory}
+          onClose={() => setShowHistory(false)}
+          onRestore={handleRestore}
+          hasUnsavedChanges={hasUnsavedChanges}
+        />
+      )}
     </div>
   )
 }
@@ -7,15 +7,19 @@ import {
   User, 
   Eye,
   CheckCircle,
-  Clock
+  Clock,
+  Globe
 } from 'lucide-react'
 import { blogAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
 import { LoadingSpinner } from '../components/LoadingSpinner'
+import { ExportMenu } from '../components/ExportMenu'
 import toast from 'react-hot-toast'
 
 export function BlogView() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const { user } = useAuth()
   const [post, setPost] = useState(null)
   const [loading, setLoading] = useState(true)
 
@@ -96,6 +100,16 @@ export function BlogView() {
               </button>
             </div>
             <div className="flex items-center space-x-4">
+              <ExportMenu post={post} />
+              {post.status === 'published' && (
+                <Link
+                  to={`/p/${encodeURIComponent(user.username)}/${post.slug}`}
+                  className="flex items-center text-gray-600 hover:text-gray-900 font-medium"
+                >
+                  <Globe className="h-4 w-4 mr-2" />
+                  Public page
+                </Link>
+              )}
               <Link
                 to={`/editor/${post.post_id}`}
                 className="bg-emerald-500 hover:bg-emerald-600 text-white px-6 py-2 rounded-full font-medium transition-colors inline-flex items-center"
@@ -130,6 +144,11 @@ export function BlogView() {
                 Draft
               </span>
             )}
+            {post.status === 'scheduled' && (
+              <span className="bg-sky-100 text-sky-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
+                Scheduled for {formatDate(post.publish_at)}
+              </span>
+            )}
           </div>
 
           {/* Title */}
@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react'
-import { Link } from 'react-router-dom'
+import { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
 import { 
   Plus, 
   FileText, 
@@ -10,16 +10,56 @@ import {
   BarChart3,
   Sparkles,
   Clock,
-  CheckCircle
+  CheckCircle,
+  Tag,
+  Folder,
+  X,
+  Download,
+  Upload
 } from 'lucide-react'
-import { blogAPI, aiAPI } from '../services/api'
+import { blogAPI, aiAPI, tagsAPI, categoriesAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
 import { LoadingSpinner } from '../components/LoadingSpinner'
+import { CategorySelect } from '../components/CategorySelect'
+import { PostSearch } from '../components/PostSearch'
 import toast from 'react-hot-toast'
 
+const PAGE_SIZE = 10
+
+const noFilters = { tag: '', category: null }
+
+const bulkVerbs = {
+  publish: 'published',
+  unpublish: 'unpublished',
+  delete: 'moved to trash',
+  tag: 'tagged',
+  export: 'exported'
+}
+
+const downloadJson = (data, filename) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
 export function Dashboard() {
   const [posts, setPosts] = useState([])
+  const [pagination, setPagination] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [loadingPosts, setLoadingPosts] = useState(false)
+  const [filters, setFilters] = useState(noFilters)
+  const [tags, setTags] = useState([])
+  const [categories, setCategories] = useState([])
   const [aiUsage, setAiUsage] = useState(null)
+  const [selected, setSelected] = useState(new Set())
+  const [bulkAction, setBulkAction] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const importInput = useRef(null)
+  const { hasPermission } = useAuth()
+  const navigate = useNavigate()
   const [stats, setStats] = useState({
     totalPosts: 0,
     publishedPosts: 0,
@@ -34,8 +74,9 @@ export function Dashboard() {
   const fetchData = async () => {
     try {
       setLoading(true)
-      const postsResponse = await blogAPI.getBlogs({ limit: 10 })
+      const postsResponse = await blogAPI.getBlogs({ limit: PAGE_SIZE })
       setPosts(postsResponse.data.posts)
+      setPagination(postsResponse.data.pagination)
 
       const totalPosts = postsResponse.data.pagination.totalPosts
       const publishedPosts = postsResponse.data.posts.filter(post => post.status === 'published').length
@@ -47,10 +88,14 @@ export function Dashboard() {
 
       setStats({ totalPosts, publishedPosts, draftPosts, totalWords })
 
-      try {
-        const usageResponse = await aiAPI.usage({ period: '30' })
-        setAiUsage(usageResponse.data)
-      } catch {}
+      const [usageResponse, tagsResponse, categoriesResponse] = await Promise.allSettled([
+        aiAPI.usage({ period: '30' }),
+        tagsAPI.list(),
+        categoriesAPI.list()
+      ])
+      if (usageResponse.status === 'fulfilled') setAiUsage(usageResponse.value.data)
+      if (tagsResponse.status === 'fulfilled') setTags(tagsResponse.value.data.tags)
+      if (categoriesResponse.status === 'fulfilled') setCategories(categoriesResponse.value.data.categories)
     } catch {
       toast.error('Failed to load dashboard data')
     } finally {
@@ -58,36 +103,201 @@ export function Dashboard() {
     }
   }
 
+  // Only the post list follows the filters; the stats above stay account-wide
+  const fetchPosts = async (nextFilters, page = 1) => {
+    try {
+      setLoadingPosts(true)
+      const response = await blogAPI.getBlogs({
+        limit: PAGE_SIZE,
+        page,
+        ...(nextFilters.tag && { tag: nextFilters.tag }),
+        ...(nextFilters.category && { category: nextFilters.category })
+      })
+      setPosts(page === 1 ? response.data.posts : [...posts, ...response.data.posts])
+      setPagination(response.data.pagination)
+      if (page === 1) setSelected(new Set())
+    } catch {
+      toast.error('Failed to load posts')
+    } finally {
+      setLoadingPosts(false)
+    }
+  }
+
+  const applyFilters = (changes) => {
+    const nextFilters = { ...filters, ...changes }
+    setFilters(nextFilters)
+    fetchPosts(nextFilters)
+  }
+
+  const isFiltered = Boolean(filters.tag || filters.category)
+
+  // Deleting only moves the post to the trash, so offer an undo instead of a confirm
   const handleDeletePost = async (postId) => {
-    if (!window.confirm('Delete this post?')) return
     try {
       await blogAPI.deleteBlog(postId)
       setPosts(posts.filter(p => p.post_id !== postId))
+      setSelected(new Set([...selected].filter(id => id !== postId)))
       setStats(prev => ({ ...prev, totalPosts: prev.totalPosts - 1 }))
-      toast.success('Post deleted')
+      toast.success((t) => (
+        <span className="flex items-center gap-3">
+          Moved to trash
+          <button
+            onClick={() => {
+              toast.dismiss(t.id)
+              handleUndoDelete(postId)
+            }}
+            className="font-medium underline"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 6000 })
     } catch {
       toast.error('Failed to delete')
     }
   }
 
-  const handlePublishToggle = async (postId, currentStatus) => {
+  const handleUndoDelete = async (postId) => {
     try {
-      const newStatus = currentStatus === 'published' ? 'draft' : 'published'
-      await blogAPI.publishBlog(postId, newStatus)
-      setPosts(posts.map(p => p.post_id === postId ? { ...p, status: newStatus } : p))
-      toast.success(`Post ${newStatus}`)
+      await blogAPI.restoreBlog(postId)
+      setStats(prev => ({ ...prev, totalPosts: prev.totalPosts + 1 }))
+      fetchPosts(filters)
     } catch {
-      toast.error('Failed to update status')
+      toast.error('Failed to restore post')
+    }
+  }
+
+  const handlePublishToggle = async (post) => {
+    try {
+      const newStatus = post.status === 'published' ? 'draft' : 'published'
+      const response = await blogAPI.publishBlog(post.post_id, newStatus, post.version)
+      setPosts(posts.map(p => p.post_id === post.post_id ? { ...p, ...response.data.post } : p))
+      toast.success(`Post ${newStatus}`)
+    } catch (error) {
+      const { code, message, currentPost } = error.response?.data?.error || {}
+      if (code === 'VERSION_CONFLICT') {
+        // Show the latest copy so the next click acts on it
+        setPosts(posts.map(p => p.post_id === post.post_id ? currentPost : p))
+      }
+      toast.error(message || 'Failed to update status')
+    }
+  }
+
+  const toggleSelected = (postId) => {
+    const next = new Set(selected)
+    if (next.has(postId)) next.delete(postId)
+    else next.add(postId)
+    setSelected(next)
+  }
+
+  const allSelected = posts.length > 0 && posts.every(post => selected.has(post.post_id))
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(posts.map(post => post.post_id)))
+  }
+
+  const applyBulkResults = (action, results) => {
+    const done = results.filter(result => result.ok && !result.unchanged)
+    const changed = new Map(done.map(result => [result.id, result.post]))
+
+    if (action === 'delete') {
+      setPosts(posts.filter(post => !changed.has(post.post_id)))
+      setStats(prev => ({ ...prev, totalPosts: prev.totalPosts - changed.size }))
+      return
+    }
+
+    if (action === 'publish' || action === 'unpublish') {
+      const before = posts.filter(post => changed.has(post.post_id))
+      const delta = (status) =>
+        done.filter(result => result.post.status === status).length -
+        before.filter(post => post.status === status).length
+      setStats(prev => ({
+        ...prev,
+        publishedPosts: prev.publishedPosts + delta('published'),
+        draftPosts: prev.draftPosts + delta('draft')
+      }))
+    }
+
+    setPosts(posts.map(post => changed.has(post.post_id)
+      ? { ...post, ...changed.get(post.post_id), ...(action !== 'tag' && { publish_at: null }) }
+      : post))
+  }
+
+  const handleBulkAction = async (action) => {
+    let extra = {}
+    if (action === 'tag') {
+      const input = window.prompt('Tags to add (comma separated)')
+      const newTags = input?.split(',').map(tag => tag.trim()).filter(Boolean)
+      if (!newTags?.length) return
+      extra = { tags: newTags }
+    }
+
+    try {
+      setBulkAction(action)
+      const response = await blogAPI.bulk(action, [...selected], extra)
+      const { results, succeeded, failed } = response.data
+
+      if (action === 'export') {
+        const exported = results.filter(result => result.ok).map(result => result.post)
+        downloadJson({ exportedAt: new Date().toISOString(), posts: exported }, `muse-posts-${new Date().toISOString().slice(0, 10)}.json`)
+      } else {
+        applyBulkResults(action, results)
+      }
+      if (action === 'tag' && succeeded > 0) {
+        tagsAPI.list().then(res => setTags(res.data.tags)).catch(() => {})
+      }
+
+      // Keep the posts that failed selected so they can be retried
+      setSelected(new Set(results.filter(result => !result.ok).map(result => result.id)))
+
+      if (succeeded > 0) toast.success(`${succeeded} post${succeeded === 1 ? '' : 's'} ${bulkVerbs[action]}`)
+      if (failed > 0) {
+        const reasons = [...new Set(results.filter(result => !result.ok).map(result => result.error.message))]
+        toast.error(`${failed} post${failed === 1 ? '' : 's'} failed: ${reasons.join('; ')}`)
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Bulk action failed')
+    } finally {
+      setBulkAction(null)
+    }
+  }
+
+  const bulkButtons = [
+    { action: 'publish', label: 'Publish', permission: 'posts:publish' },
+    { action: 'unpublish', label: 'Unpublish', permission: 'posts:publish' },
+    { action: 'tag', label: 'Add tags', icon: Tag, permission: 'posts:write' },
+    { action: 'export', label: 'Export', icon: Download, permission: 'posts:read' },
+    { action: 'delete', label: 'Move to trash', icon: Trash2, permission: 'posts:delete' }
+  ].filter(button => hasPermission(button.permission))
+
+  // Front matter in the file can set the title, tags and status
+  const handleImportMarkdown = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setImporting(true)
+      const response = await blogAPI.importMarkdown(await file.text())
+      toast.success(`Imported "${response.data.post.title}"`)
+      navigate(`/editor/${response.data.post.post_id}`)
+    } catch (error) {
+      const { message, details } = error.response?.data?.error || {}
+      toast.error(details?.[0]?.msg || message || 'Failed to import file')
+    } finally {
+      setImporting(false)
     }
   }
 
   const formatDate = (date) =>
     new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
 
-  const getStatusColor = (status) =>
-    status === 'published'
-      ? 'bg-gray-800 text-white border border-gray-700'
-      : 'bg-gray-900 text-gray-400 border border-gray-700'
+  const categoryNames = new Map(categories.map(category => [category.category_id, category.name]))
+
+  const getStatusColor = (status) => ({
+    published: 'bg-gray-800 text-white border border-gray-700',
+    scheduled: 'bg-gray-900 text-sky-300 border border-sky-900'
+  })[status] || 'bg-gray-900 text-gray-400 border border-gray-700'
 
   if (loading) {
     return (
@@ -105,15 +315,37 @@ export function Dashboard() {
           <h1 className="text-3xl font-semibold tracking-tight">Dashboard</h1>
           <p className="text-gray-400">Your blog overview, all in one place.</p>
         </div>
-        <Link
-          to="/editor"
-          className="inline-flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all"
-        >
-          <Plus className="h-4 w-4" />
-          New Post
-        </Link>
+        {hasPermission('posts:write') && (
+          <div className="flex items-center gap-3">
+            <input
+              ref={importInput}
+              type="file"
+              accept=".md,.markdown,text/markdown"
+              onChange={handleImportMarkdown}
+              className="hidden"
+            />
+            <button
+              onClick={() => importInput.current.click()}
+              disabled={importing}
+              className="inline-flex items-center gap-2 bg-gray-900 hover:bg-gray-800 text-white border border-gray-700 px-4 py-2 rounded-lg text-sm font-medium transition-all disabled:opacity-50"
+            >
+              <Upload className="h-4 w-4" />
+              {importing ? 'Importing…' : 'Import Markdown'}
+            </button>
+            <Link
+              to="/editor"
+              className="inline-flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all"
+            >
+              <Plus className="h-4 w-4" />
+              New Post
+            </Link>
+          </div>
+        )}
       </div>
 
+      {/* Search */}
+      <PostSearch />
+
       {/* Stats */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {[
@@ -165,27 +397,115 @@ export function Dashboard() {
 
       {/* Recent Posts */}
       <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
-        <h3 className="text-lg font-semibold mb-4">Recent Posts</h3>
-        {posts.length === 0 ? (
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold">{isFiltered ? 'Filtered Posts' : 'Recent Posts'}</h3>
+          {(tags.length > 0 || categories.length > 0) && (
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <div className="flex items-center gap-2">
+                <Tag className="h-4 w-4 text-gray-400" />
+                <select
+                  value={filters.tag}
+                  onChange={(e) => applyFilters({ tag: e.target.value })}
+                  className="bg-gray-800 text-white border border-gray-700 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-600"
+                >
+                  <option value="">All tags</option>
+                  {tags.map(tag => (
+                    <option key={tag.tag_id} value={tag.slug}>{tag.name} ({tag.post_count})</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex items-center gap-2">
+                <Folder className="h-4 w-4 text-gray-400" />
+                <CategorySelect
+                  categories={categories}
+                  value={filters.category}
+                  onChange={(category) => applyFilters({ category })}
+                  emptyLabel="All categories"
+                />
+              </div>
+              {isFiltered && (
+                <button
+                  onClick={() => applyFilters(noFilters)}
+                  className="flex items-center gap-1 text-gray-400 hover:text-white"
+                >
+                  <X className="h-4 w-4" />
+                  Clear
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        {isFiltered && posts.length === 0 && !loadingPosts ? (
+          <p className="text-center py-10 text-gray-400">No posts match these filters.</p>
+        ) : posts.length === 0 ? (
           <div className="text-center py-10 text-gray-400">
             <FileText className="h-12 w-12 mx-auto mb-4 opacity-50" />
             <h3 className="text-lg font-medium text-white mb-2">No posts yet</h3>
-            <p className="text-gray-500 mb-4">Start by creating your first blog post.</p>
-            <Link
-              to="/editor"
-              className="inline-flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-all"
-            >
-              <Plus className="h-4 w-4" />
-              Create Post
-            </Link>
+            {hasPermission('posts:write') && (
+              <>
+                <p className="text-gray-500 mb-4">Start by creating your first blog post.</p>
+                <Link
+                  to="/editor"
+                  className="inline-flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-all"
+                >
+                  <Plus className="h-4 w-4" />
+                  Create Post
+                </Link>
+              </>
+            )}
           </div>
         ) : (
           <div className="space-y-3">
+            {/* Bulk actions */}
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-400 px-1">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                  className="h-4 w-4 rounded border-gray-600 bg-gray-800 accent-white"
+                />
+                {selected.size > 0 ? `${selected.size} selected` : 'Select all'}
+              </label>
+              {selected.size > 0 && (
+                <>
+                  {bulkButtons.map(({ action, label, icon: Icon }) => (
+                    <button
+                      key={action}
+                      onClick={() => handleBulkAction(action)}
+                      disabled={bulkAction !== null}
+                      className={`flex items-center gap-1 px-3 py-1 text-xs bg-gray-800 border border-gray-700 rounded-lg text-white transition disabled:opacity-50 ${
+                        action === 'delete' ? 'hover:bg-red-900' : 'hover:bg-gray-700'
+                      }`}
+                    >
+                      {Icon && <Icon className="h-3 w-3" />}
+                      {bulkAction === action ? 'Working…' : label}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => setSelected(new Set())}
+                    className="flex items-center gap-1 hover:text-white"
+                  >
+                    <X className="h-4 w-4" />
+                    Clear selection
+                  </button>
+                </>
+              )}
+            </div>
             {posts.map((post) => (
               <div
                 key={post.post_id}
-                className="flex items-center justify-between bg-gray-800 border border-gray-700 rounded-lg p-4 hover:bg-gray-700 transition-all"
+                className={`flex items-center justify-between gap-4 bg-gray-800 border rounded-lg p-4 hover:bg-gray-700 transition-all ${
+                  selected.has(post.post_id) ? 'border-gray-500' : 'border-gray-700'
+                }`}
               >
+                <input
+                  type="checkbox"
+                  checked={selected.has(post.post_id)}
+                  onChange={() => toggleSelected(post.post_id)}
+                  aria-label={`Select ${post.title}`}
+                  className="h-4 w-4 rounded border-gray-600 bg-gray-800 accent-white"
+                />
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center gap-3">
                     <h4 className="text-sm font-semibold truncate">{post.title}</h4>
@@ -202,30 +522,74 @@ export function Dashboard() {
                       <FileText className="h-4 w-4 mr-1" />
                       {post.content.replace(/<[^>]*>/g, '').split(/\s+/).length} words
                     </div>
+                    {post.status === 'scheduled' && (
+                      <div className="flex items-center text-sky-300">
+                        <Clock className="h-4 w-4 mr-1" />
+                        Publishes {new Date(post.publish_at).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}
+                      </div>
+                    )}
+                    {post.category_id && categoryNames.has(post.category_id) && (
+                      <div className="flex items-center">
+                        <Folder className="h-4 w-4 mr-1" />
+                        {categoryNames.get(post.category_id)}
+                      </div>
+                    )}
                   </div>
+                  {post.tags?.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {post.tags.map(tag => (
+                        <button
+                          key={tag.tag_id}
+                          onClick={() => applyFilters({ tag: tag.slug })}
+                          className={`px-2.5 py-0.5 text-xs rounded-full border transition ${
+                            filters.tag === tag.slug
+                              ? 'bg-white text-black border-white'
+                              : 'bg-gray-900 text-gray-300 border-gray-700 hover:border-gray-500'
+                          }`}
+                        >
+                          #{tag.name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 <div className="flex items-center gap-2">
                   <Link to={`/blog/${post.post_id}`} className="p-2 hover:bg-gray-700 rounded-lg" title="View">
                     <Eye className="h-4 w-4 text-gray-300" />
                   </Link>
-                  <Link to={`/editor/${post.post_id}`} className="p-2 hover:bg-gray-700 rounded-lg" title="Edit">
-                    <Edit className="h-4 w-4 text-gray-300" />
-                  </Link>
-                  <button
-                    onClick={() => handlePublishToggle(post.post_id, post.status)}
-                    className="px-3 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded-lg text-white transition"
-                  >
-                    {post.status === 'published' ? 'Unpublish' : 'Publish'}
-                  </button>
-                  <button
-                    onClick={() => handleDeletePost(post.post_id)}
-                    className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg"
-                  >
-                    <Trash2 className="h-4 w-4" />
-                  </button>
+                  {hasPermission('posts:write') && (
+                    <Link to={`/editor/${post.post_id}`} className="p-2 hover:bg-gray-700 rounded-lg" title="Edit">
+                      <Edit className="h-4 w-4 text-gray-300" />
+                    </Link>
+                  )}
+                  {hasPermission('posts:publish') && (
+                    <button
+                      onClick={() => handlePublishToggle(post)}
+                      className="px-3 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded-lg text-white transition"
+                    >
+                      {post.status === 'published' ? 'Unpublish' : 'Publish'}
+                    </button>
+                  )}
+                  {hasPermission('posts:delete') && (
+                    <button
+                      onClick={() => handleDeletePost(post.post_id)}
+                      className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
+            {pagination?.hasNext && (
+              <button
+                onClick={() => fetchPosts(filters, pagination.currentPage + 1)}
+                disabled={loadingPosts}
+                className="w-full py-2 text-sm text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                {loadingPosts ? 'Loading…' : 'Load more'}
+              </button>
+            )}
           </div>
         )}
       </div>
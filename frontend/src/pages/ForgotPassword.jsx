@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Sparkles, Loader2, MailCheck } from 'lucide-react'
+import { authAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+export function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+
+    try {
+      await authAPI.forgotPassword(email)
+      setSent(true)
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to send reset link')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center mb-6">
+            <div className="flex items-center">
+              <Sparkles className="h-12 w-12 text-emerald-600 mr-3" />
+              <span className="text-3xl font-bold text-gray-900" style={{ fontFamily: 'cursive' }}>
+                muse
+              </span>
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Remembered it?{' '}
+            <Link
+              to="/login"
+              className="font-medium text-emerald-600 hover:text-emerald-500"
+            >
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+
+        {sent ? (
+          <div className="text-center space-y-4">
+            <MailCheck className="h-12 w-12 text-emerald-600 mx-auto" />
+            <p className="text-gray-700">
+              If an account exists for <span className="font-medium">{email}</span>, we&apos;ve sent a link to reset your password.
+            </p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 input"
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-emerald-600 hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? (
+                  <Loader2 className="h-5 w-5 animate-spin" />
+                ) : (
+                  'Send reset link'
+                )}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
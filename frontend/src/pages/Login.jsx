@@ -1,7 +1,16 @@
 import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { Eye, EyeOff, Sparkles, Loader2 } from 'lucide-react'
+import { Eye, EyeOff, Sparkles, Loader2, Lock } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
+import { TwoFactorChallenge } from '../components/TwoFactorChallenge'
+
+// Errors that block further attempts for a while; shown inline with when to retry
+const BLOCKING_ERRORS = ['ACCOUNT_LOCKED', 'TOO_MANY_LOGIN_ATTEMPTS']
+
+const formatRetryAfter = (seconds) => {
+  const minutes = Math.ceil(seconds / 60)
+  return minutes <= 1 ? 'about a minute' : `${minutes} minutes`
+}
 
 export function Login() {
   const [formData, setFormData] = useState({
@@ -10,8 +19,10 @@ export function Login() {
   })
   const [showPassword, setShowPassword] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const [loginError, setLoginError] = useState(null)
+  const [challengeToken, setChallengeToken] = useState(null)
   
-  const { login, user } = useAuth()
+  const { login, completeTwoFactorLogin, user } = useAuth()
   const navigate = useNavigate()
 
   // Redirect if already logged in
@@ -31,16 +42,42 @@ export function Login() {
   const handleSubmit = async (e) => {
     e.preventDefault()
     setIsLoading(true)
+    setLoginError(null)
 
     const result = await login(formData.email, formData.password)
     
     if (result.success) {
       navigate('/')
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken)
+    } else if (BLOCKING_ERRORS.includes(result.code)) {
+      setLoginError(result)
     }
     
     setIsLoading(false)
   }
 
+  const handleTwoFactorSubmit = async (factor) => {
+    setLoginError(null)
+
+    const result = await completeTwoFactorLogin(challengeToken, factor)
+
+    if (result.success) {
+      navigate('/')
+    } else if (result.code === 'INVALID_CHALLENGE') {
+      // Challenge expired or was revoked; start over with the password
+      setChallengeToken(null)
+    } else if (BLOCKING_ERRORS.includes(result.code)) {
+      setChallengeToken(null)
+      setLoginError(result)
+    }
+  }
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null)
+    setFormData({ ...formData, password: '' })
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -54,20 +91,47 @@ export function Login() {
             </div>
           </div>
           <h2 className="text-3xl font-bold text-gray-900">
-            Sign in to your account
+            {challengeToken ? 'Two-factor authentication' : 'Sign in to your account'}
           </h2>
-          <p className="mt-2 text-sm text-gray-600">
-            Or{' '}
-            <Link
-              to="/register"
-              className="font-medium text-emerald-600 hover:text-emerald-500"
-            >
-              create a new account
-            </Link>
-          </p>
+          {!challengeToken && (
+            <p className="mt-2 text-sm text-gray-600">
+              Or{' '}
+              <Link
+                to="/register"
+                className="font-medium text-emerald-600 hover:text-emerald-500"
+              >
+                create a new account
+              </Link>
+            </p>
+          )}
         </div>
 
+        {challengeToken ? (
+          <TwoFactorChallenge onSubmit={handleTwoFactorSubmit} onCancel={cancelTwoFactor} />
+        ) : (
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {loginError && (
+            <div className="flex items-start gap-3 rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+              <Lock className="h-5 w-5 flex-shrink-0" />
+              <div>
+                <p className="font-medium">
+                  {loginError.code === 'ACCOUNT_LOCKED'
+                    ? 'Your account is temporarily locked'
+                    : 'Too many failed attempts'}
+                </p>
+                <p className="mt-1">{loginError.error}</p>
+                {loginError.retryAfter && (
+                  <p className="mt-1">Try again in {formatRetryAfter(loginError.retryAfter)}.</p>
+                )}
+                {loginError.code === 'ACCOUNT_LOCKED' && (
+                  <Link to="/forgot-password" className="mt-1 inline-block font-medium underline">
+                    Reset your password
+                  </Link>
+                )}
+              </div>
+            </div>
+          )}
+
           <div className="space-y-4">
             <div>
               <label htmlFor="email" className="block text-sm font-medium text-gray-700">
@@ -117,6 +181,15 @@ export function Login() {
             </div>
           </div>
 
+          <div className="flex justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-emerald-600 hover:text-emerald-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -137,6 +210,7 @@ export function Login() {
             </p>
           </div>
         </form>
+        )}
       </div>
     </div>
   )
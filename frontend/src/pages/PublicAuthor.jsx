@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Calendar, Rss } from 'lucide-react'
+import { publicAPI } from '../services/api'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+
+const FEEDS = [
+  { file: 'rss.xml', type: 'application/rss+xml', title: 'RSS' },
+  { file: 'atom.xml', type: 'application/atom+xml', title: 'Atom' },
+  { file: 'feed.json', type: 'application/feed+json', title: 'JSON Feed' }
+]
+
+export function PublicAuthor() {
+  const { author } = useParams()
+  const [posts, setPosts] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [notFound, setNotFound] = useState(false)
+
+  useEffect(() => {
+    setPage(1)
+  }, [author])
+
+  useEffect(() => {
+    fetchPosts()
+  }, [author, page])
+
+  // Let browsers and feed readers discover the author's feeds
+  useEffect(() => {
+    if (notFound) return
+    const links = FEEDS.map(({ file, type, title }) => {
+      const link = document.createElement('link')
+      link.rel = 'alternate'
+      link.type = type
+      link.title = `Posts by ${author} (${title})`
+      link.href = publicAPI.feedUrl(author, file)
+      document.head.appendChild(link)
+      return link
+    })
+    return () => links.forEach(link => link.remove())
+  }, [author, notFound])
+
+  const fetchPosts = async () => {
+    try {
+      setLoading(true)
+      setNotFound(false)
+      const response = await publicAPI.getPosts({ author, page })
+      setPosts(response.data.posts)
+      setPagination(response.data.pagination)
+      document.title = `Posts by ${author}`
+    } catch (error) {
+      setPosts([])
+      setPagination(null)
+      setNotFound(error.response?.status === 404)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">
+            {notFound ? 'Author not found' : `Posts by ${author}`}
+          </h1>
+          {!notFound && (
+            <a
+              href={publicAPI.feedUrl(author, 'rss.xml')}
+              className="flex items-center text-sm text-emerald-600 hover:text-emerald-700 font-medium"
+              title="Subscribe in a feed reader"
+            >
+              <Rss className="h-4 w-4 mr-1" />
+              RSS
+            </a>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : notFound ? (
+          <p className="text-gray-700">There is no author called {author}.</p>
+        ) : posts.length === 0 ? (
+          <p className="text-gray-700">No published posts yet.</p>
+        ) : (
+          <div className="space-y-6">
+            {posts.map(post => (
+              <Link
+                key={post.slug}
+                to={`/p/${encodeURIComponent(author)}/${post.slug}`}
+                className="block bg-white rounded-xl shadow-sm p-6 hover:shadow-md transition-shadow"
+              >
+                <h2 className="text-xl font-semibold text-gray-900 mb-2">{post.title}</h2>
+                <p className="text-gray-600 line-clamp-3 mb-3">{post.excerpt}</p>
+                <div className="flex items-center text-sm text-gray-500">
+                  <Calendar className="h-4 w-4 mr-2" />
+                  {formatDate(post.created_at)}
+                </div>
+              </Link>
+            ))}
+
+            {pagination?.totalPages > 1 && (
+              <div className="flex items-center justify-between text-sm text-gray-600">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="text-emerald-600 hover:text-emerald-700 font-medium disabled:opacity-40"
+                >
+                  Newer posts
+                </button>
+                <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="text-emerald-600 hover:text-emerald-700 font-medium disabled:opacity-40"
+                >
+                  Older posts
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
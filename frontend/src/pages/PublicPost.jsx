@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { Calendar, User, Eye, ArrowLeft } from 'lucide-react'
+import { publicAPI } from '../services/api'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+
+export function PublicPost() {
+  const { author, slug } = useParams()
+  const navigate = useNavigate()
+  const [post, setPost] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchPost()
+  }, [author, slug])
+
+  const fetchPost = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      // Old slugs are redirected by the API; the response carries the current one
+      const response = await publicAPI.getPost(author, slug)
+      const { post } = response.data
+      if (post.slug !== slug) {
+        navigate(`/p/${encodeURIComponent(post.author)}/${post.slug}`, { replace: true })
+      }
+      setPost(post)
+      document.title = post.title
+    } catch (error) {
+      setPost(null)
+      setError(error.response?.status === 404 ? 'not_found' : 'failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    })
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!post) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50 flex items-center justify-center px-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">
+            {error === 'not_found' ? 'Post not found' : 'Something went wrong'}
+          </h1>
+          <p className="text-gray-700 mb-6">
+            {error === 'not_found'
+              ? "This post doesn't exist or is no longer published."
+              : 'The post could not be loaded. Please try again later.'}
+          </p>
+          <Link to={`/p/${encodeURIComponent(author)}`} className="text-emerald-600 hover:text-emerald-700 font-medium">
+            More posts by {author}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 flex items-center h-16">
+          <Link
+            to={`/p/${encodeURIComponent(post.author)}`}
+            className="flex items-center text-gray-600 hover:text-gray-900 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            More from {post.author}
+          </Link>
+        </div>
+      </div>
+
+      <article className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <div className="flex items-center space-x-6 text-sm text-gray-500 mb-6">
+            <div className="flex items-center">
+              <Calendar className="h-4 w-4 mr-2" />
+              {formatDate(post.created_at)}
+            </div>
+            <div className="flex items-center">
+              <User className="h-4 w-4 mr-2" />
+              {post.author}
+            </div>
+            <div className="flex items-center">
+              <Eye className="h-4 w-4 mr-2" />
+              {post.content.replace(/<[^>]*>/g, '').split(/\s+/).length} words
+            </div>
+          </div>
+
+          <h1 className="text-4xl font-bold text-gray-900 leading-tight">
+            {post.title}
+          </h1>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm p-8">
+          <div
+            className="prose prose-lg max-w-none text-gray-800 leading-relaxed"
+            dangerouslySetInnerHTML={{ __html: post.content }}
+          />
+        </div>
+
+        {post.updated_at !== post.created_at && (
+          <p className="text-sm text-gray-500 mt-6">Last updated {formatDate(post.updated_at)}</p>
+        )}
+      </article>
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+import { Shield, KeyRound, User, Database, FolderTree, Import, Globe } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import { ProfileSettings } from '../components/ProfileSettings'
+import { AccountData } from '../components/AccountData'
+import { ActiveSessions } from '../components/ActiveSessions'
+import { TwoFactorSettings } from '../components/TwoFactorSettings'
+import { ApiKeys } from '../components/ApiKeys'
+import { PostOrganization } from '../components/PostOrganization'
+import { BlogImport } from '../components/BlogImport'
+import { StaticSiteExport } from '../components/StaticSiteExport'
+
+export function Settings() {
+  const { hasPermission } = useAuth()
+
+  return (
+    <div className="bg-black text-white min-h-screen py-10 px-6 space-y-8">
+      {/* Header */}
+      <div className="border-b border-gray-800 pb-4">
+        <h1 className="text-3xl font-semibold tracking-tight">Settings</h1>
+        <p className="text-gray-400">Manage your account and security.</p>
+      </div>
+
+      {/* Account */}
+      <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+        <h2 className="text-lg font-semibold flex items-center mb-6">
+          <User className="h-5 w-5 mr-2 text-white opacity-70" />
+          Account
+        </h2>
+        <ProfileSettings />
+      </section>
+
+      {/* Security */}
+      <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+        <h2 className="text-lg font-semibold flex items-center mb-6">
+          <Shield className="h-5 w-5 mr-2 text-white opacity-70" />
+          Security
+        </h2>
+        <div className="space-y-8">
+          <TwoFactorSettings />
+          <div className="border-t border-gray-800 pt-8">
+            <ActiveSessions />
+          </div>
+        </div>
+      </section>
+
+      {/* Developer access */}
+      <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+        <h2 className="text-lg font-semibold flex items-center mb-6">
+          <KeyRound className="h-5 w-5 mr-2 text-white opacity-70" />
+          Developer access
+        </h2>
+        <ApiKeys />
+      </section>
+
+      {/* Categories and tags */}
+      {hasPermission('posts:write') && (
+        <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+          <h2 className="text-lg font-semibold flex items-center mb-6">
+            <FolderTree className="h-5 w-5 mr-2 text-white opacity-70" />
+            Categories &amp; tags
+          </h2>
+          <PostOrganization />
+        </section>
+      )}
+
+      {/* Import from another blog */}
+      {hasPermission('posts:write') && hasPermission('posts:publish') && (
+        <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+          <h2 className="text-lg font-semibold flex items-center mb-6">
+            <Import className="h-5 w-5 mr-2 text-white opacity-70" />
+            Import
+          </h2>
+          <BlogImport />
+        </section>
+      )}
+
+      {/* Static site export */}
+      {hasPermission('posts:publish') && (
+        <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+          <h2 className="text-lg font-semibold flex items-center mb-6">
+            <Globe className="h-5 w-5 mr-2 text-white opacity-70" />
+            Static site
+          </h2>
+          <StaticSiteExport />
+        </section>
+      )}
+
+      {/* Your data */}
+      <section className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+        <h2 className="text-lg font-semibold flex items-center mb-6">
+          <Database className="h-5 w-5 mr-2 text-white opacity-70" />
+          Your data
+        </h2>
+        <AccountData />
+      </section>
+    </div>
+  )
+}
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react'
+import { Trash2, RotateCcw, Calendar, AlertTriangle } from 'lucide-react'
+import { blogAPI } from '../services/api'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+export function Trash() {
+  const [posts, setPosts] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+
+  useEffect(() => {
+    fetchTrash()
+  }, [])
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true)
+      const response = await blogAPI.getTrash()
+      setPosts(response.data.posts)
+      setRetentionDays(response.data.retentionDays)
+    } catch {
+      toast.error('Failed to load trash')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRestore = async (post) => {
+    try {
+      setBusyId(post.post_id)
+      const response = await blogAPI.restoreBlog(post.post_id)
+      setPosts(posts.filter(p => p.post_id !== post.post_id))
+      toast.success(response.data.post.status === 'draft' && post.status === 'scheduled'
+        ? 'Post restored as a draft; its scheduled time has passed'
+        : 'Post restored')
+    } catch {
+      toast.error('Failed to restore post')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleDeleteForever = async (post) => {
+    if (!window.confirm(`Permanently delete "${post.title}"? This cannot be undone.`)) return
+    try {
+      setBusyId(post.post_id)
+      await blogAPI.deleteBlogPermanently(post.post_id)
+      setPosts(posts.filter(p => p.post_id !== post.post_id))
+      toast.success('Post permanently deleted')
+    } catch {
+      toast.error('Failed to delete post')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${posts.length} post(s) in the trash? This cannot be undone.`)) return
+    try {
+      setBusyId('all')
+      await blogAPI.emptyTrash()
+      setPosts([])
+      toast.success('Trash emptied')
+    } catch {
+      toast.error('Failed to empty trash')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20 bg-black text-white min-h-screen">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-black text-white min-h-screen py-10 px-6 space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between border-b border-gray-800 pb-4">
+        <div>
+          <h1 className="text-3xl font-semibold tracking-tight">Trash</h1>
+          <p className="text-gray-400">
+            Deleted posts are kept for {retentionDays} days, then removed for good.
+          </p>
+        </div>
+        {posts.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            disabled={busyId !== null}
+            className="inline-flex items-center gap-2 bg-gray-800 hover:bg-red-900 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all disabled:opacity-50"
+          >
+            <AlertTriangle className="h-4 w-4" />
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
+        {posts.length === 0 ? (
+          <div className="text-center py-10 text-gray-400">
+            <Trash2 className="h-12 w-12 mx-auto mb-4 opacity-50" />
+            <h3 className="text-lg font-medium text-white">The trash is empty</h3>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {posts.map(post => (
+              <div
+                key={post.post_id}
+                className="flex items-center justify-between bg-gray-800 border border-gray-700 rounded-lg p-4"
+              >
+                <div className="flex-1 min-w-0">
+                  <h4 className="text-sm font-semibold truncate">{post.title}</h4>
+                  <div className="mt-1 flex items-center gap-4 text-sm text-gray-400">
+                    <div className="flex items-center">
+                      <Calendar className="h-4 w-4 mr-1" />
+                      Deleted {formatDate(post.deleted_at)}
+                    </div>
+                    <span>Removed for good on {formatDate(post.purge_at)}</span>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleRestore(post)}
+                    disabled={busyId !== null}
+                    className="flex items-center gap-1 px-3 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded-lg text-white transition disabled:opacity-50"
+                  >
+                    <RotateCcw className="h-3 w-3" />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(post)}
+                    disabled={busyId !== null}
+                    className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg disabled:opacity-50"
+                    title="Delete forever"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
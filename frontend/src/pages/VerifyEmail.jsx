@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Sparkles, CheckCircle, XCircle } from 'lucide-react'
+import { authAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+
+export function VerifyEmail() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.')
+  const { user, refreshUser } = useAuth()
+  // Tokens are single-use, so guard against StrictMode running the effect twice
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (!token || submitted.current) return
+    submitted.current = true
+
+    const verify = async () => {
+      try {
+        await authAPI.verifyEmail(token)
+        setStatus('success')
+      } catch (error) {
+        setStatus('error')
+        setMessage(error.response?.data?.error?.message || 'Failed to verify email')
+      }
+    }
+
+    verify()
+  }, [token])
+
+  useEffect(() => {
+    if (status === 'success' && user && !user.email_verified) {
+      refreshUser().catch(() => {})
+    }
+  }, [status, user, refreshUser])
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <div className="flex justify-center mb-6">
+          <div className="flex items-center">
+            <Sparkles className="h-12 w-12 text-emerald-600 mr-3" />
+            <span className="text-3xl font-bold text-gray-900" style={{ fontFamily: 'cursive' }}>
+              muse
+            </span>
+          </div>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="space-y-4">
+            <LoadingSpinner size="lg" className="mx-auto text-emerald-600" />
+            <p className="text-gray-700">Verifying your email...</p>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <div className="space-y-4">
+            <CheckCircle className="h-12 w-12 text-emerald-600 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900">Email verified</h2>
+            <p className="text-gray-700">You can now publish your posts.</p>
+            <Link
+              to={user ? '/' : '/login'}
+              className="font-medium text-emerald-600 hover:text-emerald-500"
+            >
+              {user ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="space-y-4">
+            <XCircle className="h-12 w-12 text-red-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900">Verification failed</h2>
+            <p className="text-gray-700">{message}</p>
+            <p className="text-sm text-gray-600">
+              You can request a new link from the banner on your dashboard.
+            </p>
+            <Link
+              to={user ? '/' : '/login'}
+              className="font-medium text-emerald-600 hover:text-emerald-500"
+            >
+              {user ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
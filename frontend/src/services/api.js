@@ -8,6 +8,8 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // Send the httpOnly refresh token cookie
+  withCredentials: true,
 })
 
 // Request interceptor to add auth token
@@ -24,35 +26,175 @@ api.interceptors.request.use(
   }
 )
 
-// Response interceptor to handle errors
+// Requests that failed while a refresh was in flight, replayed once it settles
+let isRefreshing = false
+let pendingRequests = []
+
+const settlePendingRequests = (error, token = null) => {
+  pendingRequests.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(token)))
+  pendingRequests = []
+}
+
+const replayWithToken = (request, token) => {
+  request.headers.Authorization = `Bearer ${token}`
+  return api(request)
+}
+
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh']
+
+// Response interceptor to refresh expired access tokens
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
+  async (error) => {
+    const originalRequest = error.config
+    const isAuthEndpoint = AUTH_ENDPOINTS.some((url) => originalRequest?.url?.startsWith(url))
+
+    if (error.response?.status !== 401 || !originalRequest || originalRequest._retry || isAuthEndpoint) {
+      return Promise.reject(error)
+    }
+
+    if (isRefreshing) {
+      return new Promise((resolve, reject) => {
+        pendingRequests.push({ resolve, reject })
+      }).then((token) => replayWithToken(originalRequest, token))
+    }
+
+    originalRequest._retry = true
+    isRefreshing = true
+
+    try {
+      const response = await api.post('/auth/refresh')
+      const { token } = response.data
+      localStorage.setItem('token', token)
+      settlePendingRequests(null, token)
+      return replayWithToken(originalRequest, token)
+    } catch (refreshError) {
+      // Refresh token expired or revoked
+      settlePendingRequests(refreshError)
       localStorage.removeItem('token')
-      window.location.href = '/login'
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login'
+      }
+      return Promise.reject(refreshError)
+    } finally {
+      isRefreshing = false
     }
-    return Promise.reject(error)
   }
 )
 
 // Auth API
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
+  loginTwoFactor: (challengeToken, { code, recoveryCode }) =>
+    api.post('/auth/login/2fa', { challengeToken, code, recoveryCode }),
   register: (username, email, password) => api.post('/auth/register', { username, email, password }),
   getMe: () => api.get('/auth/me'),
+  refresh: () => api.post('/auth/refresh'),
   logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  updateProfile: (data) => api.patch('/auth/profile', data),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/password', { currentPassword, newPassword }),
+}
+
+// Account data API
+export const accountAPI = {
+  exportData: () => api.get('/account/export', { responseType: 'blob' }),
+  deleteAccount: (password) => api.delete('/account', { data: { password } }),
+  restore: () => api.post('/account/restore'),
 }
 
+// Two-factor authentication API
+export const twoFactorAPI = {
+  status: () => api.get('/auth/2fa'),
+  setup: () => api.post('/auth/2fa/setup'),
+  enable: (code) => api.post('/auth/2fa/enable', { code }),
+  disable: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
+}
+
+// Personal API keys
+export const apiKeysAPI = {
+  list: () => api.get('/auth/api-keys'),
+  create: (data) => api.post('/auth/api-keys', data),
+  revoke: (id) => api.delete(`/auth/api-keys/${id}`),
+}
+
+// Posts are versioned; writes send the version they were based on
+const ifMatch = (version) => ({ headers: { 'If-Match': `"${version}"` } })
+
 // Blog API
 export const blogAPI = {
   getBlogs: (params = {}) => api.get('/blogs', { params }),
+  searchBlogs: (params) => api.get('/blogs/search', { params }),
   getBlog: (id) => api.get(`/blogs/${id}`),
   createBlog: (data) => api.post('/blogs', data),
-  updateBlog: (id, data) => api.put(`/blogs/${id}`, data),
+  updateBlog: (id, data, version) => api.put(`/blogs/${id}`, data, ifMatch(version)),
   deleteBlog: (id) => api.delete(`/blogs/${id}`),
-  publishBlog: (id, status) => api.patch(`/blogs/${id}/publish`, { status }),
+  getTrash: () => api.get('/blogs/trash'),
+  restoreBlog: (id) => api.post(`/blogs/${id}/restore`),
+  deleteBlogPermanently: (id) => api.delete(`/blogs/${id}/permanent`),
+  emptyTrash: () => api.delete('/blogs/trash'),
+  bulk: (action, ids, extra = {}) => api.post('/blogs/bulk', { action, ids, ...extra }),
+  importMarkdown: (markdown) => api.post('/blogs/import', { markdown }),
+  // EPUB exports take { posts: '3,7', title } to bundle more posts as chapters
+  exportBlog: (id, format, params = {}) =>
+    api.get(`/blogs/${id}/export`, { params: { format, ...params }, responseType: 'blob' }),
+  publishBlog: (id, status, version, publishAt) =>
+    api.patch(`/blogs/${id}/publish`, { status, publishAt }, ifMatch(version)),
+  getRevisions: (id) => api.get(`/blogs/${id}/revisions`),
+  getRevision: (id, revisionId) => api.get(`/blogs/${id}/revisions/${revisionId}`),
+  diffRevisions: (id, params) => api.get(`/blogs/${id}/revisions/diff`, { params }),
+  restoreRevision: (id, revisionId, version) =>
+    api.post(`/blogs/${id}/revisions/${revisionId}/restore`, null, ifMatch(version)),
+  getAutosave: (id) => api.get(`/blogs/${id}/autosave`),
+  autosave: (id, data) => api.put(`/blogs/${id}/autosave`, data),
+  discardAutosave: (id) => api.delete(`/blogs/${id}/autosave`),
+}
+
+// Tags are created implicitly by naming them on a post; categories nest via parentId
+export const tagsAPI = {
+  list: () => api.get('/tags'),
+  create: (name) => api.post('/tags', { name }),
+  rename: (id, name) => api.patch(`/tags/${id}`, { name }),
+  remove: (id) => api.delete(`/tags/${id}`),
+}
+
+export const categoriesAPI = {
+  list: () => api.get('/categories'),
+  create: (data) => api.post('/categories', data),
+  update: (id, data) => api.patch(`/categories/${id}`, data),
+  remove: (id) => api.delete(`/categories/${id}`),
+}
+
+// WordPress / Ghost imports run as background jobs; poll get() for progress
+export const importsAPI = {
+  list: () => api.get('/imports'),
+  get: (id) => api.get(`/imports/${id}`),
+  create: (file, contentType, params) =>
+    api.post('/imports', file, { params, headers: { 'Content-Type': contentType } }),
+}
+
+// Static site builds of the user's published posts
+export const siteExportsAPI = {
+  list: () => api.get('/site-exports'),
+  get: (id) => api.get(`/site-exports/${id}`),
+  create: (data) => api.post('/site-exports', data),
+}
+
+// Public reading API (no authentication needed)
+export const publicAPI = {
+  getPosts: (params = {}) => api.get('/public/posts', { params }),
+  getPost: (author, slug) =>
+    api.get(`/public/posts/${encodeURIComponent(author)}/${encodeURIComponent(slug)}`),
+  // Feeds are served next to the API rather than under it, for feed readers to poll
+  feedUrl: (author, file) =>
+    `${API_BASE_URL.replace(/\/api\/?$/, '')}/feeds/${encodeURIComponent(author)}/${file}`,
 }
 
 // AI API
@@ -64,5 +206,15 @@ export const aiAPI = {
   usage: (params = {}) => api.get('/ai/usage', { params }),
 }
 
+// Admin API
+export const adminAPI = {
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+  updateRole: (id, role) => api.patch(`/admin/users/${id}/role`, { role }),
+  setDisabled: (id, disabled) => api.patch(`/admin/users/${id}/status`, { disabled }),
+  getPosts: (params = {}) => api.get('/admin/posts', { params }),
+  getPost: (id) => api.get(`/admin/posts/${id}`),
+  aiUsage: (params = {}) => api.get('/admin/ai-usage', { params }),
+}
+
 export default api
 
@@ -0,0 +1,44 @@
+// Local copies of in-progress edits, kept in IndexedDB so they survive a crash,
+// a closed tab or an expired session. Failures are swallowed: the backup is
+// best-effort and must never get in the way of editing.
+const DB_NAME = 'muse'
+const STORE = 'draftBackups'
+
+let dbPromise = null
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+const withStore = async (mode, fn) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = fn(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+// Keys are scoped per user so a shared browser never offers someone else's draft
+export const backupKey = (userId, postId) => `${userId}:${postId || 'new'}`
+
+export const saveBackup = (key, draft) =>
+  withStore('readwrite', store => store.put({ ...draft, savedAt: Date.now() }, key)).catch(() => {})
+
+export const loadBackup = (key) =>
+  withStore('readonly', store => store.get(key)).catch(() => null)
+
+export const clearBackup = (key) =>
+  withStore('readwrite', store => store.delete(key)).catch(() => {})